@@ -31,6 +31,9 @@ const { HttpsProxyAgent } = require('https-proxy-agent');
 const randomUseragent = require('random-useragent');
 const axios = require('axios');
 const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const http = require('http');
 
 // ======= TERMINAL COLORS =======
 const colors = {
@@ -54,15 +57,26 @@ const CONFIG = {
   network: {
     name: 'Target Network',           // e.g., 'Ethereum Sepolia', 'Polygon Mumbai'
     chainId: 1,                       // Network chain ID
-    rpcUrl: 'https://rpc-endpoint'    // RPC endpoint URL
+    rpcUrl: 'https://rpc-endpoint',   // RPC endpoint URL
+    rpcUrls: []                       // Additional RPC endpoints for health-checked failover
   },
   
+  // Named network profiles for multi-chain runs - enable them with execution.networks
+  // Each profile overrides any CONFIG section and PARAMS (under `params`), e.g.:
+  // sepolia: {
+  //   network: { name: 'Ethereum Sepolia', chainId: 11155111, rpcUrl: 'https://...', rpcUrls: ['https://...'] },
+  //   contract: { TOKEN: '0x...', ROUTER: '0x...' },
+  //   params: { SWAP_COUNT: 2 }
+  // }
+  networks: {},
+  
   // Smart contract addresses - CUSTOMIZE FOR TARGET PROTOCOL
   contract: {
     TOKEN: '0x0000000000000000000000000000000000000000',           // Main token contract
     WRAPPED_TOKEN: '0x0000000000000000000000000000000000000000',   // Wrapped token contract
     STAKING: '0x0000000000000000000000000000000000000000',         // Staking contract
     ROUTER: '0x0000000000000000000000000000000000000000',          // DEX router contract
+    QUOTER: '0x0000000000000000000000000000000000000000',          // V3 QuoterV2 contract (v3 routers only)
     FARM: '0x0000000000000000000000000000000000000000'             // Farming contract
   },
   
@@ -71,15 +85,64 @@ const CONFIG = {
     baseUrl: 'https://api.protocol.xyz',      // Protocol API base URL
     authEndpoint: '/auth',                    // Authentication endpoint
     faucetEndpoint: '/faucet',               // Faucet endpoint (if available)
-    userAgent: 'Mozilla/5.0 (compatible)'   // Default user agent
+    userAgent: 'Mozilla/5.0 (compatible)',  // Default user agent
+    rateLimit: 5,                            // Requests per second per API host, shared by every wallet (0 = unlimited)
+    rateLimitBurst: 10,                      // Requests a host may receive back to back before the rate limit applies
+    maxRetryDelay: 60000,                    // Longest wait (ms) for backoff or a Retry-After header before giving up
+    breakerThreshold: 5,                     // Consecutive failed requests to a host that open its circuit breaker
+    breakerCooldown: 60000                   // Ms an open breaker rejects requests before letting a trial request through
+  },
+  
+  // API authentication - CUSTOMIZE FOR TARGET PROTOCOL
+  auth: {
+    mode: 'message',                         // 'message' signs auth.message, 'siwe' signs an EIP-4361 message with a server nonce
+    message: 'auth_message',                 // Message signed in 'message' mode
+    nonceEndpoint: '/auth/nonce',            // SIWE nonce endpoint (GET, returns { nonce } or the bare nonce)
+    domain: null,                            // SIWE domain (null = host of api.baseUrl)
+    uri: null,                               // SIWE URI (null = api.baseUrl)
+    statement: 'Sign in with Ethereum.',     // SIWE statement shown to the signer
+    expirationMinutes: 60,                   // SIWE Expiration Time, also the session lifetime when the token is not a JWT
+    sessionFile: './sessions.json',          // Per-wallet token cache reused across restarts ('' = re-authenticate every run)
+    refreshMargin: 300                       // Seconds before token expiry at which the session is renewed
+  },
+  
+  // Staking adapters per CONFIG.contract entry - CUSTOMIZE FOR TARGET PROTOCOL
+  staking: {
+    STAKING: {
+      adapter: 'erc4626'                     // 'erc4626' vault or 'masterchef' farm
+    },
+    FARM: {
+      adapter: 'masterchef',
+      poolId: 0,                             // MasterChef pool id
+      pendingRewardMethod: 'pendingReward',  // Pending reward view, e.g. pendingSushi, pendingCake
+      stakeToken: null,                      // Token deposited into the pool (null = CONFIG.contract.TOKEN)
+      rewardToken: null                      // Reward token, used for decimals/symbol when reporting rewards
+    }
+  },
+  
+  // Liquidity configuration (V2 routers) - CUSTOMIZE FOR TARGET PROTOCOL
+  liquidity: {
+    tokenB: null                             // Token paired with CONFIG.contract.TOKEN (null = native via addLiquidityETH)
+  },
+  
+  // Swap configuration - CUSTOMIZE FOR TARGET PROTOCOL
+  swap: {
+    routerType: 'v2',                        // 'v2' (UniswapV2Router02-style) or 'v3' (SwapRouter + QuoterV2)
+    feeTier: 3000,                           // V3 pool fee tier (500, 3000, 10000)
+    direction: 'alternate',                  // 'alternate', 'nativeToToken' or 'tokenToNative'
+    deadlineSeconds: 600                     // Seconds before a submitted swap expires
   },
   
   // Timing configuration
   timing: {
     betweenInteractions: [2000, 5000],       // Min/max ms between interactions
     betweenWallets: [5000, 15000],           // Min/max ms between wallets
-    cycleInterval: 30,                       // Minutes between cycles
-    requestTimeout: 30000                    // API request timeout (ms)
+    cycleInterval: 30,                       // Minutes between cycle starts, also the cadence of steps without a schedule entry
+    requestTimeout: 30000,                   // API request timeout (ms)
+    txTimeout: 120000,                       // Max ms to wait for a receipt before replacing a transaction
+    receiptPollInterval: 4000,               // Ms between receipt checks for pending transactions
+    gasPricePollInterval: 30000,             // Ms between gas price checks while paused above the ceiling
+    maxGasPriceWait: 1800000                 // Max ms to stay paused above the ceiling (0 = wait forever)
   },
   
   // Display configuration
@@ -88,6 +151,96 @@ const CONFIG = {
     showStepSummary: true,                   // Show summary of previous steps when clearing
     compactMode: false,                      // More compact display (fewer blank lines)
     showTransactionDetails: true             // Show detailed transaction information
+  },
+  
+  // Interaction flow - ordered step ids from the step registry (see STEP PIPELINE)
+  flow: ['auth', 'faucet', 'transfers'],
+  
+  // Per-step cadence - steps without an entry run every cycle (timing.cycleInterval)
+  // Cadences: { every: '24h' } (s, m, h or d; a number is minutes), { cron: '0 */6 * * *' } (local time),
+  //   { cooldown: { contract: 'STAKING' or '0x...', method: 'nextClaimTime', returns: 'timestamp' | 'seconds' } }
+  //   reading a `method(address) view returns (uint256)` on-chain, or { cooldown: true } for custom steps registered
+  //   with a cooldown() query - none of the built-in steps define one, so use the { contract, method } form for them
+  schedule: {
+    file: './schedule.json',                 // Last run per network, wallet and step, kept across restarts
+    steps: {
+      faucet: { every: '24h' }
+    }
+  },
+  
+  // Execution mode
+  execution: {
+    dryRun: false,                           // Simulate transactions and skip mutating API calls - nothing is broadcast
+    networks: [],                            // CONFIG.networks profiles to run each cycle, in order (empty = CONFIG.network only)
+    concurrency: 1                           // Wallets processed in parallel (1 = one after another)
+  },
+  
+  // Startup checks run before any transaction is sent
+  preflight: {
+    enabled: true,                           // Check chain id, contract code and wallet budgets before the first cycle
+    abortOnLowBalance: true                  // Abort when a wallet cannot afford the flow (false = warn only)
+  },
+  
+  // Account sources - keys are never printed, prefer the vault or keystores over plaintext
+  accounts: {
+    privateKeysFile: 'privatekeys.txt',      // Plaintext hex keys, one per line (move into the vault with "accounts import")
+    keystoreDir: './keystores',              // Web3 Secret Storage JSON keystores
+    vaultFile: './vault.json',               // Encrypted vault (scrypt + AES-256-GCM) with keys and mnemonics
+    hdPath: "m/44'/60'/0'/0",                // Derivation path for vault mnemonics, account index appended
+    hdRange: [0, 4]                          // Inclusive account index range derived from each mnemonic
+  },
+  
+  // RPC endpoint health and failover
+  rpc: {
+    maxBlockLag: 5,                          // Blocks an endpoint may trail the highest one before it is skipped
+    maxLatency: 3000,                        // Probe latency (ms) above which an endpoint is skipped
+    probeInterval: 60000,                    // Ms between endpoint health probes
+    requestTimeout: 10000,                   // Per-request timeout (ms) before failing over
+    quorum: 1                                // Endpoints that must agree on balance reads (1 = single read)
+  },
+  
+  // Transaction journal for crash recovery
+  journal: {
+    enabled: true,                           // Journal submitted transactions and resume interrupted cycles
+    file: './journal/transactions.jsonl'     // Append-only JSONL journal
+  },
+  
+  // Logging
+  logging: {
+    level: 'info',                           // Minimum level: 'debug', 'info', 'warn' or 'error'
+    format: 'text',                          // Console output: 'text' (coloured) or 'json' (one record per line)
+    color: 'auto',                           // 'auto' (plain when output is piped), 'always' or 'never'
+    toFile: false,                           // Also write JSON records to dir/bot.log
+    dir: './logs',                           // Log file directory
+    maxFileSize: 10485760,                   // Rotate the log file above this many bytes
+    rotateInterval: 'daily',                 // Also rotate on 'hourly' or 'daily' boundaries ('none' = size only)
+    retention: 7                             // Rotated log files kept
+  },
+  
+  // Webhook and chat notifications
+  notifications: {
+    enabled: false,                          // Post notifications to the channels below
+    // Channels: { type: 'discord' | 'slack' | 'telegram' | 'webhook', url, chatId (telegram only),
+    //   events: ['cycle', 'lowBalance', 'critical'] (omit for all) }, e.g.
+    //   { type: 'telegram', url: 'https://api.telegram.org/bot<token>/sendMessage', chatId: '123', events: ['critical'] }
+    channels: [],
+    throttleSeconds: 300,                    // Same event (per wallet/interaction) sent at most once per window
+    lowBalanceThreshold: '0.01'              // Native balance below which a wallet triggers a lowBalance notification
+  },
+  
+  // Prometheus metrics endpoint
+  metrics: {
+    enabled: false,                          // Serve /metrics and /health while the bot runs
+    host: '127.0.0.1',                       // Listen address ('0.0.0.0' to expose it)
+    port: 9464                               // Listen port
+  },
+  
+  // Machine-readable run reports
+  reports: {
+    enabled: true,                           // Export every cycle after the results summary
+    dir: './reports',                        // Output directory
+    formats: ['json', 'csv'],                // Per-cycle formats: 'json' and/or 'csv'
+    historyFile: 'history.jsonl'             // Cumulative one-line-per-cycle summary in dir
   }
 };
 
@@ -95,18 +248,41 @@ const CONFIG = {
 const PARAMS = {
   // Transaction amounts - CUSTOMIZE FOR TARGET PROTOCOL
   TRANSFER_AMOUNT: '0.000001234',              // Amount per transfer
-  STAKE_AMOUNT: '0.000005342',                 // Amount per staking operation
-  LIQUIDITY_AMOUNT: '0.000004321',             // Amount per liquidity operation
+  TOKEN_TRANSFER_AMOUNT: '0.01',               // Amount per ERC-20 transfer (in token units)
+  STAKE_AMOUNT: '0.000005342',                 // Amount per staking/unstaking operation (in stake token units, 'all' = full balance)
+  LIQUIDITY_AMOUNT: '0.000004321',             // Native (or CONFIG.liquidity.tokenB) amount per add, token side matched to pool price
+  LIQUIDITY_REMOVE_SHARE: 0.5,                 // Share of the LP balance burned per remove operation (1 = all)
+  SWAP_AMOUNT: '0.000002345',                  // Native amount per native → token swap
+  SWAP_TOKEN_AMOUNT: '0.01',                   // Token amount per token → native swap ('all' = full balance)
+  WRAP_AMOUNT: '0.000003456',                  // Native amount per wrap ('all' = full balance minus gas)
+  UNWRAP_AMOUNT: '0.000003456',                // Wrapped amount per unwrap ('all' = full wrapped balance)
   
   // Interaction counts - CUSTOMIZE FOR TARGET PROTOCOL
   TRANSFER_COUNT: 10,                          // Number of transfers per wallet
+  TOKEN_TRANSFER_COUNT: 5,                     // Number of ERC-20 transfers per wallet
   STAKE_COUNT: 5,                              // Number of staking operations per wallet
   UNSTAKE_COUNT: 5,                            // Number of unstaking operations per wallet
   SWAP_COUNT: 3,                               // Number of swap operations per wallet
+  LIQUIDITY_COUNT: 2,                          // Number of add liquidity operations per wallet
+  REMOVE_LIQUIDITY_COUNT: 1,                   // Number of remove liquidity operations per wallet
+  WRAP_COUNT: 3,                               // Number of wrap operations per wallet
+  UNWRAP_COUNT: 3,                             // Number of unwrap operations per wallet
   
   // Protocol-specific parameters
   SLIPPAGE_TOLERANCE: 0.01,                    // 1% slippage tolerance for swaps
   GAS_MULTIPLIER: 1.2,                         // Gas limit multiplier for safety
+  FEE_BUMP: 1.15,                              // Fee multiplier for replacement/cancel transactions (min 1.1)
+  
+  // Fee strategy
+  FEE_MODE: 'auto',                            // 'auto' (EIP-1559 with legacy fallback), 'eip1559', 'legacy' or 'zero' (gasPrice: 0 testnets)
+  FEE_HISTORY_BLOCKS: 10,                      // Blocks sampled from eth_feeHistory
+  PRIORITY_FEE_PERCENTILE: 50,                 // Reward percentile used for the priority fee
+  MAX_GAS_PRICE_GWEI: 0,                       // Pause interactions while gas is above this (0 = no ceiling)
+  
+  // ERC-20 approvals
+  APPROVAL_MODE: 'exact',                      // 'exact' approves only what is needed, 'capped' approves up to APPROVAL_CAP
+  APPROVAL_CAP: '1000',                        // Approval amount in 'capped' mode (in token units)
+  REVOKE_ALLOWANCES: true,                     // Reset allowances granted during a wallet's run to 0 at the end
   
   // Randomization settings
   RANDOMIZE: true,                             // Enable amount randomization
@@ -114,41 +290,275 @@ const PARAMS = {
   
   // Error handling
   MAX_RETRIES: 3,                              // Maximum retry attempts
+  MAX_REPLACEMENTS: 2,                         // Fee-bumped replacements before cancelling a stuck transaction
   RETRY_DELAY_BASE: 2000                       // Base delay for exponential backoff (ms)
 };
 
+// ======= CONTRACT ABIS =======
+const ERC20_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function transfer(address, uint256) returns (bool)',
+  'function approve(address, uint256) returns (bool)',
+  'function allowance(address, address) view returns (uint256)'
+];
+
+const V2_ROUTER_ABI = [
+  'function factory() view returns (address)',
+  'function WETH() view returns (address)',
+  'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+  'function quote(uint256 amountA, uint256 reserveA, uint256 reserveB) pure returns (uint256 amountB)',
+  'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable returns (uint256[] amounts)',
+  'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[] amounts)',
+  'function addLiquidity(address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline) returns (uint256 amountA, uint256 amountB, uint256 liquidity)',
+  'function addLiquidityETH(address token, uint256 amountTokenDesired, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline) payable returns (uint256 amountToken, uint256 amountETH, uint256 liquidity)',
+  'function removeLiquidity(address tokenA, address tokenB, uint256 liquidity, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline) returns (uint256 amountA, uint256 amountB)',
+  'function removeLiquidityETH(address token, uint256 liquidity, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline) returns (uint256 amountToken, uint256 amountETH)'
+];
+
+const WRAPPED_TOKEN_ABI = [
+  ...ERC20_ABI,
+  'function deposit() payable',
+  'function withdraw(uint256 amount)'
+];
+
+const V2_FACTORY_ABI = [
+  'function getPair(address tokenA, address tokenB) view returns (address pair)'
+];
+
+const V2_PAIR_ABI = [
+  ...ERC20_ABI,
+  'function token0() view returns (address)',
+  'function totalSupply() view returns (uint256)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+];
+
+const V3_ROUTER_ABI = [
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)',
+  'function unwrapWETH9(uint256 amountMinimum, address recipient) payable',
+  'function multicall(bytes[] data) payable returns (bytes[] results)'
+];
+
+const V3_QUOTER_ABI = [
+  'function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)'
+];
+
+/**
+ * SecretRedactor class for masking key material (private keys, mnemonics, passphrases)
+ * Every secret loaded by AccountManager is registered here before it can reach a log line
+ */
+class SecretRedactor {
+  constructor() {
+    this.secrets = new Set();
+    this.pattern = null;
+  }
+  
+  /**
+   * Registers a secret to be masked
+   * Private keys are registered with and without their 0x prefix
+   * @param {string} secret - Secret value
+   */
+  add(secret) {
+    if (!secret || secret.length < 8) return;
+    
+    this.secrets.add(secret);
+    if (/^0x[0-9a-fA-F]{64}$/.test(secret)) {
+      this.secrets.add(secret.slice(2));
+    }
+    
+    // Longest first, so a 0x-prefixed key is masked as a whole
+    const escaped = [...this.secrets]
+      .sort((a, b) => b.length - a.length)
+      .map(value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    this.pattern = new RegExp(escaped.join('|'), 'gi');
+  }
+  
+  /**
+   * Masks registered secrets in a string
+   * @param {any} text - Text to redact
+   * @returns {any} Redacted text (non-strings are returned as is)
+   */
+  redact(text) {
+    if (!this.pattern || typeof text !== 'string') return text;
+    return text.replace(this.pattern, '[REDACTED]');
+  }
+}
+
+const redactor = new SecretRedactor();
+
 /**
  * Logger class for handling console output and formatting
  * Provides consistent terminal display patterns across all DeFi bots
  */
 class Logger {
-  constructor(options = {}) {
-    this.logToFile = false; // Disabled by default to save disk space
-    this.logDir = options.logDir || './logs';
+  constructor() {
+    this.sink = null; // LogFileSink, created by configure() when CONFIG.logging.toFile is set
+    this.plain = false; // No ANSI codes or screen clears, set by configure() for piped output
+    this.colors = colors; // Palette used for output, emptied by configure() for plain output
+    this.cycle = null; // Cycle id added to every record
+    this.stepId = null; // Step id added to records of child loggers
+    this.journal = null; // TransactionJournal receiving recordActivity() calls
     this.sessionId = new Date().toISOString().replace(/[:.]/g, '-');
     this.stepResults = {};
     this.currentWallet = "";
     this.currentWalletIndex = 0;
     this.totalWallets = 0;
+    this.context = null; // Wallet context of child loggers
+    this.board = null; // StatusBoard drawn while wallets run concurrently
   }
   
-  writeToFile(message) {
-    // Disabled to save disk space - can be re-enabled if needed
-    return;
+  /**
+   * Creates a logger for one wallet
+   * The child shares this logger's journal and status board but keeps its own wallet
+   * and step state, so wallets running concurrently do not overwrite each other's display
+   * @param {Object} context - Wallet context: { address, index, total }
+   * @returns {Logger} Child logger
+   */
+  child(context) {
+    const child = Object.create(this);
+    child.context = context;
+    child.stepId = null;
+    child.stepResults = {};
+    child.currentWallet = context.address;
+    child.currentWalletIndex = context.index;
+    child.totalWallets = context.total;
+    return child;
+  }
+  
+  /**
+   * Attaches the status board that log lines are printed above
+   * @param {StatusBoard|null} board - Status board
+   */
+  setStatusBoard(board) {
+    this.board = board;
+  }
+  
+  /**
+   * Applies CONFIG.logging - call once the configuration files are loaded
+   * Piped output (or color: 'never') drops ANSI codes and screen clears
+   */
+  configure() {
+    const options = CONFIG.logging;
+    this.plain = options.color === 'never' || (options.color === 'auto' && !process.stdout.isTTY);
+    
+    this.colors = this.plain ? Logger.PLAIN_COLORS : colors;
+    
+    this.sink = options.toFile ? new LogFileSink(options) : null;
+  }
+  
+  /**
+   * Sets the cycle id added to every record
+   * @param {string|null} cycle - Cycle id
+   */
+  setCycle(cycle) {
+    this.cycle = cycle;
+  }
+  
+  /**
+   * Sets the step id added to this logger's records
+   * @param {string|null} step - Step id
+   */
+  setStep(step) {
+    this.stepId = step;
+  }
+  
+  /**
+   * Checks whether a level passes CONFIG.logging.level
+   * @param {string} level - 'debug', 'info', 'warn' or 'error'
+   * @returns {boolean} True if the level is logged
+   */
+  isEnabled(level) {
+    return Logger.LEVELS[level] >= Logger.LEVELS[CONFIG.logging.level];
+  }
+  
+  /**
+   * Builds a structured record with the cycle, network, wallet and step context
+   * @param {string} type - Log type (info, success, warn, error, tx, step, debug)
+   * @param {string} message - Redacted message
+   * @returns {Object} Log record
+   */
+  buildRecord(type, message) {
+    const record = {
+      time: new Date().toISOString(),
+      level: Logger.TYPE_LEVELS[type] || 'info',
+      type,
+      msg: message.replace(Logger.ANSI_PATTERN, ''),
+      cycle: this.cycle,
+      network: CONFIG.network.name
+    };
+    
+    if (this.context) {
+      record.wallet = this.context.address;
+      record.walletIndex = this.context.index;
+    }
+    if (this.stepId) {
+      record.step = this.stepId;
+    }
+    
+    return record;
+  }
+  
+  /**
+   * Writes a record to the log file, when file logging is enabled
+   * @param {Object} record - Log record
+   */
+  writeToFile(record) {
+    if (!this.sink) return;
+    
+    try {
+      this.sink.write(record);
+    } catch (error) {
+      // A full disk must not stop the bot; report once and keep logging to the console
+      this.sink = null;
+      console.error(`Log file disabled: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Clears the terminal, unless output is piped
+   */
+  clearTerminal() {
+    if (this.plain) return;
+    process.stdout.write('\x1Bc');
+    console.clear();
+  }
+  
+  /**
+   * Attaches the transaction journal that receives activity records
+   * @param {TransactionJournal|null} journal - Journal instance
+   */
+  setJournal(journal) {
+    this.journal = journal;
   }
   
+  /**
+   * Records a transaction status change in the journal
+   * @param {string} walletAddress - Sending wallet
+   * @param {string} type - Step id the transaction belongs to
+   * @param {string} txHash - Transaction hash
+   * @param {string} status - submitted, confirmed, reverted or replaced
+   * @param {Object} details - Extra fields (index, nonce, gasUsed, fee)
+   */
   recordActivity(walletAddress, type, txHash, status, details = {}) {
-    // Disabled to save disk space - can be re-enabled if needed
-    return;
+    if (!this.journal) return;
+    
+    this.journal.recordTransaction({
+      wallet: walletAddress,
+      step: type,
+      hash: txHash,
+      status,
+      ...details
+    });
   }
   
   /**
    * Clears the terminal screen and shows relevant context
    */
   clearScreen() {
-    if (CONFIG.display.clearBetweenSteps) {
-      process.stdout.write('\x1Bc');
-      console.clear();
+    // Clearing would wipe the output of other wallets running concurrently
+    if (CONFIG.display.clearBetweenSteps && CONFIG.execution.concurrency === 1) {
+      this.clearTerminal();
       
       // Show banner again
       this.showBanner();
@@ -165,10 +575,10 @@ class Logger {
    */
   showBanner() {
     const banner = `
-${colors.cyan}${colors.bright}====================================================
+${this.colors.cyan}${this.colors.bright}====================================================
   ${CONFIG.network.name.toUpperCase()} INTERACTION BOT - by miraiweb3
   Protocol → Interactions → Automation
-====================================================${colors.reset}
+====================================================${this.colors.reset}
 `;
     console.log(banner);
   }
@@ -182,16 +592,16 @@ ${colors.cyan}${colors.bright}==================================================
     const shortenedAddress = this.currentWallet ? 
       `${this.currentWallet.slice(0, 6)}...${this.currentWallet.slice(-4)}` : "";
     
-    console.log(`${colors.cyan}[${timestamp}]${colors.reset} ${colors.bgBlue}${colors.bright} WALLET ${progress} ${colors.reset} ${colors.blue}${shortenedAddress}${colors.reset}\n`);
+    console.log(`${this.colors.cyan}[${timestamp}]${this.colors.reset} ${this.colors.bgBlue}${this.colors.bright} WALLET ${progress} ${this.colors.reset} ${this.colors.blue}${shortenedAddress}${this.colors.reset}\n`);
     
     // Show status of completed steps
     const steps = Object.keys(this.stepResults);
     if (steps.length > 0) {
-      console.log(`${colors.cyan}Steps completed:${colors.reset}`);
+      console.log(`${this.colors.cyan}Steps completed:${this.colors.reset}`);
       steps.forEach(step => {
         const result = this.stepResults[step];
-        const statusColor = result.success ? colors.green : colors.yellow;
-        console.log(`  ${statusColor}${step}:${colors.reset} ${result.message}`);
+        const statusColor = result.success ? this.colors.green : this.colors.yellow;
+        console.log(`  ${statusColor}${step}:${this.colors.reset} ${result.message}`);
       });
       console.log("");
     }
@@ -208,47 +618,75 @@ ${colors.cyan}${colors.bright}==================================================
    * Sets the current wallet being processed
    */
   setCurrentWallet(address, index, total) {
+    if (this.currentWallet !== address) {
+      this.stepResults = {}; // Reset step results for new wallet
+    }
     this.currentWallet = address;
     this.currentWalletIndex = index;
     this.totalWallets = total;
-    this.stepResults = {}; // Reset step results for new wallet
   }
   
   /**
    * General logging method with formatting
    */
   log(type, message, consoleOnly = false) {
+    const level = Logger.TYPE_LEVELS[type] || 'info';
+    if (!this.isEnabled(level)) return;
+    
     let formatted;
+    message = redactor.redact(String(message));
+    const record = this.buildRecord(type, message);
     const timestamp = new Date().toLocaleTimeString();
     
-    // Only add timestamp for transaction-related logs
-    const useTimestamp = (type === 'tx');
-    
     switch (type) {
       case 'info':
-        formatted = `${colors.green}[INFO]${colors.reset} ${message}`;
+        formatted = `${this.colors.green}[INFO]${this.colors.reset} ${message}`;
         break;
       case 'success':
-        formatted = `${colors.green}[SUCCESS]${colors.reset} ${message}`;
+        formatted = `${this.colors.green}[SUCCESS]${this.colors.reset} ${message}`;
         break;
       case 'error':
-        formatted = `${colors.red}[ERROR]${colors.reset} ${message}`;
+        formatted = `${this.colors.red}[ERROR]${this.colors.reset} ${message}`;
         break;
       case 'warn':
-        formatted = `${colors.yellow}[WARN]${colors.reset} ${message}`;
+        formatted = `${this.colors.yellow}[WARN]${this.colors.reset} ${message}`;
         break;
       case 'tx':
-        formatted = `${colors.magenta}[${timestamp}]${colors.reset} ${message}`;
+        formatted = `${this.colors.magenta}[${timestamp}]${this.colors.reset} ${message}`;
         break;
       case 'step':
-        formatted = `${colors.cyan}[STEP]${colors.reset} ${message}`;
+        formatted = `${this.colors.cyan}[STEP]${this.colors.reset} ${message}`;
+        break;
+      case 'debug':
+        formatted = `${this.colors.dim}[DEBUG] ${message}${this.colors.reset}`;
         break;
       default:
         formatted = `${message}`;
     }
     
-    console.log(formatted);
-    // No file logging by default
+    // Concurrent wallets tag their lines so interleaved output stays readable
+    if (this.context && CONFIG.execution.concurrency > 1) {
+      formatted = `${this.colors.dim}[W${this.context.index + 1}]${this.colors.reset} ${formatted}`;
+    }
+    
+    if (CONFIG.logging.format === 'json') {
+      formatted = JSON.stringify(record);
+    } else if (this.plain) {
+      formatted = formatted.replace(Logger.ANSI_PATTERN, '');
+    }
+    
+    if (this.board && this.board.active) {
+      if (this.context) {
+        this.board.update(this.context.index, { message });
+      }
+      this.board.print(formatted);
+    } else {
+      console.log(formatted);
+    }
+    
+    if (!consoleOnly) {
+      this.writeToFile(record);
+    }
   }
   
   // Shorthand logging methods
@@ -258,14 +696,14 @@ ${colors.cyan}${colors.bright}==================================================
   warn(message) { this.log('warn', message); }
   tx(message) { this.log('tx', message); }
   step(message) { this.log('step', message); }
+  debug(message) { this.log('debug', message); }
   
   /**
    * Displays the banner and clears the screen
    */
   banner() {
     // Clear the terminal first
-    process.stdout.write('\x1Bc');
-    console.clear();
+    this.clearTerminal();
     
     this.showBanner();
   }
@@ -277,6 +715,12 @@ ${colors.cyan}${colors.bright}==================================================
     // Set current wallet info
     this.setCurrentWallet(address, walletIndex, walletCount);
     
+    // The status board shows the current step of every running wallet instead
+    if (this.board && this.board.active) {
+      this.board.update(walletIndex, { address, status: interactionName });
+      return;
+    }
+    
     // Clear the screen before showing the interaction header
     if (CONFIG.display.clearBetweenSteps) {
       this.clearScreen();
@@ -286,14 +730,221 @@ ${colors.cyan}${colors.bright}==================================================
     const progress = `${walletIndex + 1}/${walletCount}`;
     const shortenedAddress = `${address.slice(0, 6)}...${address.slice(-4)}`;
     
-    console.log(`${colors.cyan}[${timestamp}]${colors.reset} ${colors.bgBlue}${colors.bright} WALLET ${progress} ${colors.reset} ${colors.blue}${shortenedAddress}${colors.reset} ${colors.bgMagenta}${colors.bright} ${interactionName} ${colors.reset}`);
+    console.log(`${this.colors.cyan}[${timestamp}]${this.colors.reset} ${this.colors.bgBlue}${this.colors.bright} WALLET ${progress} ${this.colors.reset} ${this.colors.blue}${shortenedAddress}${this.colors.reset} ${this.colors.bgMagenta}${this.colors.bright} ${interactionName} ${this.colors.reset}`);
   }
   
   /**
    * Displays a countdown timer
+   * @param {number} seconds - Seconds remaining
+   * @param {string} label - What is being waited for
+   */
+  countdown(seconds, label = 'next cycle') {
+    // Piped output gets one line per minute instead of a carriage-return ticker
+    if (this.plain) {
+      if (seconds % 60 === 0) console.log(`⏱  Waiting for ${label} in: ${seconds / 60}m`);
+      return;
+    }
+    const hours = seconds >= 3600 ? `${Math.floor(seconds / 3600)}h ` : '';
+    process.stdout.write(`\r${this.colors.yellow}⏱  Waiting for ${label} in: ${hours}${Math.floor(seconds % 3600 / 60)}m ${seconds % 60}s ${this.colors.reset}`);
+  }
+}
+
+Logger.LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Log types map onto levels; tx, step and success lines are informational
+Logger.TYPE_LEVELS = { debug: 'debug', info: 'info', success: 'info', tx: 'info', step: 'info', warn: 'warn', error: 'error' };
+
+Logger.ANSI_PATTERN = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+// Palette of plain output - the exported colors stay intact for other consumers
+Logger.PLAIN_COLORS = Object.fromEntries(Object.keys(colors).map(key => [key, '']));
+
+/**
+ * LogFileSink class for rotating JSON-lines log files
+ * Writes to <dir>/bot.log and rotates it by size and/or time, keeping CONFIG.logging.retention old files
+ */
+class LogFileSink {
+  /**
+   * Creates a file sink
+   * @param {Object} options - CONFIG.logging
+   */
+  constructor(options) {
+    this.dir = options.dir;
+    this.maxFileSize = options.maxFileSize;
+    this.rotateInterval = options.rotateInterval;
+    this.retention = options.retention;
+    this.file = path.join(this.dir, 'bot.log');
+    
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+    this.period = this.getPeriod(fs.existsSync(this.file) ? fs.statSync(this.file).mtime : new Date());
+  }
+  
+  /**
+   * Gets the rotation period a date falls in
+   * @param {Date} date - Date
+   * @returns {string} Period key ('' when time rotation is off)
+   */
+  getPeriod(date) {
+    if (this.rotateInterval === 'hourly') return date.toISOString().slice(0, 13);
+    if (this.rotateInterval === 'daily') return date.toISOString().slice(0, 10);
+    return '';
+  }
+  
+  /**
+   * Appends a record, rotating first when the size limit or period boundary is reached
+   * @param {Object} record - Log record
+   */
+  write(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    const bytes = Buffer.byteLength(line); // Emoji and other multi-byte characters count in full
+    const period = this.getPeriod(new Date());
+    
+    if (this.size > 0 && (this.size + bytes > this.maxFileSize || period !== this.period)) {
+      this.rotate();
+    }
+    
+    fs.appendFileSync(this.file, line);
+    this.size += bytes;
+    this.period = period;
+  }
+  
+  /**
+   * Renames the current file with a timestamp and deletes files beyond the retention count
+   * Files rotated within the same millisecond get a zero-padded counter, so names sort oldest first
+   */
+  rotate() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    let target;
+    for (let n = 0; !target || fs.existsSync(target); n++) {
+      target = path.join(this.dir, `bot-${stamp}-${String(n).padStart(3, '0')}.log`);
+    }
+    fs.renameSync(this.file, target);
+    this.size = 0;
+    
+    const rotated = fs.readdirSync(this.dir)
+      .filter(name => /^bot-.+\.log$/.test(name))
+      .sort();
+    rotated.slice(0, Math.max(0, rotated.length - this.retention))
+      .forEach(name => fs.unlinkSync(path.join(this.dir, name)));
+  }
+}
+
+/**
+ * StatusBoard class for the live multi-wallet terminal view
+ * Keeps one row per running wallet below the scrolling log while wallets run concurrently
+ */
+class StatusBoard {
+  /**
+   * Creates a status board
+   * @param {number} total - Wallets in this run
+   * @param {number} concurrency - Worker count
+   */
+  constructor(total, concurrency) {
+    this.total = total;
+    this.concurrency = concurrency;
+    this.rows = new Map();
+    this.completed = 0;
+    this.failed = 0;
+    this.renderedLines = 0;
+    this.active = false;
+    this.timer = null;
+  }
+  
+  /**
+   * Starts redrawing the board - only on an interactive terminal
+   * @returns {StatusBoard} This board
+   */
+  start() {
+    if (!process.stdout.isTTY) return this;
+    
+    this.active = true;
+    this.timer = setInterval(() => this.redraw(), 1000);
+    this.redraw();
+    return this;
+  }
+  
+  /**
+   * Stops redrawing and removes the board from the terminal
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.clear();
+    this.active = false;
+  }
+  
+  /**
+   * Updates a wallet's row
+   * @param {number} index - Wallet index
+   * @param {Object} fields - Row fields to set (address, status, message)
+   */
+  update(index, fields) {
+    this.rows.set(index, { ...this.rows.get(index), ...fields });
+  }
+  
+  /**
+   * Removes a finished wallet's row and counts the result
+   * @param {number} index - Wallet index
+   * @param {boolean} success - Whether the wallet completed
+   */
+  finish(index, success) {
+    this.rows.delete(index);
+    success ? this.completed++ : this.failed++;
+    this.redraw();
+  }
+  
+  /**
+   * Prints a log line above the board
+   * @param {string} line - Formatted line
    */
-  countdown(seconds) {
-    process.stdout.write(`\r${colors.yellow}⏱  Waiting for next cycle in: ${Math.floor(seconds/60)}m ${seconds%60}s ${colors.reset}`);
+  print(line) {
+    this.clear();
+    process.stdout.write(`${line}\n`);
+    this.render();
+  }
+  
+  /**
+   * Erases the board rows drawn last
+   */
+  clear() {
+    if (this.renderedLines > 0) {
+      process.stdout.write(`\x1b[${this.renderedLines}A\x1b[0J`);
+      this.renderedLines = 0;
+    }
+  }
+  
+  /**
+   * Redraws the board in place
+   */
+  redraw() {
+    if (!this.active) return;
+    this.clear();
+    this.render();
+  }
+  
+  /**
+   * Draws the header and one row per running wallet
+   */
+  render() {
+    if (!this.active) return;
+    
+    const width = process.stdout.columns || 120;
+    const lines = [`${logger.colors.cyan}${'━'.repeat(Math.min(width, 54))}${logger.colors.reset}`,
+      `${logger.colors.bright}⚙️  ${this.rows.size}/${this.concurrency} workers | ✅ ${this.completed} done | ❌ ${this.failed} failed | ${this.total - this.completed - this.failed - this.rows.size} queued${logger.colors.reset}`];
+    
+    [...this.rows.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .forEach(([index, row]) => {
+        const address = row.address ? `${row.address.slice(0, 6)}...${row.address.slice(-4)}` : '';
+        const prefix = `${logger.colors.bgBlue}${logger.colors.bright} W${index + 1} ${logger.colors.reset} ${logger.colors.blue}${address}${logger.colors.reset} ${logger.colors.magenta}${(row.status || '').padEnd(24)}${logger.colors.reset} `;
+        // Visible width of the prefix: badge, address and padded status
+        const visible = ` W${index + 1} `.length + address.length + 26;
+        const message = (row.message || '').replace(/\x1b\[[0-9;]*m/g, '');
+        lines.push(prefix + message.slice(0, Math.max(0, width - visible - 1)));
+      });
+    
+    process.stdout.write(`${lines.join('\n')}\n`);
+    this.renderedLines = lines.length;
   }
 }
 
@@ -324,12 +975,28 @@ class FileManager {
   }
   
   /**
-   * Loads private keys from privatekeys.txt
-   * @returns {string[]} Array of private keys
+   * Loads plaintext private keys (one per line, 0x prefix optional, # for comments)
+   * Invalid lines are reported by line number only, never by content
+   * @param {string} filename - Key file
+   * @returns {{keys: string[], invalid: number[]}} 0x-prefixed keys and invalid line numbers
    */
-  static loadPrivateKeys() {
-    return this.loadLines('privatekeys.txt')
-      .filter(line => line.startsWith('0x'));
+  static loadPrivateKeys(filename = CONFIG.accounts.privateKeysFile) {
+    const result = { keys: [], invalid: [] };
+    if (!fs.existsSync(filename)) return result;
+    
+    fs.readFileSync(filename, 'utf8').split('\n').forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) return;
+      
+      const key = line.startsWith('0x') ? line : `0x${line}`;
+      if (/^0x[0-9a-fA-F]{64}$/.test(key)) {
+        result.keys.push(key);
+      } else {
+        result.invalid.push(index + 1);
+      }
+    });
+    
+    return result;
   }
   
   /**
@@ -351,723 +1018,6693 @@ class FileManager {
   
   /**
    * Loads custom configuration from config.txt (optional)
-   * Format: KEY=VALUE per line
-   * @returns {Object} Configuration object
+   * Format: KEY=VALUE per line, split on the first '=' so values may contain '='
+   * Lines starting with # are comments
+   * @param {string} filename - Config file
+   * @returns {Object|null} Configuration object, or null if the file does not exist
    */
-  static loadCustomConfig() {
-    const configLines = this.loadLines('config.txt');
+  static loadCustomConfig(filename = 'config.txt') {
+    if (!fs.existsSync(filename)) return null;
+    
     const config = {};
     
-    configLines.forEach(line => {
-      const [key, value] = line.split('=');
-      if (key && value) {
-        config[key.trim()] = value.trim();
+    this.loadLines(filename).forEach(line => {
+      if (line.startsWith('#')) return;
+      
+      const separator = line.indexOf('=');
+      if (separator <= 0) {
+        throw new Error(`Invalid line "${line}", expected KEY=VALUE`);
       }
+      
+      config[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
     });
     
     return config;
   }
+  
+  /**
+   * Loads a JSON or YAML config file (optional)
+   * YAML support needs the js-yaml package, which is only required when a YAML file exists
+   * @param {string} filename - config.json, config.yaml or config.yml
+   * @returns {Object|null} Parsed configuration, or null if the file does not exist
+   */
+  static loadConfigFile(filename) {
+    if (!fs.existsSync(filename)) return null;
+    
+    const content = fs.readFileSync(filename, 'utf8');
+    let parsed;
+    
+    if (/\.ya?ml$/.test(filename)) {
+      let yaml;
+      try {
+        yaml = require('js-yaml');
+      } catch {
+        throw new Error('YAML config files need the js-yaml package (npm install js-yaml)');
+      }
+      parsed = yaml.load(content);
+    } else {
+      parsed = JSON.parse(content);
+    }
+    
+    if (parsed === null || parsed === undefined) return {};
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('Config file must contain an object');
+    }
+    
+    return parsed;
+  }
 }
 
 /**
- * ProxyManager class for intelligent proxy rotation and tracking
- * Handles proxy selection, success rate tracking, and failure recovery
+ * Error thrown when configuration files or CONFIG/PARAMS values are invalid
+ * Collects every problem so they can be fixed in one pass
  */
-class ProxyManager {
+class ConfigValidationError extends Error {
   /**
-   * Creates a new proxy manager instance
-   * @param {string[]} proxies - List of proxy URLs
+   * @param {string[]} problems - Human-readable problem descriptions
    */
-  constructor(proxies = []) {
-    this.proxies = proxies;
-    this.currentIndex = 0;
-    this.failedProxies = new Set();
-    this.successRates = new Map();
-    
-    // Initialize success rates
-    for (const proxy of proxies) {
-      this.successRates.set(proxy, 0.5); // Start with neutral rating
-    }
+  constructor(problems) {
+    super(`Invalid configuration (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigValidationError';
+    this.problems = problems;
   }
-  
+}
+
+/**
+ * Error thrown for invalid command-line usage (unknown command or option, bad --wallets selection, ...)
+ * Reported without a stack trace or critical notification
+ */
+class CliUsageError extends Error {
   /**
-   * Gets the next best proxy to use
-   * @returns {string|null} Proxy URL or null if none available
+   * @param {string} message - What was wrong with the command line
    */
-  getNext() {
-    if (this.proxies.length === 0) return null;
-    
-    // If most proxies have failed, reset failure status
-    if (this.failedProxies.size >= this.proxies.length * 0.8) {
-      this.failedProxies.clear();
+  constructor(message) {
+    super(message);
+    this.name = 'CliUsageError';
+  }
+}
+
+/**
+ * Typed schema for CONFIG and PARAMS
+ * Keys are dotted CONFIG paths (e.g. 'timing.cycleInterval') or PARAMS names (e.g. 'SWAP_COUNT')
+ * ADD ENTRIES here when adding CONFIG sections or PARAMS, unknown keys in config files are rejected
+ *
+ * Types: string, url, address, integer, number, boolean, enum, amount, range ([min, max]), list and channels
+ */
+const CONFIG_SCHEMA = {
+  'network.name': { type: 'string' },
+  'network.chainId': { type: 'integer', min: 1 },
+  'network.rpcUrl': { type: 'url', placeholder: 'https://rpc-endpoint' },
+  'network.rpcUrls': { type: 'list', items: 'url' },
+  
+  'networks': { type: 'profiles' },
+  
+  ...Object.fromEntries(Object.keys(CONFIG.contract).map(key => [`contract.${key}`, { type: 'address' }])),
+  
+  'api.baseUrl': { type: 'url' },
+  'api.authEndpoint': { type: 'string' },
+  'api.faucetEndpoint': { type: 'string' },
+  'api.userAgent': { type: 'string' },
+  'api.rateLimit': { type: 'number', min: 0 },
+  'api.rateLimitBurst': { type: 'integer', min: 1 },
+  'api.maxRetryDelay': { type: 'integer', min: 0 },
+  'api.breakerThreshold': { type: 'integer', min: 1 },
+  'api.breakerCooldown': { type: 'integer', min: 1000 },
+  
+  'auth.mode': { type: 'enum', values: ['message', 'siwe'] },
+  'auth.message': { type: 'string' },
+  'auth.nonceEndpoint': { type: 'string' },
+  'auth.domain': { type: 'string', nullable: true },
+  'auth.uri': { type: 'url', nullable: true },
+  'auth.statement': { type: 'string' },
+  'auth.expirationMinutes': { type: 'integer', min: 1 },
+  'auth.sessionFile': { type: 'string' },
+  'auth.refreshMargin': { type: 'integer', min: 0 },
+  
+  ...Object.fromEntries(['STAKING', 'FARM'].flatMap(key => [
+    [`staking.${key}.adapter`, { type: 'enum', values: () => [...StakingAdapter.adapters.keys()] }],
+    [`staking.${key}.poolId`, { type: 'integer', min: 0 }],
+    [`staking.${key}.pendingRewardMethod`, { type: 'string' }],
+    [`staking.${key}.stakeToken`, { type: 'address', nullable: true }],
+    [`staking.${key}.rewardToken`, { type: 'address', nullable: true }]
+  ])),
+  
+  'liquidity.tokenB': { type: 'address', nullable: true },
+  
+  'swap.routerType': { type: 'enum', values: ['v2', 'v3'] },
+  'swap.feeTier': { type: 'enum', values: [100, 500, 3000, 10000] },
+  'swap.direction': { type: 'enum', values: ['alternate', 'nativeToToken', 'tokenToNative'] },
+  'swap.deadlineSeconds': { type: 'integer', min: 1 },
+  
+  'timing.betweenInteractions': { type: 'range', min: 0 },
+  'timing.betweenWallets': { type: 'range', min: 0 },
+  'timing.cycleInterval': { type: 'number', min: 0 },
+  'timing.requestTimeout': { type: 'integer', min: 1 },
+  'timing.txTimeout': { type: 'integer', min: 1000 },
+  'timing.receiptPollInterval': { type: 'integer', min: 100 },
+  'timing.gasPricePollInterval': { type: 'integer', min: 1000 },
+  'timing.maxGasPriceWait': { type: 'integer', min: 0 },
+  
+  'display.clearBetweenSteps': { type: 'boolean' },
+  'display.showStepSummary': { type: 'boolean' },
+  'display.compactMode': { type: 'boolean' },
+  'display.showTransactionDetails': { type: 'boolean' },
+  
+  'flow': { type: 'list' },
+  'schedule.file': { type: 'string' },
+  'schedule.steps': { type: 'schedule' },
+  'execution.dryRun': { type: 'boolean' },
+  'execution.networks': { type: 'list' },
+  'execution.concurrency': { type: 'integer', min: 1 },
+  'preflight.enabled': { type: 'boolean' },
+  'preflight.abortOnLowBalance': { type: 'boolean' },
+  'accounts.privateKeysFile': { type: 'string' },
+  'accounts.keystoreDir': { type: 'string' },
+  'accounts.vaultFile': { type: 'string' },
+  'accounts.hdPath': { type: 'string' },
+  'accounts.hdRange': { type: 'range', min: 0, integer: true },
+  
+  'rpc.maxBlockLag': { type: 'integer', min: 0 },
+  'rpc.maxLatency': { type: 'integer', min: 1 },
+  'rpc.probeInterval': { type: 'integer', min: 1000 },
+  'rpc.requestTimeout': { type: 'integer', min: 100 },
+  'rpc.quorum': { type: 'integer', min: 1 },
+  
+  'journal.enabled': { type: 'boolean' },
+  'journal.file': { type: 'string' },
+  'logging.level': { type: 'enum', values: ['debug', 'info', 'warn', 'error'] },
+  'logging.format': { type: 'enum', values: ['text', 'json'] },
+  'logging.color': { type: 'enum', values: ['auto', 'always', 'never'] },
+  'logging.toFile': { type: 'boolean' },
+  'logging.dir': { type: 'string' },
+  'logging.maxFileSize': { type: 'integer', min: 1024 },
+  'logging.rotateInterval': { type: 'enum', values: ['none', 'hourly', 'daily'] },
+  'logging.retention': { type: 'integer', min: 0 },
+  'notifications.enabled': { type: 'boolean' },
+  'notifications.channels': { type: 'channels' },
+  'notifications.throttleSeconds': { type: 'integer', min: 0 },
+  'notifications.lowBalanceThreshold': { type: 'amount' },
+  'metrics.enabled': { type: 'boolean' },
+  'metrics.host': { type: 'string' },
+  'metrics.port': { type: 'integer', min: 1, max: 65535 },
+  'reports.enabled': { type: 'boolean' },
+  'reports.dir': { type: 'string' },
+  'reports.formats': { type: 'list', items: { type: 'enum', values: ['json', 'csv'] } },
+  'reports.historyFile': { type: 'string' },
+  
+  TRANSFER_AMOUNT: { type: 'amount' },
+  TOKEN_TRANSFER_AMOUNT: { type: 'amount' },
+  STAKE_AMOUNT: { type: 'amount', allowAll: true },
+  LIQUIDITY_AMOUNT: { type: 'amount' },
+  LIQUIDITY_REMOVE_SHARE: { type: 'number', min: 0, max: 1 },
+  SWAP_AMOUNT: { type: 'amount' },
+  SWAP_TOKEN_AMOUNT: { type: 'amount', allowAll: true },
+  WRAP_AMOUNT: { type: 'amount', allowAll: true },
+  UNWRAP_AMOUNT: { type: 'amount', allowAll: true },
+  
+  TRANSFER_COUNT: { type: 'integer', min: 0 },
+  TOKEN_TRANSFER_COUNT: { type: 'integer', min: 0 },
+  STAKE_COUNT: { type: 'integer', min: 0 },
+  UNSTAKE_COUNT: { type: 'integer', min: 0 },
+  SWAP_COUNT: { type: 'integer', min: 0 },
+  LIQUIDITY_COUNT: { type: 'integer', min: 0 },
+  REMOVE_LIQUIDITY_COUNT: { type: 'integer', min: 0 },
+  WRAP_COUNT: { type: 'integer', min: 0 },
+  UNWRAP_COUNT: { type: 'integer', min: 0 },
+  
+  SLIPPAGE_TOLERANCE: { type: 'number', min: 0, max: 0.5 },
+  GAS_MULTIPLIER: { type: 'number', min: 1, max: 5 },
+  FEE_BUMP: { type: 'number', min: 1.1, max: 3 },
+  
+  FEE_MODE: { type: 'enum', values: ['auto', 'eip1559', 'legacy', 'zero'] },
+  FEE_HISTORY_BLOCKS: { type: 'integer', min: 1, max: 1024 },
+  PRIORITY_FEE_PERCENTILE: { type: 'number', min: 0, max: 100 },
+  MAX_GAS_PRICE_GWEI: { type: 'number', min: 0 },
+  
+  APPROVAL_MODE: { type: 'enum', values: ['exact', 'capped'] },
+  APPROVAL_CAP: { type: 'amount' },
+  REVOKE_ALLOWANCES: { type: 'boolean' },
+  
+  RANDOMIZE: { type: 'boolean' },
+  VARIATION: { type: 'number', min: 0, max: 1 },
+  
+  MAX_RETRIES: { type: 'integer', min: 0, max: 20 },
+  MAX_REPLACEMENTS: { type: 'integer', min: 0, max: 10 },
+  RETRY_DELAY_BASE: { type: 'integer', min: 0 }
+};
+
+/**
+ * ConfigLoader static class for applying and validating configuration
+ * Applies config.txt / config.json / config.yaml on top of CONFIG and PARAMS,
+ * then validates the result against CONFIG_SCHEMA and the steps in CONFIG.flow
+ */
+class ConfigLoader {
+  /**
+   * Loads every config file, applies it and validates the resulting configuration
+   * @param {string[]} files - Config files, applied in order (later files win)
+   * @returns {{files: string[], applied: string[]}} Loaded files and applied keys
+   * @throws {ConfigValidationError} Listing every invalid or unknown key and placeholder value
+   */
+  static loadAndValidate(files = ConfigLoader.FILES) {
+    const { files: loaded, applied, problems } = this.load(files);
+    problems.push(...this.validate());
+    
+    if (problems.length > 0) {
+      throw new ConfigValidationError(problems);
     }
     
-    // Find best available proxy based on success rate
-    const availableProxies = this.proxies.filter(p => !this.failedProxies.has(p));
-    if (availableProxies.length === 0) return null;
+    return { files: loaded, applied };
+  }
+  
+  /**
+   * Loads and applies every config file, then ConfigLoader.overrides, without validating the result
+   * Used by tools that do not need a deployable configuration (e.g. the accounts CLI)
+   * @param {string[]} files - Config files, applied in order (later files win)
+   * @returns {{files: string[], applied: string[], problems: string[]}} Loaded files, keys applied from them and problems
+   */
+  static load(files = ConfigLoader.FILES) {
+    const problems = [];
+    const loaded = [];
+    const applied = [];
     
-    // Sort by success rate (highest first)
-    availableProxies.sort((a, b) => {
-      return (this.successRates.get(b) || 0) - (this.successRates.get(a) || 0);
-    });
+    for (const file of files) {
+      let entries;
+      try {
+        entries = file.endsWith('.txt')
+          ? FileManager.loadCustomConfig(file)
+          : FileManager.loadConfigFile(file);
+      } catch (error) {
+        problems.push(`${file}: ${error.message}`);
+        continue;
+      }
+      
+      if (!entries) continue;
+      loaded.push(file);
+      applied.push(...this.apply(entries, problems, file));
+    }
     
-    // Return best performing proxy with some randomization to prevent overuse
-    const randomIndex = Math.floor(Math.random() * Math.min(3, availableProxies.length));
-    return availableProxies[randomIndex];
+    this.apply(this.overrides, problems, 'command line');
+    
+    return { files: loaded, applied, problems };
   }
   
   /**
-   * Records a successful operation with a proxy
-   * @param {string} proxy - The proxy that was successful
+   * Applies configuration entries to CONFIG and PARAMS
+   * Nested objects are flattened to dotted keys, so JSON/YAML files may mirror CONFIG's layout
+   * @param {Object} entries - Key/value entries
+   * @param {string[]} problems - Problem list to append to
+   * @param {string} source - Source name used in problem messages
+   * @returns {string[]} Schema keys that were applied
    */
-  recordSuccess(proxy) {
-    if (!proxy) return;
+  static apply(entries, problems = [], source = 'config') {
+    const applied = [];
     
-    const currentRate = this.successRates.get(proxy) || 0.5;
-    const newRate = currentRate * 0.8 + 0.2; // Weighted update, max 1.0
-    this.successRates.set(proxy, Math.min(1.0, newRate));
+    for (const [rawKey, rawValue] of Object.entries(this.flatten(entries))) {
+      const key = this.resolveKey(rawKey);
+      const rule = CONFIG_SCHEMA[key];
+      
+      if (!rule) {
+        problems.push(`${source}: unknown key "${rawKey}"`);
+        continue;
+      }
+      
+      try {
+        this.set(key, this.coerce(rawValue, rule));
+        applied.push(key);
+      } catch (error) {
+        problems.push(`${source}: ${rawKey} ${error.message}`);
+      }
+    }
+    
+    return applied;
   }
   
   /**
-   * Records a failed operation with a proxy
-   * @param {string} proxy - The proxy that failed
+   * Flattens nested objects into dotted keys, stopping at schema leaves
+   * @param {Object} entries - Possibly nested entries
+   * @param {string} prefix - Key prefix
+   * @returns {Object} Flat entries
    */
-  recordFailure(proxy) {
-    if (!proxy) return;
+  static flatten(entries, prefix = '') {
+    const flat = {};
     
-    const currentRate = this.successRates.get(proxy) || 0.5;
-    const newRate = currentRate * 0.8; // Weighted update, decrease by 20%
-    this.successRates.set(proxy, newRate);
+    for (const [key, value] of Object.entries(entries)) {
+      const fullKey = prefix ? `${prefix}.${key}` : key;
+      const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+      
+      if (isObject && !CONFIG_SCHEMA[this.resolveKey(fullKey)]) {
+        Object.assign(flat, this.flatten(value, fullKey));
+      } else {
+        flat[fullKey] = value;
+      }
+    }
     
-    // Mark as failed if success rate drops too low
-    if (newRate < 0.2) {
-      this.failedProxies.add(proxy);
+    return flat;
+  }
+  
+  /**
+   * Normalizes a config key to its schema key
+   * Accepts 'CONFIG.' / 'PARAMS.' prefixes (any case) and bare PARAMS names
+   * @param {string} key - Raw key
+   * @returns {string} Schema key
+   */
+  static resolveKey(key) {
+    return key.trim().replace(/^(config|params)\./i, '');
+  }
+  
+  /**
+   * Reads the current value for a schema key
+   * @param {string} key - Schema key
+   * @returns {any} Current value
+   */
+  static get(key) {
+    if (Object.prototype.hasOwnProperty.call(PARAMS, key)) return PARAMS[key];
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), CONFIG);
+  }
+  
+  /**
+   * Writes a value for a schema key into CONFIG or PARAMS
+   * @param {string} key - Schema key
+   * @param {any} value - Coerced value
+   */
+  static set(key, value) {
+    if (!key.includes('.') && key !== 'flow') {
+      PARAMS[key] = value;
+      return;
     }
+    
+    const parts = key.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((node, part) => {
+      if (node[part] == null) node[part] = {};
+      return node[part];
+    }, CONFIG);
+    target[last] = value;
   }
   
   /**
-   * Gets statistics about proxy availability
-   * @returns {Object} Proxy statistics
+   * Coerces a raw value (string from config.txt, or parsed JSON/YAML) to a schema type
+   * @param {any} value - Raw value
+   * @param {Object} rule - Schema rule
+   * @returns {any} Coerced value
+   * @throws {Error} Describing why the value is invalid
    */
-  getStats() {
-    return {
-      total: this.proxies.length,
-      available: this.proxies.length - this.failedProxies.size,
-      failed: this.failedProxies.size
+  static coerce(value, rule) {
+    const text = typeof value === 'string' ? value.trim() : value;
+    
+    if (rule.nullable && (text === null || text === '' || text === 'null')) {
+      return null;
+    }
+    
+    switch (rule.type) {
+      case 'string':
+        if (text === null || typeof text === 'object') throw new Error('must be a string');
+        return String(text);
+        
+      case 'url': {
+        let url;
+        try {
+          url = new URL(String(text));
+        } catch {
+          throw new Error(`must be a URL, got "${text}"`);
+        }
+        // RPC endpoints are served over JSON-RPC HTTP, API and notification endpoints through axios
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          throw new Error(`must be an http(s) URL, got "${text}"`);
+        }
+        return String(text);
+      }
+      
+      case 'address':
+        if (typeof text !== 'string' || !ethers.isAddress(text)) throw new Error(`must be an address, got "${text}"`);
+        return ethers.getAddress(text);
+        
+      case 'integer':
+      case 'number': {
+        const number = typeof text === 'number' ? text : Number(text);
+        if (text === '' || text === null || typeof text === 'boolean' || !Number.isFinite(number)) {
+          throw new Error(`must be a number, got "${text}"`);
+        }
+        if (rule.type === 'integer' && !Number.isInteger(number)) throw new Error(`must be an integer, got ${number}`);
+        this.checkRange(number, rule);
+        return number;
+      }
+      
+      case 'boolean':
+        if (typeof text === 'boolean') return text;
+        if (['true', 'yes', 'on', '1'].includes(String(text).toLowerCase())) return true;
+        if (['false', 'no', 'off', '0'].includes(String(text).toLowerCase())) return false;
+        throw new Error(`must be true or false, got "${text}"`);
+        
+      case 'enum': {
+        const values = typeof rule.values === 'function' ? rule.values() : rule.values;
+        const match = values.find(allowed => String(allowed) === String(text));
+        if (match === undefined) throw new Error(`must be one of ${values.join(', ')}, got "${text}"`);
+        return match;
+      }
+      
+      case 'amount': {
+        const amount = String(text);
+        if (rule.allowAll && (amount === 'all' || amount === 'max')) return amount;
+        if (!/^\d+(\.\d+)?$/.test(amount)) {
+          throw new Error(`must be a decimal amount${rule.allowAll ? " or 'all'" : ''}, got "${text}"`);
+        }
+        return amount;
+      }
+      
+      case 'range': {
+        const parts = Array.isArray(text) ? text : String(text).replace(/^\[|\]$/g, '').split(',');
+        const range = parts.map(part => (typeof part === 'number' ? part : Number(String(part).trim())));
+        if (range.length !== 2 || range.some(number => !Number.isFinite(number))) {
+          throw new Error(`must be a [min, max] pair, got "${text}"`);
+        }
+        if (rule.integer && !range.every(Number.isInteger)) throw new Error(`must be whole numbers, got "${text}"`);
+        range.forEach(number => this.checkRange(number, rule));
+        if (range[0] > range[1]) throw new Error(`min ${range[0]} is greater than max ${range[1]}`);
+        return range;
+      }
+      
+      case 'list': {
+        const items = Array.isArray(text) ? text : String(text).replace(/^\[|\]$/g, '').split(',');
+        const list = items.map(item => String(item).trim()).filter(item => item);
+        if (!rule.items) return list;
+        
+        // items is an item type name or a full rule (e.g. an enum with its values)
+        const itemRule = typeof rule.items === 'string' ? { type: rule.items } : rule.items;
+        return list.map(item => this.coerce(item, itemRule));
+      }
+      
+      case 'channels': {
+        if (!Array.isArray(text)) throw new Error('must be a list of channel objects');
+        text.forEach((channel, index) => {
+          if (!channel || !Notifier.FORMATS[channel.type]) {
+            throw new Error(`[${index}] type must be one of ${Object.keys(Notifier.FORMATS).join(', ')}`);
+          }
+          try {
+            this.coerce(channel.url, { type: 'url' });
+          } catch (error) {
+            throw new Error(`[${index}] url ${error.message}`);
+          }
+          if (channel.type === 'telegram' && !channel.chatId) throw new Error(`[${index}] telegram channels need a chatId`);
+          const unknown = (channel.events || []).filter(event => !Notifier.EVENTS.includes(event));
+          if (unknown.length > 0) throw new Error(`[${index}] has unknown event(s): ${unknown.join(', ')}`);
+        });
+        return text;
+      }
+      
+      case 'schedule': {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        if (!isObject(text)) throw new Error('must be an object of step id -> cadence');
+        for (const [stepId, cadence] of Object.entries(text)) {
+          try {
+            StepScheduler.checkCadence(cadence);
+          } catch (error) {
+            throw new Error(`${stepId} ${error.message}`);
+          }
+        }
+        return text;
+      }
+      
+      case 'profiles': {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        if (!isObject(text) || !Object.values(text).every(isObject)) {
+          throw new Error('must be an object of named profile objects');
+        }
+        return text;
+      }
+      
+      default:
+        throw new Error(`has unknown schema type "${rule.type}"`);
+    }
+  }
+  
+  /**
+   * Checks a number against a rule's min/max
+   * @param {number} number - Value
+   * @param {Object} rule - Schema rule
+   * @throws {Error} If the value is out of range
+   */
+  static checkRange(number, rule) {
+    if (rule.min !== undefined && number < rule.min) throw new Error(`must be >= ${rule.min}, got ${number}`);
+    if (rule.max !== undefined && number > rule.max) throw new Error(`must be <= ${rule.max}, got ${number}`);
+  }
+  
+  /**
+   * Validates the current CONFIG and PARAMS
+   * Checks every schema value, the steps in CONFIG.flow, the contracts they require
+   * and placeholder values that were never customized
+   * @returns {string[]} Problems found
+   */
+  static validate() {
+    const runList = CONFIG.execution.networks;
+    if (runList.length === 0) {
+      return this.validateCurrent();
+    }
+    
+    // Each profile is validated as it will run: base configuration plus the profile overrides
+    const problems = [];
+    for (const name of runList) {
+      try {
+        NetworkProfiles.use(name);
+        problems.push(...this.validateCurrent().map(problem => `[${name}] ${problem}`));
+      } catch (error) {
+        if (!(error instanceof ConfigValidationError)) throw error;
+        problems.push(...error.problems.map(problem => `[${name}] ${problem}`));
+      } finally {
+        NetworkProfiles.restore();
+      }
+    }
+    
+    return problems;
+  }
+  
+  /**
+   * Validates the configuration currently applied to CONFIG and PARAMS
+   * @returns {string[]} Problems found
+   */
+  static validateCurrent() {
+    const problems = [];
+    
+    for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+      const value = this.get(key);
+      if (value === undefined) continue;
+      
+      try {
+        this.coerce(value, rule);
+      } catch (error) {
+        problems.push(`${key} ${error.message}`);
+        continue;
+      }
+      
+      if (rule.placeholder !== undefined && value === rule.placeholder) {
+        problems.push(`${key} is still the placeholder "${rule.placeholder}"`);
+      }
+    }
+    
+    let flow = [];
+    try {
+      flow = stepRegistry.resolve(CONFIG.flow);
+    } catch (error) {
+      problems.push(`flow: ${error.message}`);
+    }
+    
+    // Zero-address contracts are only a problem when a step in the flow needs them
+    const missing = new Map();
+    for (const step of flow) {
+      for (const contractKey of stepRegistry.getRequiredContracts(step)) {
+        if (!CONFIG.contract[contractKey] || CONFIG.contract[contractKey] === ethers.ZeroAddress) {
+          missing.set(contractKey, [...(missing.get(contractKey) || []), step.id]);
+        }
+      }
+    }
+    missing.forEach((steps, contractKey) => {
+      problems.push(`contract.${contractKey} is the zero-address placeholder but is required by: ${steps.join(', ')}`);
+    });
+    
+    for (const [stepId, cadence] of Object.entries(CONFIG.schedule.steps)) {
+      const step = stepRegistry.get(stepId);
+      if (!step) {
+        problems.push(`schedule.steps.${stepId} is not a registered step`);
+      } else if (cadence && cadence.cooldown === true && !step.cooldown) {
+        problems.push(`schedule.steps.${stepId} uses { cooldown: true } but the step has no cooldown() query, use { cooldown: { contract, method } }`);
+      }
+    }
+    
+    return problems;
+  }
+}
+
+// Config files applied in order, later files override earlier ones
+ConfigLoader.FILES = ['config.txt', 'config.json', 'config.yaml', 'config.yml'];
+
+// Command-line --set/--steps/--dry-run entries, applied after the files and after every network profile
+ConfigLoader.overrides = {};
+
+/**
+ * NetworkProfiles static class for multi-chain runs
+ * Applies a named profile from CONFIG.networks on top of the base CONFIG and PARAMS,
+ * and restores the base afterwards so the next profile starts from the same defaults
+ */
+class NetworkProfiles {
+  /**
+   * Applies a network profile
+   * Profiles mirror CONFIG's layout (network, contract, swap, flow, ...), with PARAMS overrides under `params`
+   * @param {string} name - Profile name in CONFIG.networks
+   * @throws {ConfigValidationError} If the profile has invalid or unknown keys
+   */
+  static use(name) {
+    const profile = CONFIG.networks[name];
+    if (!profile) {
+      throw new ConfigValidationError([`Unknown network profile "${name}"`]);
+    }
+    
+    if (this.base) {
+      this.restore();
+    }
+    this.base = { config: structuredClone(CONFIG), params: structuredClone(PARAMS) };
+    this.active = name;
+    
+    const problems = [];
+    ConfigLoader.apply(profile, problems, `networks.${name}`);
+    ConfigLoader.apply(ConfigLoader.overrides, problems, 'command line'); // Command line wins over the profile
+    if (problems.length > 0) {
+      this.restore();
+      throw new ConfigValidationError(problems);
+    }
+  }
+  
+  /**
+   * Restores the base CONFIG and PARAMS captured by use()
+   */
+  static restore() {
+    if (!this.base) return;
+    
+    const { config, params } = this.base;
+    Object.keys(CONFIG).forEach(key => { if (!(key in config)) delete CONFIG[key]; });
+    Object.assign(CONFIG, config);
+    Object.keys(PARAMS).forEach(key => { if (!(key in params)) delete PARAMS[key]; });
+    Object.assign(PARAMS, params);
+    
+    this.base = null;
+    this.active = null;
+  }
+  
+  /**
+   * Gets the profiles to run each cycle
+   * @returns {Array<string|null>} Profile names, or [null] to run the base CONFIG.network only
+   */
+  static getRunList() {
+    return CONFIG.execution.networks.length > 0 ? [...CONFIG.execution.networks] : [null];
+  }
+}
+
+NetworkProfiles.base = null;
+NetworkProfiles.active = null;
+
+/**
+ * Encrypted vault holding private keys and HD mnemonics
+ * The payload is encrypted with AES-256-GCM under a key derived from the passphrase with scrypt
+ */
+class KeyVault {
+  /**
+   * Creates a vault bound to a file
+   * @param {string} file - Vault file path
+   */
+  constructor(file = CONFIG.accounts.vaultFile) {
+    this.file = file;
+  }
+  
+  /**
+   * Checks whether the vault file exists
+   * @returns {boolean} True if the vault exists
+   */
+  exists() {
+    return fs.existsSync(this.file);
+  }
+  
+  /**
+   * Derives the AES key from a passphrase
+   * @param {string} passphrase - Vault passphrase
+   * @param {Object} kdf - { salt, n, r, p } scrypt parameters
+   * @returns {Buffer} 32-byte key
+   */
+  static deriveKey(passphrase, kdf) {
+    return crypto.scryptSync(passphrase, Buffer.from(kdf.salt, 'hex'), 32, {
+      N: kdf.n,
+      r: kdf.r,
+      p: kdf.p,
+      maxmem: 256 * kdf.n * kdf.r
+    });
+  }
+  
+  /**
+   * Decrypts the vault
+   * @param {string} passphrase - Vault passphrase
+   * @returns {{keys: Object[], mnemonics: Object[]}} Vault payload
+   * @throws {Error} On a wrong passphrase or a corrupted vault
+   */
+  unlock(passphrase) {
+    const record = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    const key = KeyVault.deriveKey(passphrase, record.kdf);
+    
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(record.iv, 'hex'));
+      decipher.setAuthTag(Buffer.from(record.tag, 'hex'));
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(record.ciphertext, 'hex')), decipher.final()]);
+      const payload = JSON.parse(plaintext.toString('utf8'));
+      
+      return { keys: payload.keys || [], mnemonics: payload.mnemonics || [] };
+    } catch {
+      throw new Error(`Wrong passphrase or corrupted vault ${this.file}`);
+    }
+  }
+  
+  /**
+   * Encrypts and writes the vault (owner read/write only)
+   * @param {{keys: Object[], mnemonics: Object[]}} payload - Vault payload
+   * @param {string} passphrase - Vault passphrase
+   */
+  save(payload, passphrase) {
+    const kdf = { name: 'scrypt', salt: crypto.randomBytes(32).toString('hex'), n: 2 ** 15, r: 8, p: 1 };
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', KeyVault.deriveKey(passphrase, kdf), iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+    
+    const record = {
+      version: 1,
+      cipher: 'aes-256-gcm',
+      kdf,
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex')
     };
+    
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(this.file, JSON.stringify(record, null, 2), { mode: 0o600 });
   }
 }
 
 /**
- * Base API client for interacting with DeFi protocol APIs
- * EXTEND THIS CLASS for protocol-specific implementations
+ * Loads signing accounts from every configured source
+ * Sources: encrypted vault, Web3 Secret Storage keystores, vault mnemonics (by index range)
+ * and the plaintext CONFIG.accounts.privateKeysFile
  */
-class BaseAPIClient {
-  constructor(wallet, logger, proxy = null) {
-    this.wallet = wallet;
+class AccountManager {
+  /**
+   * Creates a new account manager
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(logger) {
     this.logger = logger;
-    this.proxy = proxy;
-    this.baseURL = CONFIG.api.baseUrl;
-    this.authToken = null;
-    this.retryCount = 0;
-    this.maxRetries = PARAMS.MAX_RETRIES;
+    this.passphrase = null; // Session passphrase, asked once and reused for every encrypted source
+  }
+  
+  /**
+   * Gets the session passphrase, prompting for it the first time
+   * @returns {Promise<string>} Passphrase
+   */
+  async getPassphrase() {
+    if (this.passphrase === null) {
+      this.passphrase = await promptSecret('🔑 Passphrase: ');
+      redactor.add(this.passphrase);
+    }
+    return this.passphrase;
+  }
+  
+  /**
+   * Selects accounts by index (as listed by "accounts list"), index range or address
+   * @param {Object[]} accounts - Accounts from loadAll()
+   * @param {string|null} selector - Comma-separated entries, e.g. '0,2,5-7,0xAbC...' (null = every account)
+   * @returns {Object[]} Selected accounts, in load order
+   * @throws {CliUsageError} If an entry matches no account
+   */
+  static select(accounts, selector) {
+    if (!selector) return accounts;
+    
+    const selected = new Set();
+    for (const entry of String(selector).split(',').map(part => part.trim()).filter(part => part)) {
+      const range = entry.match(/^(\d+)(?:-(\d+))?$/);
+      if (range) {
+        const start = Number(range[1]);
+        const end = Number(range[2] ?? range[1]);
+        if (start > end || end >= accounts.length) {
+          throw new CliUsageError(`--wallets ${entry} is outside the ${accounts.length} loaded account(s) (0-${accounts.length - 1})`);
+        }
+        for (let index = start; index <= end; index++) selected.add(index);
+        continue;
+      }
+      
+      const index = accounts.findIndex(account => account.address.toLowerCase() === entry.toLowerCase());
+      if (index === -1) throw new CliUsageError(`--wallets ${entry} matches no loaded account`);
+      selected.add(index);
+    }
+    
+    if (selected.size === 0) throw new CliUsageError(`--wallets "${selector}" selects no account`);
+    return accounts.filter((account, index) => selected.has(index));
+  }
+  
+  /**
+   * Loads accounts from all sources, de-duplicated by address
+   * @returns {Promise<Object[]>} Accounts as { address, privateKey, source }
+   */
+  async loadAll() {
+    const accounts = new Map();
+    const add = (privateKey, source) => {
+      redactor.add(privateKey);
+      const address = new ethers.Wallet(privateKey).address;
+      if (!accounts.has(address)) {
+        accounts.set(address, { address, privateKey, source });
+      }
+    };
+    
+    const vault = new KeyVault(CONFIG.accounts.vaultFile);
+    if (vault.exists()) {
+      const { keys, mnemonics } = vault.unlock(await this.getPassphrase());
+      keys.forEach(entry => add(entry.privateKey, 'vault'));
+      mnemonics.forEach(entry => {
+        redactor.add(entry.phrase);
+        this.deriveMnemonic(entry).forEach(({ privateKey, index }) => add(privateKey, `mnemonic #${index}`));
+      });
+    }
+    
+    for (const file of this.listKeystores()) {
+      const wallet = await this.decryptKeystore(file);
+      add(wallet.privateKey, `keystore ${path.basename(file)}`);
+    }
+    
+    const { keys, invalid } = FileManager.loadPrivateKeys(CONFIG.accounts.privateKeysFile);
+    keys.forEach(privateKey => add(privateKey, CONFIG.accounts.privateKeysFile));
+    if (invalid.length > 0) {
+      this.logger.warn(`Ignored ${invalid.length} invalid line(s) in ${CONFIG.accounts.privateKeysFile}: line ${invalid.join(', ')}`);
+    }
+    if (keys.length > 0) {
+      this.logger.warn(`${keys.length} plaintext key(s) in ${CONFIG.accounts.privateKeysFile} - move them into the vault with "accounts import"`);
+    }
+    
+    return [...accounts.values()];
+  }
+  
+  /**
+   * Lists keystore files in CONFIG.accounts.keystoreDir
+   * @returns {string[]} Keystore file paths
+   */
+  listKeystores() {
+    const dir = CONFIG.accounts.keystoreDir;
+    if (!dir || !fs.existsSync(dir)) return [];
+    
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json') || file.startsWith('UTC--'))
+      .sort()
+      .map(file => path.join(dir, file));
+  }
+  
+  /**
+   * Decrypts a Web3 Secret Storage keystore
+   * Tries the session passphrase first, then prompts for the file's own passphrase
+   * @param {string} file - Keystore path
+   * @returns {Promise<ethers.Wallet>} Decrypted wallet
+   */
+  async decryptKeystore(file) {
+    const json = fs.readFileSync(file, 'utf8');
+    
+    try {
+      return await ethers.Wallet.fromEncryptedJson(json, await this.getPassphrase());
+    } catch {
+      const passphrase = await promptSecret(`🔑 Passphrase for ${path.basename(file)}: `);
+      redactor.add(passphrase);
+      try {
+        return await ethers.Wallet.fromEncryptedJson(json, passphrase);
+      } catch {
+        throw new Error(`Could not decrypt keystore ${path.basename(file)}: wrong passphrase`);
+      }
+    }
+  }
+  
+  /**
+   * Derives accounts from a mnemonic over an inclusive index range
+   * @param {Object} entry - { phrase, path?, range? } vault mnemonic entry
+   * @returns {Object[]} Derived { index, privateKey }
+   */
+  deriveMnemonic(entry) {
+    const mnemonic = ethers.Mnemonic.fromPhrase(entry.phrase);
+    const basePath = entry.path || CONFIG.accounts.hdPath;
+    const [from, to] = entry.range || CONFIG.accounts.hdRange;
+    const derived = [];
+    
+    for (let index = from; index <= to; index++) {
+      derived.push({ index, privateKey: ethers.HDNodeWallet.fromMnemonic(mnemonic, `${basePath}/${index}`).privateKey });
+    }
+    
+    return derived;
+  }
+}
+
+/**
+ * TransactionJournal class for crash recovery
+ * Appends every submitted transaction and completed step unit to a JSONL file,
+ * so an interrupted cycle can be reconciled and resumed after a restart
+ */
+class TransactionJournal {
+  /**
+   * Creates a new journal
+   * @param {string} file - Journal file path
+   */
+  constructor(file = CONFIG.journal.file) {
+    this.file = file;
+    this.cycleId = null;
+    this.cycleCompleted = true;
+    this.network = null;             // Network profile that new records belong to (null = CONFIG.network)
+    this.transactions = new Map();   // hash -> latest tx record
+    this.units = new Map();          // cycle:network:wallet:step:index -> success
+    this.wallets = new Map();        // cycle:network:wallet -> wallet result
+  }
+  
+  /**
+   * Scopes units, wallet results and reconciliation to a network profile
+   * @param {string|null} network - Profile name, or null for CONFIG.network
+   */
+  setNetwork(network) {
+    this.network = network;
+  }
+  
+  /**
+   * Serializes a record, tagging bigint values so they survive a round trip
+   * @param {Object} record - Journal record
+   * @returns {string} JSON line
+   */
+  static serialize(record) {
+    return JSON.stringify(record, (key, value) => (typeof value === 'bigint' ? `${value}n` : value));
+  }
+  
+  /**
+   * Parses a journal line, restoring tagged bigint values
+   * @param {string} line - JSON line
+   * @returns {Object} Journal record
+   */
+  static parse(line) {
+    return JSON.parse(line, (key, value) => (typeof value === 'string' && /^\d+n$/.test(value) ? BigInt(value.slice(0, -1)) : value));
+  }
+  
+  /**
+   * Loads the journal from disk and rebuilds the in-memory state
+   * A truncated last line (crash mid-write) is ignored
+   * @returns {TransactionJournal} This journal
+   */
+  load() {
+    for (const line of FileManager.loadLines(this.file)) {
+      try {
+        this.apply(TransactionJournal.parse(line));
+      } catch (error) {
+        // Partial line from an interrupted write
+      }
+    }
+    
+    return this;
+  }
+  
+  /**
+   * Applies a record to the in-memory state
+   * @param {Object} record - Journal record
+   */
+  apply(record) {
+    switch (record.type) {
+      case 'cycle':
+        this.cycleId = record.cycle;
+        this.cycleCompleted = record.status === 'completed';
+        break;
+      case 'tx':
+        this.transactions.set(record.hash, { ...this.transactions.get(record.hash), ...record });
+        break;
+      case 'unit':
+        this.units.set(TransactionJournal.unitKey(record.cycle, record.network, record.wallet, record.step, record.index), record.success);
+        break;
+      case 'wallet':
+        this.wallets.set(`${record.cycle}:${record.network || ''}:${record.wallet}`, record.result);
+        break;
+    }
+  }
+  
+  /**
+   * Appends a record to the journal file
+   * Writes synchronously so the record is on disk before the next interaction starts
+   * @param {Object} record - Journal record
+   */
+  append(record) {
+    const entry = { ...record, ts: new Date().toISOString() };
+    
+    fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+    fs.appendFileSync(this.file, TransactionJournal.serialize(entry) + '\n');
+    this.apply(entry);
+  }
+  
+  /**
+   * Builds the key of a step unit (one repetition of a step)
+   * @returns {string} Unit key
+   */
+  static unitKey(cycle, network, wallet, step, index) {
+    return `${cycle}:${network || ''}:${wallet.toLowerCase()}:${step}:${index}`;
+  }
+  
+  /**
+   * Starts a new cycle, or resumes the last one if it never completed
+   * @returns {{id: string, resumed: boolean}} Cycle information
+   */
+  startCycle() {
+    if (this.cycleId && !this.cycleCompleted) {
+      return { id: this.cycleId, resumed: true };
+    }
+    
+    this.append({ type: 'cycle', cycle: new Date().toISOString(), status: 'started' });
+    return { id: this.cycleId, resumed: false };
+  }
+  
+  /**
+   * Marks the current cycle as completed and compacts the journal
+   */
+  completeCycle() {
+    this.append({ type: 'cycle', cycle: this.cycleId, status: 'completed' });
+    this.compact();
+  }
+  
+  /**
+   * Rewrites the journal with only what a restart still needs: the completed cycle
+   * and transactions that are still pending. Written to a temporary file and renamed,
+   * so a crash mid-compaction leaves the previous journal intact
+   */
+  compact() {
+    const pending = [...this.transactions.values()].filter(tx => tx.status === 'submitted');
+    const records = [{ type: 'cycle', cycle: this.cycleId, status: 'completed', ts: new Date().toISOString() }, ...pending];
+    const temp = `${this.file}.tmp`;
+    
+    fs.writeFileSync(temp, records.map(record => TransactionJournal.serialize(record) + '\n').join(''));
+    fs.renameSync(temp, this.file);
+    
+    this.transactions.clear();
+    this.units.clear();
+    this.wallets.clear();
+    records.forEach(record => this.apply(record));
+  }
+  
+  /**
+   * Records a transaction status change
+   * Fields of a previously stored record (ts, cycle) are replaced by the current ones
+   * @param {Object} record - { wallet, step, index, nonce, hash, status, gasUsed, fee }
+   */
+  recordTransaction(record) {
+    const { ts, cycle, type, ...fields } = record;
+    
+    // The unit a transaction was sent for is fixed at submission, later records keep it through the merge
+    if (fields.status === 'submitted' && fields.step !== undefined) {
+      fields.unit = TransactionJournal.unitKey(this.cycleId, this.network, fields.wallet, fields.step, fields.index);
+    }
+    
+    this.append({ type: 'tx', cycle: this.cycleId, network: this.network, ...fields, wallet: record.wallet.toLowerCase() });
+  }
+  
+  /**
+   * Gets the function selector a request calls, which identifies the transaction within its unit
+   * @param {Object} request - Transaction request
+   * @returns {string} 4-byte selector, or '0x' for plain value transfers
+   */
+  static getSelector(request) {
+    return (request.data || '0x').slice(0, 10);
+  }
+  
+  /**
+   * Finds a confirmed transaction sent by a step unit of the current cycle
+   * @param {string} wallet - Wallet address
+   * @param {string} step - Step id
+   * @param {number} index - Repetition index
+   * @param {string} selector - Function selector of the call (see getSelector)
+   * @param {Set<string>} excluded - Hashes already reused by the unit
+   * @returns {Object|undefined} Transaction record
+   */
+  findConfirmed(wallet, step, index, selector, excluded) {
+    const unit = TransactionJournal.unitKey(this.cycleId, this.network, wallet, step, index);
+    return [...this.transactions.values()]
+      .find(tx => tx.unit === unit && tx.selector === selector && tx.status === 'confirmed' && !excluded.has(tx.hash));
+  }
+  
+  /**
+   * Records a finished step unit
+   * @param {string} wallet - Wallet address
+   * @param {string} step - Step id
+   * @param {number} index - Repetition index
+   * @param {boolean} success - Unit result
+   */
+  recordUnit(wallet, step, index, success) {
+    this.append({ type: 'unit', cycle: this.cycleId, network: this.network, wallet: wallet.toLowerCase(), step, index, success });
+  }
+  
+  /**
+   * Gets the recorded result of a step unit in the current cycle
+   * @returns {boolean|undefined} Recorded success, or undefined if the unit has not finished
+   */
+  getUnit(wallet, step, index) {
+    return this.units.get(TransactionJournal.unitKey(this.cycleId, this.network, wallet, step, index));
+  }
+  
+  /**
+   * Records the final result of a wallet in the current cycle
+   * @param {string} wallet - Wallet address
+   * @param {Object} result - Wallet result
+   */
+  recordWalletResult(wallet, result) {
+    this.append({ type: 'wallet', cycle: this.cycleId, network: this.network, wallet: wallet.toLowerCase(), result });
+  }
+  
+  /**
+   * Gets the result of a wallet that already completed the current cycle
+   * @param {string} wallet - Wallet address
+   * @returns {Object|undefined} Wallet result
+   */
+  getWalletResult(wallet) {
+    return this.wallets.get(`${this.cycleId}:${this.network || ''}:${wallet.toLowerCase()}`);
+  }
+  
+  /**
+   * Reconciles a wallet's submitted transactions against on-chain receipts
+   * Step units are only marked finished by runStep once their handler returns, so an
+   * interrupted unit is re-run; sendTransaction reuses the calls it finds confirmed here
+   * @param {ethers.Wallet} wallet - Wallet with a connected provider
+   * @param {Logger} logger - Logger instance
+   */
+  async reconcileWallet(wallet, logger) {
+    const address = wallet.address.toLowerCase();
+    const pending = [...this.transactions.values()]
+      .filter(tx => tx.wallet === address && (tx.network || null) === this.network && tx.status === 'submitted');
+    
+    if (pending.length === 0) return;
+    
+    logger.warn(`Reconciling ${pending.length} pending transaction(s) from the journal`);
+    
+    // Group replacements by nonce - at most one of them can be mined
+    const byNonce = new Map();
+    pending.forEach(tx => byNonce.set(tx.nonce, [...(byNonce.get(tx.nonce) || []), tx]));
+    
+    for (const [nonce, group] of byNonce) {
+      let receipt = null;
+      
+      for (const tx of group) {
+        receipt = await wallet.provider.getTransactionReceipt(tx.hash);
+        if (!receipt && await wallet.provider.getTransaction(tx.hash)) {
+          receipt = await wallet.provider.waitForTransaction(tx.hash, 1, CONFIG.timing.txTimeout).catch(() => null);
+        }
+        if (receipt) break;
+      }
+      
+      if (!receipt) {
+        const minedNonce = await wallet.provider.getTransactionCount(wallet.address, 'latest');
+        if (minedNonce > nonce) {
+          group.forEach(tx => this.recordTransaction({ ...tx, status: 'dropped' }));
+          logger.warn(`Nonce ${nonce} was used by another transaction, marked as dropped`);
+        } else {
+          logger.warn(`Transaction with nonce ${nonce} is still pending and unknown to the RPC`);
+        }
+        continue;
+      }
+      
+      for (const tx of group) {
+        if (tx.hash === receipt.hash) {
+          this.recordTransaction({
+            ...tx,
+            status: receipt.status === 1 ? 'confirmed' : 'reverted',
+            gasUsed: receipt.gasUsed,
+            fee: receipt.gasUsed * (receipt.gasPrice || 0n)
+          });
+          logger.info(`Reconciled 0x${tx.hash.slice(2, 6)}...${tx.hash.slice(-4)}: ${receipt.status === 1 ? 'confirmed' : 'reverted'}`);
+        } else {
+          this.recordTransaction({ ...tx, status: 'replaced' });
+        }
+      }
+    }
+  }
+}
+
+/**
+ * ProxyManager class for intelligent proxy rotation and tracking
+ * Handles proxy selection, success rate tracking, and failure recovery
+ */
+class ProxyManager {
+  /**
+   * Creates a new proxy manager instance
+   * @param {string[]} proxies - List of proxy URLs
+   */
+  constructor(proxies = []) {
+    this.proxies = proxies;
+    this.currentIndex = 0;
+    this.failedProxies = new Set();
+    this.successRates = new Map();
+    
+    // Initialize success rates
+    for (const proxy of proxies) {
+      this.successRates.set(proxy, 0.5); // Start with neutral rating
+    }
+  }
+  
+  /**
+   * Gets the next best proxy to use
+   * @returns {string|null} Proxy URL or null if none available
+   */
+  getNext() {
+    if (this.proxies.length === 0) return null;
+    
+    // If most proxies have failed, reset failure status
+    if (this.failedProxies.size >= this.proxies.length * 0.8) {
+      this.failedProxies.clear();
+    }
+    
+    // Find best available proxy based on success rate
+    const availableProxies = this.proxies.filter(p => !this.failedProxies.has(p));
+    if (availableProxies.length === 0) return null;
+    
+    // Sort by success rate (highest first)
+    availableProxies.sort((a, b) => {
+      return (this.successRates.get(b) || 0) - (this.successRates.get(a) || 0);
+    });
+    
+    // Return best performing proxy with some randomization to prevent overuse
+    const randomIndex = Math.floor(Math.random() * Math.min(3, availableProxies.length));
+    return availableProxies[randomIndex];
+  }
+  
+  /**
+   * Records a successful operation with a proxy
+   * @param {string} proxy - The proxy that was successful
+   */
+  recordSuccess(proxy) {
+    if (!proxy) return;
+    
+    const currentRate = this.successRates.get(proxy) || 0.5;
+    const newRate = currentRate * 0.8 + 0.2; // Weighted update, max 1.0
+    this.successRates.set(proxy, Math.min(1.0, newRate));
+  }
+  
+  /**
+   * Records a failed operation with a proxy
+   * @param {string} proxy - The proxy that failed
+   */
+  recordFailure(proxy) {
+    if (!proxy) return;
+    
+    const currentRate = this.successRates.get(proxy) || 0.5;
+    const newRate = currentRate * 0.8; // Weighted update, decrease by 20%
+    this.successRates.set(proxy, newRate);
+    
+    // Mark as failed if success rate drops too low
+    if (newRate < 0.2) {
+      this.failedProxies.add(proxy);
+    }
+  }
+  
+  /**
+   * Gets statistics about proxy availability
+   * @returns {Object} Proxy statistics
+   */
+  getStats() {
+    return {
+      total: this.proxies.length,
+      available: this.proxies.length - this.failedProxies.size,
+      failed: this.failedProxies.size
+    };
+  }
+}
+
+/**
+ * RpcPool class for RPC endpoint health and statistics
+ * Probes every endpoint of the current network (chain id, block height, latency)
+ * and orders healthy endpoints by latency for FailoverProvider
+ */
+class RpcPool {
+  /**
+   * Creates a pool for the current CONFIG.network
+   * @param {Logger} logger - Logger instance
+   * @param {string[]} urls - Endpoint URLs (defaults to rpcUrl plus rpcUrls)
+   */
+  constructor(logger, urls = [CONFIG.network.rpcUrl, ...(CONFIG.network.rpcUrls || [])]) {
+    this.logger = logger;
+    this.chainId = BigInt(CONFIG.network.chainId);
+    this.endpoints = [...new Set(urls)].map(url => ({
+      url,
+      host: new URL(url).host,
+      healthy: false,
+      reason: 'not probed',
+      blockNumber: null,
+      latency: null,
+      requests: 0,
+      failures: 0,
+      totalLatency: 0,
+      failovers: 0
+    }));
+    this.lastProbe = 0;
+    this.probing = null;
+  }
+  
+  /**
+   * Sends a single JSON-RPC request to an endpoint and records its latency
+   * @param {Object} endpoint - Pool endpoint
+   * @param {Object|Object[]} payload - JSON-RPC payload
+   * @param {Object} agent - Optional proxy agent
+   * @returns {Promise<Object[]>} JSON-RPC responses
+   */
+  async request(endpoint, payload, agent = null) {
+    const request = new ethers.FetchRequest(endpoint.url);
+    request.body = JSON.stringify(payload);
+    request.setHeader('content-type', 'application/json');
+    request.timeout = CONFIG.rpc.requestTimeout;
+    request.setThrottleParams({ maxAttempts: 1 }); // A rate-limited endpoint fails over instead of being retried
+    if (agent) {
+      request.getUrlFunc = ethers.FetchRequest.createGetUrlFunc({ agent });
+      request.setHeader('user-agent', randomUseragent.getRandom());
+    }
+    
+    const started = Date.now();
+    endpoint.requests++;
+    
+    try {
+      const response = await request.send();
+      // Rate limits and server errors are the endpoint's fault, other statuses carry the node's JSON-RPC answer
+      if (response.statusCode === 429 || response.statusCode >= 500) {
+        response.assertOk();
+      }
+      
+      const body = response.bodyJson;
+      const results = Array.isArray(body) ? body : [body];
+      const overloaded = results.find(result => result.error && RpcPool.isEndpointError(result.error));
+      if (overloaded) {
+        throw new Error(`RPC error ${overloaded.error.code}: ${overloaded.error.message}`);
+      }
+      
+      endpoint.totalLatency += Date.now() - started;
+      metrics.rpcLatency.observe({ network: CONFIG.network.name, endpoint: endpoint.host, outcome: 'success' }, (Date.now() - started) / 1000);
+      return results;
+    } catch (error) {
+      metrics.rpcLatency.observe({ network: CONFIG.network.name, endpoint: endpoint.host, outcome: 'failure' }, (Date.now() - started) / 1000);
+      endpoint.failures++;
+      endpoint.healthy = false;
+      endpoint.reason = error.shortMessage || error.message;
+      throw error;
+    }
+  }
+  
+  /**
+   * Checks whether a JSON-RPC error is the endpoint's fault (rate limits, missing state)
+   * rather than the request's (reverts, bad nonces), so another endpoint should be tried
+   * Transport errors and timeouts never reach here, they fail over in request()
+   * @param {Object} error - JSON-RPC error object
+   * @returns {boolean} True if the request should fail over
+   */
+  static isEndpointError(error) {
+    // Some nodes report reverts as -32603 internal errors, the revert data tells them apart
+    const data = error.data && typeof error.data === 'object' ? error.data.data : error.data;
+    if (typeof data === 'string' && /^0x[0-9a-f]*$/i.test(data)) return false;
+    
+    return [-32005, 429].includes(error.code) ||
+      /rate limit|too many requests|header not found/i.test(error.message || '');
+  }
+  
+  /**
+   * Probes every endpoint for chain id, block height and latency
+   * Endpoints on the wrong chain, lagging more than CONFIG.rpc.maxBlockLag blocks
+   * or slower than CONFIG.rpc.maxLatency are marked unhealthy until the next probe
+   * @returns {Promise<Object[]>} Healthy endpoints, fastest first
+   */
+  async probe() {
+    if (this.probing) return this.probing;
+    
+    this.probing = (async () => {
+      await Promise.all(this.endpoints.map(async endpoint => {
+        const started = Date.now();
+        try {
+          const [chainId, blockNumber] = await this.request(endpoint, [
+            { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] },
+            { jsonrpc: '2.0', id: 2, method: 'eth_blockNumber', params: [] }
+          ]).then(results => results.sort((a, b) => a.id - b.id).map(result => {
+            if (result.error) throw new Error(result.error.message);
+            return BigInt(result.result);
+          }));
+          
+          endpoint.latency = Date.now() - started;
+          endpoint.blockNumber = blockNumber;
+          endpoint.healthy = chainId === this.chainId;
+          endpoint.reason = endpoint.healthy ? null : `chain ${chainId}, expected ${this.chainId}`;
+        } catch (error) {
+          endpoint.latency = null;
+          endpoint.blockNumber = null;
+        }
+      }));
+      
+      const best = this.endpoints.reduce((max, endpoint) => (endpoint.blockNumber !== null && endpoint.blockNumber > max ? endpoint.blockNumber : max), 0n);
+      for (const endpoint of this.endpoints.filter(entry => entry.healthy)) {
+        if (best - endpoint.blockNumber > BigInt(CONFIG.rpc.maxBlockLag)) {
+          endpoint.healthy = false;
+          endpoint.reason = `${best - endpoint.blockNumber} blocks behind`;
+        } else if (endpoint.latency > CONFIG.rpc.maxLatency) {
+          endpoint.healthy = false;
+          endpoint.reason = `${endpoint.latency}ms latency`;
+        }
+      }
+      
+      this.endpoints
+        .filter(endpoint => !endpoint.healthy)
+        .forEach(endpoint => this.logger.warn(`RPC ${endpoint.host} unhealthy: ${endpoint.reason}`));
+      
+      this.lastProbe = Date.now();
+      return this.getHealthy();
+    })().finally(() => {
+      this.probing = null;
+    });
+    
+    return this.probing;
+  }
+  
+  /**
+   * Re-probes when the last probe is older than CONFIG.rpc.probeInterval
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    if (Date.now() - this.lastProbe >= CONFIG.rpc.probeInterval) {
+      await this.probe();
+    }
+  }
+  
+  /**
+   * Gets healthy endpoints, fastest first
+   * @returns {Object[]} Healthy endpoints
+   */
+  getHealthy() {
+    return this.endpoints
+      .filter(endpoint => endpoint.healthy)
+      .sort((a, b) => a.latency - b.latency);
+  }
+  
+  /**
+   * Gets endpoints in failover order: healthy ones by latency, then the rest as a last resort
+   * @returns {Object[]} Ordered endpoints
+   */
+  getOrdered() {
+    const healthy = this.getHealthy();
+    return [...healthy, ...this.endpoints.filter(endpoint => !healthy.includes(endpoint))];
+  }
+}
+
+/**
+ * JSON-RPC provider backed by an RpcPool
+ * Every request goes to the fastest healthy endpoint and fails over to the next one
+ * on transport errors, timeouts and rate limits, so a flaky RPC does not end a wallet's run
+ */
+class FailoverProvider extends ethers.JsonRpcApiProvider {
+  /**
+   * Creates a failover provider
+   * @param {RpcPool} pool - Endpoint pool of the current network
+   * @param {string|null} proxy - Proxy URL, or null for a direct connection
+   */
+  constructor(pool, proxy = null) {
+    const network = ethers.Network.from({ chainId: CONFIG.network.chainId, name: CONFIG.network.name });
+    // No request cache - balance checks right after a transaction must see fresh state
+    super(network, { staticNetwork: network, cacheTimeout: -1 });
+    
+    this.pool = pool;
+    this.agent = proxy ? new HttpsProxyAgent(proxy) : null;
+    this.quorumDegraded = false;
+  }
+  
+  async send(method, params) {
+    await this._start();
+    return super.send(method, params);
+  }
+  
+  /**
+   * Sends a payload, failing over across the pool's endpoints
+   * @param {Object|Object[]} payload - JSON-RPC payload
+   * @returns {Promise<Object[]>} JSON-RPC responses
+   */
+  async _send(payload) {
+    await this.pool.refresh();
+    
+    const endpoints = this.pool.getOrdered();
+    let lastError;
+    
+    for (let i = 0; i < endpoints.length; i++) {
+      try {
+        const results = await this.pool.request(endpoints[i], payload, this.agent);
+        return this.resolveRebroadcast(payload, results);
+      } catch (error) {
+        lastError = error;
+        if (i + 1 < endpoints.length) {
+          endpoints[i + 1].failovers++;
+          this.pool.logger.warn(`RPC ${endpoints[i].host} failed (${error.shortMessage || error.message}), failing over to ${endpoints[i + 1].host}`);
+        }
+      }
+    }
+    
+    throw lastError;
+  }
+  
+  /**
+   * Treats "already known" on a re-sent raw transaction as success
+   * A broadcast may reach an endpoint that then fails, so the next endpoint can already have it
+   * @param {Object|Object[]} payload - JSON-RPC payload
+   * @param {Object[]} results - JSON-RPC responses
+   * @returns {Object[]} Responses
+   */
+  resolveRebroadcast(payload, results) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    
+    return results.map(result => {
+      const request = payloads.find(entry => entry.id === result.id);
+      if (request && request.method === 'eth_sendRawTransaction' && result.error &&
+          /already known|known transaction|already imported/i.test(result.error.message || '')) {
+        return { jsonrpc: '2.0', id: result.id, result: ethers.keccak256(request.params[0]) };
+      }
+      return result;
+    });
+  }
+  
+  /**
+   * Reads a native balance from several endpoints and returns the value a quorum agrees on
+   * Uses CONFIG.rpc.quorum healthy endpoints; a quorum of 1 is a plain read. When fewer endpoints
+   * are healthy, the quorum drops to the healthy count rather than stalling every balance check
+   * @param {string} address - Account address
+   * @returns {Promise<bigint>} Balance in wei
+   * @throws {Error} If no value reaches the quorum
+   */
+  async getQuorumBalance(address) {
+    if (CONFIG.rpc.quorum <= 1) return this.getBalance(address);
+    
+    await this.pool.refresh();
+    const endpoints = this.pool.getHealthy();
+    const quorum = Math.max(1, Math.min(CONFIG.rpc.quorum, endpoints.length));
+    if (quorum < CONFIG.rpc.quorum && !this.quorumDegraded) {
+      this.quorumDegraded = true;
+      this.pool.logger.warn(`Only ${endpoints.length} healthy RPC endpoint(s), balance quorum reduced to ${quorum}`);
+    }
+    
+    const payload = { jsonrpc: '2.0', id: 1, method: 'eth_getBalance', params: [address, 'latest'] };
+    const responses = await Promise.allSettled(endpoints.map(endpoint => this.pool.request(endpoint, payload, this.agent)));
+    
+    const votes = new Map();
+    responses
+      .filter(response => response.status === 'fulfilled' && response.value[0].result)
+      .forEach(response => {
+        const value = BigInt(response.value[0].result);
+        votes.set(value, (votes.get(value) || 0) + 1);
+      });
+    
+    const [value, count] = [...votes.entries()].sort((a, b) => b[1] - a[1])[0] || [null, 0];
+    if (count < quorum) {
+      throw new Error(`RPC quorum not reached for balance of ${address.slice(0, 6)}...${address.slice(-4)} (${count}/${quorum})`);
+    }
+    
+    return value;
+  }
+}
+
+/**
+ * Error thrown by BaseAPIClient.makeRequest()
+ * Carries the HTTP status (null when no response arrived) so callers can tell a refusal from an outage
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number|null} status - HTTP status, null for network errors, timeouts and open breakers
+   * @param {Object} details - { data: response body, retryable: whether retrying could succeed }
+   */
+  constructor(message, status = null, { data = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Token bucket rate limiter, one per API host
+ * Shared by every client talking to the host, so concurrent wallets stay under CONFIG.api.rateLimit together
+ */
+class RateLimiter {
+  /**
+   * @param {number} rate - Tokens added per second (0 = unlimited)
+   * @param {number} burst - Bucket size
+   */
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+  
+  /**
+   * Gets the shared limiter for a host, created from CONFIG.api on first use
+   * @param {string} host - API host
+   * @returns {RateLimiter} Limiter
+   */
+  static forHost(host) {
+    if (!RateLimiter.hosts.has(host)) {
+      RateLimiter.hosts.set(host, new RateLimiter(CONFIG.api.rateLimit, CONFIG.api.rateLimitBurst));
+    }
+    return RateLimiter.hosts.get(host);
+  }
+  
+  /**
+   * Adds the tokens earned since the last update
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+    this.updatedAt = now;
+  }
+  
+  /**
+   * Waits until a token is available and takes it
+   * Callers reserve their token before sleeping, so waiting requests are served in arrival order
+   * @returns {Promise<number>} Ms waited
+   */
+  async acquire() {
+    if (this.rate <= 0) return 0;
+    
+    this.refill();
+    this.tokens -= 1;
+    if (this.tokens >= 0) return 0;
+    
+    const wait = Math.ceil(-this.tokens / this.rate * 1000);
+    await new Promise(resolve => setTimeout(resolve, wait));
+    return wait;
+  }
+}
+
+// Host -> shared RateLimiter
+RateLimiter.hosts = new Map();
+
+/**
+ * Circuit breaker, one per API host
+ * Opens after CONFIG.api.breakerThreshold consecutive failures and rejects requests without sending them
+ * until CONFIG.api.breakerCooldown has passed, then lets a single trial request decide whether to close again
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} host - API host
+   * @param {number} threshold - Consecutive failures that open the breaker
+   * @param {number} cooldown - Ms the breaker stays open
+   */
+  constructor(host, threshold, cooldown) {
+    this.host = host;
+    this.threshold = threshold;
+    this.cooldown = cooldown;
+    this.state = 'closed'; // 'closed', 'open' or 'half-open'
+    this.failures = 0;
+    this.openedAt = 0;
+  }
+  
+  /**
+   * Gets the shared breaker for a host, created from CONFIG.api on first use
+   * @param {string} host - API host
+   * @returns {CircuitBreaker} Breaker
+   */
+  static forHost(host) {
+    if (!CircuitBreaker.hosts.has(host)) {
+      CircuitBreaker.hosts.set(host, new CircuitBreaker(host, CONFIG.api.breakerThreshold, CONFIG.api.breakerCooldown));
+    }
+    return CircuitBreaker.hosts.get(host);
+  }
+  
+  /**
+   * Ms until an open breaker lets a trial request through
+   * @returns {number} Remaining cooldown
+   */
+  getRemaining() {
+    return Math.max(0, this.openedAt + this.cooldown - Date.now());
+  }
+  
+  /**
+   * Admits a request or throws while the breaker is open
+   * After the cooldown one request is admitted as the trial, others keep being rejected until it settles
+   */
+  check() {
+    if (this.state === 'closed') return;
+    
+    if (this.state === 'open' && this.getRemaining() === 0) {
+      this.state = 'half-open';
+      return;
+    }
+    
+    const retryIn = this.state === 'open' ? ` for ${Math.ceil(this.getRemaining() / 1000)}s` : ' while a trial request is pending';
+    throw new ApiError(`API circuit breaker open for ${this.host}, not sending requests${retryIn}`);
+  }
+  
+  /**
+   * Records a successful request, closing the breaker
+   * @param {Logger} logger - Logger instance
+   */
+  recordSuccess(logger) {
+    if (this.state !== 'closed') {
+      logger.success(`API ${this.host} recovered, circuit breaker closed`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+  }
+  
+  /**
+   * Records a failed request, opening the breaker at the threshold or when a trial request fails
+   * @param {Logger} logger - Logger instance
+   * @returns {boolean} True if this failure opened the breaker
+   */
+  recordFailure(logger) {
+    this.failures++;
+    if (this.state === 'open' || (this.state === 'closed' && this.failures < this.threshold)) {
+      return false;
+    }
+    
+    this.state = 'open';
+    this.openedAt = Date.now();
+    logger.error(`API ${this.host} failing (${this.failures} consecutive errors), circuit breaker open for ${this.cooldown / 1000}s`);
+    notifier.notify('critical', 'API circuit breaker open',
+      `${this.failures} consecutive failed requests, pausing requests for ${this.cooldown / 1000}s`,
+      { host: this.host }, `critical:breaker:${this.host}`);
+    return true;
+  }
+}
+
+// Host -> shared CircuitBreaker
+CircuitBreaker.hosts = new Map();
+
+/**
+ * Per-wallet API session cache backed by CONFIG.auth.sessionFile
+ * Tokens are bearer credentials: the file is written owner-only and every token is registered with the redactor
+ */
+class SessionStore {
+  /**
+   * @param {string} file - JSON file path
+   */
+  constructor(file) {
+    this.file = file;
+    this.sessions = null; // key -> { token, expiresAt, savedAt }, loaded on first use
+  }
+  
+  /**
+   * Gets the shared store for a file
+   * @param {string} file - JSON file path ('' = no session cache)
+   * @returns {SessionStore|null} Store, or null when caching is disabled
+   */
+  static forFile(file) {
+    if (!file) return null;
+    
+    if (!SessionStore.stores.has(file)) {
+      SessionStore.stores.set(file, new SessionStore(file));
+    }
+    return SessionStore.stores.get(file);
+  }
+  
+  /**
+   * Loads the file once, starting empty when it is missing or unreadable
+   * @returns {Object} Sessions by key
+   */
+  load() {
+    if (this.sessions) return this.sessions;
+    
+    this.sessions = {};
+    try {
+      if (fs.existsSync(this.file)) {
+        this.sessions = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        Object.values(this.sessions).forEach(session => redactor.add(session.token));
+      }
+    } catch (error) {
+      logger.warn(`Ignoring unreadable session file ${this.file}: ${error.message}`);
+    }
+    return this.sessions;
+  }
+  
+  /**
+   * Gets a session
+   * @param {string} key - Session key
+   * @returns {Object|null} { token, expiresAt, savedAt }
+   */
+  get(key) {
+    return this.load()[key] || null;
+  }
+  
+  /**
+   * Stores a session and saves the file
+   * @param {string} key - Session key
+   * @param {Object} session - { token, expiresAt }
+   */
+  set(key, session) {
+    this.load()[key] = { ...session, savedAt: Date.now() };
+    this.save();
+  }
+  
+  /**
+   * Removes a session and saves the file
+   * @param {string} key - Session key
+   */
+  delete(key) {
+    if (this.load()[key]) {
+      delete this.sessions[key];
+      this.save();
+    }
+  }
+  
+  /**
+   * Writes the sessions, dropping expired ones
+   */
+  save() {
+    const now = Date.now();
+    for (const [key, session] of Object.entries(this.sessions)) {
+      if (session.expiresAt !== null && session.expiresAt <= now) delete this.sessions[key];
+    }
+    
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(this.file, JSON.stringify(this.sessions, null, 2), { mode: 0o600 });
+  }
+}
+
+// Session file -> shared SessionStore
+SessionStore.stores = new Map();
+
+/**
+ * Base API client for interacting with DeFi protocol APIs
+ * EXTEND THIS CLASS for protocol-specific implementations
+ */
+class BaseAPIClient {
+  /**
+   * Creates a new API client
+   * @param {ethers.Wallet} wallet - Wallet signing auth messages
+   * @param {Logger} logger - Logger instance
+   * @param {string} proxy - Proxy URL (optional)
+   * @param {Function} httpClient - axios-compatible request function (defaults to BaseAPIClient.httpClient)
+   */
+  constructor(wallet, logger, proxy = null, httpClient = BaseAPIClient.httpClient) {
+    this.wallet = wallet;
+    this.logger = logger;
+    this.proxy = proxy;
+    this.httpClient = httpClient;
+    this.baseURL = CONFIG.api.baseUrl;
+    this.authToken = null;
+    this.tokenExpiresAt = null; // Ms timestamp, null when the token lifetime is unknown
+    this.simulatedAuth = false; // Set instead of authToken in dry-run mode
+    this.maxRetries = PARAMS.MAX_RETRIES;
+  }
+  
+  /**
+   * Reads the expiry of a JWT without verifying it
+   * @param {string} token - Bearer token
+   * @returns {number|null} Expiry as a ms timestamp, null when the token is not a JWT or has no exp claim
+   */
+  static decodeJwtExpiry(token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) return null;
+    
+    try {
+      const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+      return Number.isFinite(payload.exp) ? payload.exp * 1000 : null;
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * Builds an EIP-4361 (Sign-In with Ethereum) message
+   * @param {Object} fields - { domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }
+   * @returns {string} Message to sign
+   */
+  static buildSiweMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) {
+    return [
+      `${domain} wants you to sign in with your Ethereum account:`,
+      ethers.getAddress(address),
+      '',
+      ...(statement ? [statement, ''] : []),
+      `URI: ${uri}`,
+      'Version: 1',
+      `Chain ID: ${chainId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt}`,
+      ...(expirationTime ? [`Expiration Time: ${expirationTime}`] : [])
+    ].join('\n');
+  }
+  
+  /**
+   * Checks whether an endpoint belongs to the login flow, which never carries or refreshes a session
+   * @param {string} endpoint - API endpoint
+   * @returns {boolean} True for the auth and nonce endpoints
+   */
+  static isAuthEndpoint(endpoint) {
+    return endpoint === CONFIG.api.authEndpoint || endpoint === CONFIG.auth.nonceEndpoint;
+  }
+  
+  /**
+   * Checks whether a token expiring at the given time is due for renewal
+   * @param {number|null} expiresAt - Expiry as a ms timestamp
+   * @returns {boolean} True within CONFIG.auth.refreshMargin of the expiry
+   */
+  static isExpiring(expiresAt) {
+    return expiresAt !== null && Date.now() >= expiresAt - CONFIG.auth.refreshMargin * 1000;
+  }
+  
+  /**
+   * Gets the session cache key of this client's wallet
+   * @returns {string} API host and wallet address
+   */
+  getSessionKey() {
+    return `${new URL(this.baseURL).host}:${this.wallet.address}`;
+  }
+  
+  /**
+   * Adopts a cached session that is not about to expire
+   * @returns {boolean} True if a session was restored
+   */
+  restoreSession() {
+    const store = SessionStore.forFile(CONFIG.auth.sessionFile);
+    const session = store ? store.get(this.getSessionKey()) : null;
+    if (!session || BaseAPIClient.isExpiring(session.expiresAt)) return false;
+    
+    this.authToken = session.token;
+    this.tokenExpiresAt = session.expiresAt;
+    const remaining = session.expiresAt === null ? '' : ` (expires in ${Math.round((session.expiresAt - Date.now()) / 60000)}m)`;
+    this.logger.success(`Reusing saved API session${remaining}`);
+    return true;
+  }
+  
+  /**
+   * Sets the token and caches it for later runs
+   * @param {string} token - Bearer token
+   * @param {number|null} fallbackExpiry - Expiry used when the token is not a JWT
+   */
+  saveSession(token, fallbackExpiry) {
+    redactor.add(token);
+    this.authToken = token;
+    this.tokenExpiresAt = BaseAPIClient.decodeJwtExpiry(token) ?? fallbackExpiry;
+    
+    const store = SessionStore.forFile(CONFIG.auth.sessionFile);
+    if (store) {
+      store.set(this.getSessionKey(), { token, expiresAt: this.tokenExpiresAt });
+    }
+  }
+  
+  /**
+   * Drops the current token, in memory and in the cache
+   */
+  clearSession() {
+    this.authToken = null;
+    this.tokenExpiresAt = null;
+    
+    const store = SessionStore.forFile(CONFIG.auth.sessionFile);
+    if (store) {
+      store.delete(this.getSessionKey());
+    }
+  }
+  
+  /**
+   * Checks whether a failed request may succeed when retried
+   * Network errors, timeouts, 408, 425, 429 and 5xx are transient, other 4xx responses are final
+   * @param {number|null} status - HTTP status, null when no response arrived
+   * @returns {boolean} True if the request should be retried
+   */
+  static isRetryable(status) {
+    return status === null || [408, 425, 429].includes(status) || status >= 500;
+  }
+  
+  /**
+   * Parses a Retry-After header (delay in seconds or an HTTP date)
+   * @param {Object} headers - Response headers
+   * @returns {number|null} Delay in ms, null when absent or invalid
+   */
+  static parseRetryAfter(headers) {
+    const value = headers && (headers['retry-after'] ?? (typeof headers.get === 'function' ? headers.get('retry-after') : undefined));
+    if (value == null || value === '') return null;
+    
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+  
+  /**
+   * Gets the delay before a retry: the server's Retry-After, or exponential backoff with jitter
+   * @param {Object} error - axios error
+   * @param {number} retry - Retry number (1-based)
+   * @returns {number} Delay in ms
+   */
+  static getRetryDelay(error, retry) {
+    const retryAfter = error.response ? BaseAPIClient.parseRetryAfter(error.response.headers) : null;
+    if (retryAfter !== null) return retryAfter;
+    
+    const backoff = Math.pow(2, retry - 1) * PARAMS.RETRY_DELAY_BASE;
+    return Math.round(backoff * (0.8 + Math.random() * 0.4));
+  }
+  
+  /**
+   * Converts an axios error into an ApiError
+   * @param {Object} error - axios error
+   * @returns {ApiError} Error with status and response body
+   */
+  static toApiError(error) {
+    if (error instanceof ApiError) return error;
+    
+    if (error.response) {
+      const { status, data } = error.response;
+      return new ApiError(`API error ${status}: ${JSON.stringify(data)}`, status, { data, retryable: BaseAPIClient.isRetryable(status) });
+    } else if (error.request) {
+      return new ApiError(`No response from API: ${error.message}`, null, { retryable: true });
+    }
+    return new ApiError(`API request failed: ${error.message}`);
+  }
+  
+  /**
+   * Makes an HTTP request with proper error handling and retries
+   * Requests pass the host's rate limiter and circuit breaker. Transient failures are retried up to
+   * maxRetries times (honouring Retry-After), a 401 triggers one re-authentication, other 4xx fail at once.
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint
+   * @param {Object} data - Request data
+   * @param {Object} additionalHeaders - Additional headers
+   * @returns {Promise<Object>} Response data ({ dryRun: true } for skipped mutating calls in dry-run mode)
+   * @throws {ApiError} When the request is refused, retries are exhausted or the breaker is open
+   */
+  async makeRequest(method, endpoint, data = null, additionalHeaders = {}) {
+    // Dry-run mode only lets read-only requests through
+    if (CONFIG.execution.dryRun && !['GET', 'HEAD', 'OPTIONS'].includes(method.toUpperCase())) {
+      const fields = data ? ` {${Object.keys(data).join(', ')}}` : '';
+      this.logger.info(`[DRY RUN] Would ${method.toUpperCase()} ${endpoint}${fields}`);
+      return { status: 0, data: null, dryRun: true };
+    }
+    
+    const url = `${this.baseURL}${endpoint}`;
+    const { host } = new URL(url);
+    const limiter = RateLimiter.forHost(host);
+    const breaker = CircuitBreaker.forHost(host);
+    let retries = 0;
+    let reauthenticated = false;
+    
+    // Renew a session close to expiry before it gets rejected
+    if (this.authToken && BaseAPIClient.isExpiring(this.tokenExpiresAt) && !BaseAPIClient.isAuthEndpoint(endpoint)) {
+      this.logger.info(`API session expires soon, renewing...`);
+      reauthenticated = await this.authenticate(true);
+    }
+    
+    while (true) {
+      breaker.check();
+      await limiter.acquire();
+      
+      // Headers are rebuilt per attempt so a refreshed token is picked up
+      const headers = {
+        'accept': 'application/json, text/plain, */*',
+        'accept-language': 'en-US,en;q=0.8',
+        'content-type': 'application/json',
+        'user-agent': randomUseragent.getRandom() || CONFIG.api.userAgent,
+        ...additionalHeaders
+      };
+      
+      if (this.authToken) {
+        headers.authorization = `Bearer ${this.authToken}`;
+      }
+      
+      const config = {
+        method,
+        url,
+        headers,
+        timeout: CONFIG.timing.requestTimeout
+      };
+      
+      if (this.proxy) {
+        config.httpsAgent = new HttpsProxyAgent(this.proxy);
+      }
+      
+      if (data) {
+        config.data = data;
+      }
+      
+      const started = Date.now();
+      const observe = status => metrics.apiLatency.observe({ method: method.toUpperCase(), endpoint, status }, (Date.now() - started) / 1000);
+      
+      try {
+        const response = await this.httpClient(config);
+        observe(response.status);
+        breaker.recordSuccess(this.logger);
+        return response;
+      } catch (error) {
+        const status = error.response ? error.response.status : null;
+        observe(status === null ? 'error' : status);
+        
+        // An expired or revoked token gets one fresh login per request
+        if (status === 401 && this.authToken && !reauthenticated && !BaseAPIClient.isAuthEndpoint(endpoint)) {
+          reauthenticated = true;
+          breaker.recordSuccess(this.logger);
+          this.logger.warn(`API token rejected, re-authenticating...`);
+          this.clearSession();
+          if (await this.authenticate(true)) continue;
+          throw BaseAPIClient.toApiError(error);
+        }
+        
+        if (!BaseAPIClient.isRetryable(status)) {
+          breaker.recordSuccess(this.logger); // The host answered, the request itself was refused
+          throw BaseAPIClient.toApiError(error);
+        }
+        
+        if (breaker.recordFailure(this.logger) || retries >= this.maxRetries) {
+          throw BaseAPIClient.toApiError(error);
+        }
+        
+        const delay = BaseAPIClient.getRetryDelay(error, retries + 1);
+        if (delay > CONFIG.api.maxRetryDelay) {
+          this.logger.warn(`API asked to wait ${Math.ceil(delay / 1000)}s, longer than api.maxRetryDelay, giving up`);
+          throw BaseAPIClient.toApiError(error);
+        }
+        
+        retries++;
+        metrics.retries.inc({ interaction: 'api' });
+        const reason = status === null ? error.message : `HTTP ${status}`;
+        this.logger.warn(`Request failed (${reason}), retrying in ${(delay / 1000).toFixed(1)}s (${retries}/${this.maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+  
+  /**
+   * Builds the login request body for CONFIG.auth.mode 'message'
+   * @returns {Promise<Object>} { body, expiresAt: null }
+   */
+  async createMessageLogin() {
+    const signature = await this.wallet.signMessage(CONFIG.auth.message);
+    return { body: { address: this.wallet.address, signature }, expiresAt: null };
+  }
+  
+  /**
+   * Builds the login request body for CONFIG.auth.mode 'siwe'
+   * Fetches a nonce from CONFIG.auth.nonceEndpoint and signs an EIP-4361 message bound to the API domain and chain
+   * @returns {Promise<Object>} { body: { message, signature, address }, expiresAt }
+   */
+  async createSiweLogin() {
+    const response = await this.makeRequest('GET', CONFIG.auth.nonceEndpoint);
+    const nonce = typeof response.data === 'string' ? response.data : response.data && response.data.nonce;
+    if (!nonce || !/^[a-zA-Z0-9]{8,}$/.test(nonce)) {
+      throw new Error(`Invalid SIWE nonce from ${CONFIG.auth.nonceEndpoint}`);
+    }
+    
+    const issuedAt = new Date();
+    const expiresAt = issuedAt.getTime() + CONFIG.auth.expirationMinutes * 60000;
+    const message = BaseAPIClient.buildSiweMessage({
+      domain: CONFIG.auth.domain || new URL(this.baseURL).host,
+      address: this.wallet.address,
+      statement: CONFIG.auth.statement,
+      uri: CONFIG.auth.uri || this.baseURL,
+      chainId: CONFIG.network.chainId,
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: new Date(expiresAt).toISOString()
+    });
+    
+    const signature = await this.wallet.signMessage(message);
+    return { body: { message, signature, address: this.wallet.address }, expiresAt };
+  }
+  
+  /**
+   * Authenticates with the protocol API
+   * Reuses a cached session unless it is about to expire, otherwise signs in per CONFIG.auth.mode
+   * OVERRIDE THIS METHOD for protocol-specific authentication
+   * @param {boolean} renew - Ignore the cached session and sign in again
+   * @returns {Promise<boolean>} Success status
+   */
+  async authenticate(renew = false) {
+    try {
+      if (!renew && this.restoreSession()) {
+        return true;
+      }
+      
+      this.logger.step(`Authenticating with protocol API${CONFIG.auth.mode === 'siwe' ? ' (Sign-In with Ethereum)' : ''}...`);
+      
+      const login = CONFIG.auth.mode === 'siwe' ? await this.createSiweLogin() : await this.createMessageLogin();
+      const response = await this.makeRequest('POST', CONFIG.api.authEndpoint, login.body);
+      
+      if (response.dryRun) {
+        this.simulatedAuth = true;
+        this.logger.success(`[DRY RUN] Authentication request signed`);
+        return true;
+      }
+      
+      if (response.data && response.data.token) {
+        this.saveSession(response.data.token, login.expiresAt);
+        this.logger.success(`Authentication successful`);
+        return true;
+      }
+      
+      throw new Error('No auth token received');
+    } catch (error) {
+      this.logger.error(`Authentication failed: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Claims from faucet if available
+   * OVERRIDE THIS METHOD for protocol-specific faucet implementation
+   * @returns {Promise<boolean>} Success status
+   */
+  async claimFaucet() {
+    try {
+      if (!this.authToken && !this.simulatedAuth && !(await this.authenticate())) {
+        return false;
+      }
+      
+      this.logger.step(`Attempting faucet claim...`);
+      
+      const response = await this.makeRequest('POST', CONFIG.api.faucetEndpoint, {
+        address: this.wallet.address
+      });
+      
+      if (response.dryRun) {
+        this.logger.success(`[DRY RUN] Faucet claim would be requested`);
+        return true;
+      }
+      
+      if (response.data && response.data.success) {
+        this.logger.success(`Faucet claimed successfully!`);
+        return true;
+      }
+      
+      this.logger.warn(`Faucet claim failed or not available`);
+      return false;
+    } catch (error) {
+      this.logger.error(`Faucet claim error: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+// HTTP client used by new API clients - replace to route every client through a mock or instrumented axios
+BaseAPIClient.httpClient = axios;
+
+/**
+ * FeeStrategy class for gas limits and transaction fees
+ * Every BaseTransactionHandler send path prepares its request through this class
+ */
+class FeeStrategy {
+  /**
+   * Creates a new fee strategy
+   * @param {ethers.Wallet} wallet - Wallet sending the transactions
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(wallet, logger) {
+    this.wallet = wallet;
+    this.logger = logger;
+  }
+  
+  /**
+   * Applies a float multiplier to a bigint value
+   * @param {bigint} value - Base value
+   * @param {number} multiplier - Multiplier (e.g. 1.2)
+   * @returns {bigint} Scaled value
+   */
+  static scale(value, multiplier) {
+    return value * BigInt(Math.round(multiplier * 1000)) / 1000n;
+  }
+  
+  /**
+   * Estimates the gas limit for a request, padded by PARAMS.GAS_MULTIPLIER
+   * @param {Object} request - Transaction request
+   * @returns {Promise<bigint>} Gas limit
+   */
+  async estimateGasLimit(request) {
+    const estimate = await this.wallet.provider.estimateGas({ ...request, from: this.wallet.address });
+    return FeeStrategy.scale(estimate, PARAMS.GAS_MULTIPLIER);
+  }
+  
+  /**
+   * Gets current fees according to PARAMS.FEE_MODE
+   * @returns {Promise<Object>} { fields, gasPrice } where fields go into the request
+   * and gasPrice is the expected effective price per gas
+   */
+  async getFees() {
+    if (PARAMS.FEE_MODE === 'zero') {
+      return { fields: { type: 0, gasPrice: 0n }, gasPrice: 0n };
+    }
+    
+    if (PARAMS.FEE_MODE !== 'legacy') {
+      try {
+        return await this.getEip1559Fees();
+      } catch (error) {
+        if (PARAMS.FEE_MODE === 'eip1559') throw error;
+        this.logger.warn(`EIP-1559 fees unavailable, using legacy gas price: ${error.message}`);
+      }
+    }
+    
+    const feeData = await this.wallet.provider.getFeeData();
+    if (feeData.gasPrice == null) {
+      throw new Error('Network did not return a gas price');
+    }
+    
+    return { fields: { type: 0, gasPrice: feeData.gasPrice }, gasPrice: feeData.gasPrice };
+  }
+  
+  /**
+   * Derives EIP-1559 fees from eth_feeHistory
+   * maxFeePerGas = 2 × next base fee + priority fee, priority fee = median sampled reward
+   * @returns {Promise<Object>} EIP-1559 fees
+   */
+  async getEip1559Fees() {
+    const history = await this.wallet.provider.send('eth_feeHistory', [
+      ethers.toQuantity(PARAMS.FEE_HISTORY_BLOCKS),
+      'latest',
+      [PARAMS.PRIORITY_FEE_PERCENTILE]
+    ]);
+    
+    if (!history || !history.baseFeePerGas || history.baseFeePerGas.length === 0) {
+      throw new Error('eth_feeHistory returned no base fees');
+    }
+    
+    // The last entry is the base fee of the next block
+    const baseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+    const rewards = (history.reward || [])
+      .map(reward => BigInt(reward[0]))
+      .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const priorityFee = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : 0n;
+    
+    return {
+      fields: {
+        type: 2,
+        maxFeePerGas: baseFee * 2n + priorityFee,
+        maxPriorityFeePerGas: priorityFee
+      },
+      gasPrice: baseFee + priorityFee
+    };
+  }
+  
+  /**
+   * Gets fees, pausing while the gas price is above PARAMS.MAX_GAS_PRICE_GWEI
+   * @returns {Promise<Object>} Fees from getFees()
+   */
+  async waitForAcceptableFees() {
+    const started = Date.now();
+    
+    while (true) {
+      const fees = await this.getFees();
+      if (!PARAMS.MAX_GAS_PRICE_GWEI) return fees;
+      
+      const ceiling = ethers.parseUnits(PARAMS.MAX_GAS_PRICE_GWEI.toString(), 'gwei');
+      if (fees.gasPrice <= ceiling) return fees;
+      
+      if (CONFIG.timing.maxGasPriceWait && Date.now() - started >= CONFIG.timing.maxGasPriceWait) {
+        throw new Error(`Gas price stayed above ${PARAMS.MAX_GAS_PRICE_GWEI} gwei for ${Math.round(CONFIG.timing.maxGasPriceWait / 60000)}m`);
+      }
+      
+      this.logger.warn(`Gas price ${ethers.formatUnits(fees.gasPrice, 'gwei')} gwei above ceiling of ${PARAMS.MAX_GAS_PRICE_GWEI} gwei. Pausing interactions...`);
+      await sleep(CONFIG.timing.gasPricePollInterval, CONFIG.timing.gasPricePollInterval);
+    }
+  }
+  
+  /**
+   * Fills in gas limit and fees for a request
+   * @param {Object} request - Transaction request
+   * @returns {Promise<Object>} Request ready to sign
+   */
+  async prepare(request) {
+    const gasLimit = request.gasLimit != null ? BigInt(request.gasLimit) : await this.estimateGasLimit(request);
+    const fees = await this.waitForAcceptableFees();
+    
+    return { ...request, gasLimit, ...fees.fields };
+  }
+  
+  /**
+   * Estimates the worst-case gas cost of a request at current fees
+   * Uses the padded gas limit and maxFeePerGas, so balance checks leave enough for gas
+   * @param {Object} request - Transaction request
+   * @returns {Promise<bigint>} Gas cost in wei
+   */
+  async estimateCost(request) {
+    const gasLimit = request.gasLimit != null ? BigInt(request.gasLimit) : await this.estimateGasLimit(request);
+    const { fields } = await this.getFees();
+    
+    return gasLimit * (fields.maxFeePerGas ?? fields.gasPrice);
+  }
+  
+  /**
+   * Computes fees for replacing a pending transaction
+   * Bumps the previous fees by the given multiplier, but never below current network fees
+   * @param {Object} previousFees - Fee fields of the pending transaction
+   * @param {number} bump - Fee multiplier
+   * @returns {Promise<Object>} Replacement fee fields
+   */
+  async getReplacementFees(previousFees, bump) {
+    let current = {};
+    try {
+      current = (await this.getFees()).fields;
+    } catch (error) {
+      this.logger.warn(`Could not fetch current fees for replacement: ${error.message}`);
+    }
+    
+    const fees = {};
+    for (const [key, value] of Object.entries(previousFees)) {
+      const bumped = FeeStrategy.scale(value, bump);
+      fees[key] = current[key] != null && current[key] > bumped ? current[key] : bumped;
+    }
+    
+    return fees;
+  }
+  
+  /**
+   * Gets the fee paid by a mined transaction
+   * @param {ethers.TransactionReceipt} receipt - Mined receipt
+   * @returns {bigint} Fee in wei
+   */
+  static getFeePaid(receipt) {
+    return receipt.gasUsed * (receipt.gasPrice || 0n);
+  }
+}
+
+/**
+ * NonceManager class for per-wallet nonce reservation
+ * Hands out nonces locally so retries never race the RPC's pending count,
+ * and tracks every broadcast transaction until its nonce is settled
+ */
+class NonceManager {
+  /**
+   * Creates a new nonce manager for a wallet
+   * @param {ethers.Wallet} wallet - Wallet whose nonces are managed
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(wallet, logger) {
+    this.wallet = wallet;
+    this.logger = logger;
+    this.nextNonce = null;
+    this.pending = new Map(); // nonce -> { nonce, request, hashes, fees }
+  }
+  
+  /**
+   * Syncs the next nonce with the network's pending transaction count
+   * @returns {Promise<number>} Next nonce to use
+   */
+  async sync() {
+    const networkNonce = await this.wallet.provider.getTransactionCount(this.wallet.address, 'pending');
+    
+    // Never hand out a nonce that is still tracked locally
+    const highestPending = Math.max(-1, ...this.pending.keys());
+    this.nextNonce = Math.max(networkNonce, highestPending + 1);
+    return this.nextNonce;
+  }
+  
+  /**
+   * Reserves the next nonce for a new transaction
+   * @returns {Promise<number>} Reserved nonce
+   */
+  async reserve() {
+    if (this.nextNonce === null) {
+      await this.sync();
+    }
+    
+    return this.nextNonce++;
+  }
+  
+  /**
+   * Releases a reserved nonce that was never broadcast
+   * Falls back to a resync if later nonces were already handed out
+   * @param {number} nonce - Reserved nonce
+   */
+  release(nonce) {
+    if (nonce === this.nextNonce - 1) {
+      this.nextNonce--;
+    } else {
+      this.reset();
+    }
+  }
+  
+  /**
+   * Forces a resync with the network on the next reservation
+   */
+  reset() {
+    this.nextNonce = null;
+  }
+  
+  /**
+   * Tracks a broadcast transaction under its nonce
+   * @param {number} nonce - Transaction nonce
+   * @param {Object} request - Original transaction request
+   * @param {ethers.TransactionResponse} tx - Broadcast transaction
+   * @returns {Object} Pending entry
+   */
+  track(nonce, request, tx) {
+    const entry = this.pending.get(nonce) || { nonce, request, hashes: [], fees: null };
+    
+    entry.hashes.push(tx.hash);
+    entry.fees = tx.maxFeePerGas != null
+      ? { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas }
+      : { gasPrice: tx.gasPrice };
+    
+    this.pending.set(nonce, entry);
+    return entry;
+  }
+  
+  /**
+   * Stops tracking a nonce once one of its transactions is mined
+   * @param {number} nonce - Transaction nonce
+   */
+  settle(nonce) {
+    this.pending.delete(nonce);
+  }
+  
+  /**
+   * Finds a pending entry for an identical request
+   * Used to resume waiting instead of double-sending when an interaction is retried
+   * @param {Object} request - Transaction request
+   * @returns {Object|undefined} Pending entry
+   */
+  findPending(request) {
+    const key = NonceManager.requestKey(request);
+    return [...this.pending.values()].find(entry => NonceManager.requestKey(entry.request) === key);
+  }
+  
+  /**
+   * Builds a comparable key for a transaction request
+   * @param {Object} request - Transaction request
+   * @returns {string} Request key
+   */
+  static requestKey(request) {
+    return [
+      (request.to || '').toString().toLowerCase(),
+      (request.value || 0n).toString(),
+      (request.data || '0x').toLowerCase()
+    ].join(':');
+  }
+  
+  /**
+   * Checks if an error means the nonce was already used
+   * @param {Error} error - Send error
+   * @returns {boolean} True for "nonce too low" style errors
+   */
+  static isNonceTooLow(error) {
+    return error.code === 'NONCE_EXPIRED' ||
+      /nonce (too low|has already been used)|already known|known transaction/i.test(error.message);
+  }
+  
+  /**
+   * Checks if an error means a replacement did not bump fees enough
+   * @param {Error} error - Send error
+   * @returns {boolean} True for "replacement underpriced" style errors
+   */
+  static isReplacementUnderpriced(error) {
+    return error.code === 'REPLACEMENT_UNDERPRICED' ||
+      /replacement (transaction )?underpriced|fee too low/i.test(error.message);
+  }
+}
+
+/**
+ * Base staking adapter
+ * Adapters translate stake/unstake/claim operations into protocol-specific calls,
+ * so BaseTransactionHandler can drive any staking contract the same way.
+ * EXTEND THIS CLASS and register it with StakingAdapter.register() for other interfaces
+ */
+class StakingAdapter {
+  /**
+   * Creates a new adapter
+   * @param {BaseTransactionHandler} handler - Transaction handler owning the wallet
+   * @param {string} address - Staking contract address
+   * @param {Object} options - Adapter options from CONFIG.staking
+   */
+  constructor(handler, address, options = {}) {
+    this.handler = handler;
+    this.wallet = handler.wallet;
+    this.address = address;
+    this.options = options;
+    this.contract = new ethers.Contract(address, this.constructor.ABI, this.wallet);
+  }
+  
+  /**
+   * Registers an adapter class under a name usable in CONFIG.staking
+   * @param {string} name - Adapter name
+   * @param {Function} AdapterClass - StakingAdapter subclass
+   */
+  static register(name, AdapterClass) {
+    StakingAdapter.adapters.set(name, AdapterClass);
+  }
+  
+  /**
+   * Creates the adapter configured for a CONFIG.contract entry
+   * @param {BaseTransactionHandler} handler - Transaction handler
+   * @param {string} contractKey - CONFIG.contract key (e.g. 'STAKING', 'FARM')
+   * @returns {StakingAdapter} Adapter instance
+   */
+  static create(handler, contractKey) {
+    const options = CONFIG.staking[contractKey] || {};
+    const AdapterClass = StakingAdapter.adapters.get(options.adapter);
+    
+    if (!AdapterClass) {
+      throw new Error(`Unknown staking adapter "${options.adapter}" for ${contractKey}`);
+    }
+    
+    return new AdapterClass(handler, CONFIG.contract[contractKey], options);
+  }
+  
+  /** @returns {Promise<string>} Address of the token that gets staked */
+  async getStakeToken() {
+    return this.options.stakeToken || CONFIG.contract.TOKEN;
+  }
+  
+  /** @returns {Promise<string|null>} Address of the reward token, if known */
+  async getRewardToken() {
+    return this.options.rewardToken || null;
+  }
+  
+  /** @returns {Promise<bigint>} Staked balance in stake token units */
+  async getStakedBalance() {
+    throw new Error(`${this.constructor.name} must implement getStakedBalance()`);
+  }
+  
+  /** @returns {Promise<bigint>} Rewards claimable right now */
+  async getPendingRewards() {
+    return 0n;
+  }
+  
+  /** @returns {Promise<Object>} Transaction request staking the amount */
+  async buildStake(amount) {
+    throw new Error(`${this.constructor.name} must implement buildStake()`);
+  }
+  
+  /** @returns {Promise<Object>} Transaction request unstaking the amount */
+  async buildUnstake(amount) {
+    throw new Error(`${this.constructor.name} must implement buildUnstake()`);
+  }
+  
+  /** @returns {Promise<Object|null>} Transaction request claiming rewards, or null if rewards accrue in place */
+  async buildClaim() {
+    return null;
+  }
+}
+
+StakingAdapter.adapters = new Map();
+
+/**
+ * Staking adapter for ERC-4626 vaults
+ * Yield accrues in the share price, so there is nothing to claim separately
+ */
+class ERC4626StakingAdapter extends StakingAdapter {
+  async getStakeToken() {
+    return this.options.stakeToken || this.contract.asset();
+  }
+  
+  async getStakedBalance() {
+    const shares = await this.contract.balanceOf(this.wallet.address);
+    return shares === 0n ? 0n : this.contract.convertToAssets(shares);
+  }
+  
+  async buildStake(amount) {
+    return this.contract.deposit.populateTransaction(amount, this.wallet.address);
+  }
+  
+  async buildUnstake(amount) {
+    return this.contract.withdraw.populateTransaction(amount, this.wallet.address, this.wallet.address);
+  }
+}
+
+ERC4626StakingAdapter.ABI = [
+  'function asset() view returns (address)',
+  'function balanceOf(address) view returns (uint256)',
+  'function convertToAssets(uint256 shares) view returns (uint256)',
+  'function deposit(uint256 assets, address receiver) returns (uint256 shares)',
+  'function withdraw(uint256 assets, address receiver, address owner) returns (uint256 shares)'
+];
+
+/**
+ * Staking adapter for MasterChef-style farms
+ * Harvesting is a zero-amount deposit, which pays out pending rewards
+ */
+class MasterChefStakingAdapter extends StakingAdapter {
+  constructor(handler, address, options = {}) {
+    super(handler, address, options);
+    
+    // The pending reward view is named after the reward token (pendingSushi, pendingCake, ...)
+    const pendingMethod = options.pendingRewardMethod || 'pendingReward';
+    this.pendingContract = new ethers.Contract(
+      address,
+      [`function ${pendingMethod}(uint256, address) view returns (uint256)`],
+      this.wallet
+    );
+    this.pendingMethod = pendingMethod;
+  }
+  
+  get poolId() {
+    return this.options.poolId || 0;
+  }
+  
+  async getStakedBalance() {
+    const [amount] = await this.contract.userInfo(this.poolId, this.wallet.address);
+    return amount;
+  }
+  
+  async getPendingRewards() {
+    return this.pendingContract[this.pendingMethod](this.poolId, this.wallet.address);
+  }
+  
+  async buildStake(amount) {
+    return this.contract.deposit.populateTransaction(this.poolId, amount);
+  }
+  
+  async buildUnstake(amount) {
+    return this.contract.withdraw.populateTransaction(this.poolId, amount);
+  }
+  
+  async buildClaim() {
+    return this.contract.deposit.populateTransaction(this.poolId, 0n);
+  }
+}
+
+MasterChefStakingAdapter.ABI = [
+  'function userInfo(uint256 pid, address user) view returns (uint256 amount, uint256 rewardDebt)',
+  'function deposit(uint256 pid, uint256 amount)',
+  'function withdraw(uint256 pid, uint256 amount)'
+];
+
+StakingAdapter.register('erc4626', ERC4626StakingAdapter);
+StakingAdapter.register('masterchef', MasterChefStakingAdapter);
+
+/**
+ * Base TransactionHandler for blockchain interactions
+ * EXTEND THIS CLASS for protocol-specific implementations
+ */
+class BaseTransactionHandler {
+  constructor(wallet, logger) {
+    this.wallet = wallet;
+    this.logger = logger;
+    this.retryCount = 0;
+    this.maxRetries = PARAMS.MAX_RETRIES;
+    this.nonceManager = new NonceManager(wallet, logger);
+    this.feeStrategy = new FeeStrategy(wallet, logger);
+    this.transactions = []; // Mined transactions, drained per step by runStep()
+    this.activeStep = null; // { id, index } of the step unit being run, set by runStep()
+    
+    // Initialize base contracts - ADD PROTOCOL-SPECIFIC CONTRACTS IN EXTENDED CLASS
+    this.contracts = {};
+    this.tokenInfo = new Map(); // token address -> { decimals, symbol }
+    this.approvals = new Map(); // token:spender -> { token, spender } granted during this run
+    this.simulatedAllowances = new Map(); // token:spender -> { tokenAddress, spender, amount } approved in dry-run simulations
+    this.reusedTransactions = new Set(); // Journaled hashes already returned by findConfirmedTransaction()
+    this.stakingAdapters = new Map(); // CONFIG.contract key -> StakingAdapter
+    this.rewardsEarned = new Map(); // CONFIG.contract key -> { raw, symbol, decimals } claimed during this run
+    this.initializeContracts();
+  }
+  
+  /**
+   * Initialize protocol contracts
+   * OVERRIDE THIS METHOD to add protocol-specific contracts
+   */
+  initializeContracts() {
+    // Example contract initialization
+    if (CONFIG.contract.TOKEN !== ethers.ZeroAddress) {
+      this.contracts.token = this.getTokenContract(CONFIG.contract.TOKEN);
+    }
+    
+    if (CONFIG.contract.WRAPPED_TOKEN !== ethers.ZeroAddress) {
+      this.contracts.wrappedToken = new ethers.Contract(CONFIG.contract.WRAPPED_TOKEN, WRAPPED_TOKEN_ABI, this.wallet);
+    }
+    
+    if (CONFIG.contract.ROUTER !== ethers.ZeroAddress) {
+      this.contracts.router = new ethers.Contract(
+        CONFIG.contract.ROUTER,
+        CONFIG.swap.routerType === 'v3' ? V3_ROUTER_ABI : V2_ROUTER_ABI,
+        this.wallet
+      );
+    }
+    
+    if (CONFIG.contract.QUOTER !== ethers.ZeroAddress) {
+      this.contracts.quoter = new ethers.Contract(CONFIG.contract.QUOTER, V3_QUOTER_ABI, this.wallet);
+    }
+  }
+  
+  /**
+   * Creates an ERC-20 contract instance connected to the wallet
+   * @param {string} address - Token address
+   * @returns {ethers.Contract} Token contract
+   */
+  getTokenContract(address) {
+    return new ethers.Contract(address, ERC20_ABI, this.wallet);
+  }
+  
+  /**
+   * Gets (and caches) a token's decimals and symbol
+   * @param {ethers.Contract} token - Token contract
+   * @returns {Promise<{decimals: number, symbol: string}>} Token metadata
+   */
+  async getTokenInfo(token) {
+    const address = (await token.getAddress()).toLowerCase();
+    
+    if (!this.tokenInfo.has(address)) {
+      const [decimals, symbol] = await Promise.all([
+        token.decimals(),
+        token.symbol().catch(() => 'TOKEN')
+      ]);
+      this.tokenInfo.set(address, { decimals: Number(decimals), symbol });
+    }
+    
+    return this.tokenInfo.get(address);
+  }
+  
+  /**
+   * Gets current wallet balances
+   * EXTEND THIS METHOD for protocol-specific balance checking
+   * @returns {Promise<Object>} Balance information
+   */
+  async getBalances() {
+    try {
+      const balances = {};
+      
+      // Native token balance
+      const nativeBalance = this.wallet.provider.getQuorumBalance
+        ? await this.wallet.provider.getQuorumBalance(this.wallet.address)
+        : await this.wallet.provider.getBalance(this.wallet.address);
+      balances.native = {
+        raw: nativeBalance,
+        formatted: ethers.formatEther(nativeBalance)
+      };
+      
+      // ERC20 token balances
+      if (this.contracts.token) {
+        const tokenBalance = await this.contracts.token.balanceOf(this.wallet.address);
+        const { decimals, symbol } = await this.getTokenInfo(this.contracts.token);
+        balances.token = {
+          raw: tokenBalance,
+          formatted: ethers.formatUnits(tokenBalance, decimals),
+          symbol,
+          decimals
+        };
+      }
+      
+      // LP token balance for the liquidity pair
+      if (this.contracts.token && this.contracts.router && CONFIG.swap.routerType !== 'v3') {
+        const pair = await this.getLiquidityPair().catch(() => null);
+        if (pair) {
+          const lpBalance = await pair.balanceOf(this.wallet.address);
+          balances.lp = {
+            raw: lpBalance,
+            formatted: ethers.formatEther(lpBalance),
+            symbol: `${balances.token.symbol} LP`,
+            decimals: 18
+          };
+        }
+      }
+      
+      return balances;
+    } catch (error) {
+      this.logger.error(`Failed to fetch balances: ${error.message}`);
+      return { native: { raw: 0n, formatted: '0' } };
+    }
+  }
+  
+  /**
+   * Randomizes an amount based on configuration
+   * @param {string} baseAmount - Base amount to randomize
+   * @returns {string} Randomized amount
+   */
+  getRandomizedAmount(baseAmount) {
+    if (!PARAMS.RANDOMIZE) return baseAmount;
+    
+    // Skip randomization for special values
+    if (baseAmount === 'all' || baseAmount === 'max') return baseAmount;
+    
+    const variation = PARAMS.VARIATION;
+    const factor = 1 + (Math.random() * 2 - 1) * variation;
+    const amount = Number(baseAmount) * factor;
+    
+    // Format to same number of decimal places as base
+    const decimalPlaces = baseAmount.toString().split('.')[1]?.length || 0;
+    return amount.toFixed(decimalPlaces);
+  }
+  
+  /**
+   * Executes an interaction with retry logic
+   * @param {string} interactionName - Name of the interaction
+   * @param {Function} interaction - Interaction function to execute
+   * @returns {Promise<any>} Interaction result
+   */
+  async retryableInteraction(interactionName, interaction) {
+    this.retryCount = 0;
+    
+    while (this.retryCount <= this.maxRetries) {
+      try {
+        return await interaction();
+      } catch (error) {
+        this.retryCount++;
+        
+        // Fatal errors (e.g. simulated reverts) fail immediately
+        if (error.retryable === false) {
+          this.logger.error(`${interactionName} failed: ${error.message}`);
+          error.logged = true;
+          throw error;
+        }
+        
+        if (this.retryCount > this.maxRetries) {
+          this.logger.error(`${interactionName} failed after ${this.maxRetries} retries: ${error.message}`);
+          notifier.notify('critical', `${interactionName} failed after ${this.maxRetries} retries`, error.message,
+            { wallet: this.wallet.address }, `critical:${interactionName}:${this.wallet.address}`);
+          error.logged = true;
+          throw error;
+        }
+        
+        const delay = Math.pow(2, this.retryCount) * PARAMS.RETRY_DELAY_BASE; // Exponential backoff
+        metrics.retries.inc({ interaction: interactionName });
+        this.logger.warn(`${interactionName} attempt ${this.retryCount} failed: ${error.message}. Retrying in ${delay/1000}s...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+  
+  /**
+   * Sends a transaction under a locally reserved nonce and waits for it to be mined
+   * Retries of an identical request resume the pending transaction instead of double-sending
+   * In dry-run mode the transaction is only simulated (see simulateTransaction)
+   * @param {Object} request - Transaction request (to, value, data, gasLimit, ...)
+   * @returns {Promise<ethers.TransactionReceipt|Object>} Mined receipt, or simulation result in dry-run mode
+   */
+  async sendTransaction(request) {
+    if (CONFIG.execution.dryRun) {
+      return this.simulateTransaction(request);
+    }
+    
+    const existing = this.nonceManager.findPending(request);
+    if (existing) {
+      this.logger.warn(`Resuming pending transaction with nonce ${existing.nonce}`);
+      return this.recordReceipt(await this.waitForNonce(existing.nonce));
+    }
+    
+    const confirmed = await this.findConfirmedTransaction(request);
+    if (confirmed) {
+      return this.recordReceipt(confirmed);
+    }
+    
+    const prepared = await this.feeStrategy.prepare(request);
+    const nonce = await this.nonceManager.reserve();
+    let tx;
+    
+    try {
+      tx = await this.wallet.sendTransaction({ ...prepared, nonce });
+    } catch (error) {
+      if (NonceManager.isNonceTooLow(error)) {
+        this.nonceManager.reset();
+      } else {
+        this.nonceManager.release(nonce);
+      }
+      throw error;
+    }
+    
+    this.nonceManager.track(nonce, prepared, tx);
+    this.recordActivity(tx.hash, 'submitted', { nonce, selector: TransactionJournal.getSelector(request) });
+    this.logger.tx(`Tx hash: 0x${tx.hash.slice(2, 6)}...${tx.hash.slice(-4)}`);
+    
+    return this.recordReceipt(await this.waitForNonce(nonce));
+  }
+  
+  /**
+   * Finds the receipt of the same call made by the active step unit before a crash
+   * A unit re-run after a restart gets the journaled transaction back instead of sending it twice
+   * @param {Object} request - Transaction request
+   * @returns {Promise<ethers.TransactionReceipt|null>} Receipt of the confirmed transaction, or null
+   */
+  async findConfirmedTransaction(request) {
+    const journal = this.logger.journal;
+    if (!journal || !this.activeStep) return null;
+    
+    const record = journal.findConfirmed(this.wallet.address, this.activeStep.id, this.activeStep.index,
+      TransactionJournal.getSelector(request), this.reusedTransactions);
+    if (!record) return null;
+    
+    const receipt = await this.wallet.provider.getTransactionReceipt(record.hash);
+    if (!receipt || receipt.status !== 1) return null;
+    
+    this.reusedTransactions.add(record.hash);
+    this.logger.warn(`Transaction 0x${record.hash.slice(2, 6)}...${record.hash.slice(-4)} was confirmed before the restart, not sending it again`);
+    return receipt;
+  }
+  
+  /**
+   * Simulates a transaction with eth_call and estimateGas without broadcasting it
+   * Reverts are decoded and thrown as non-retryable errors
+   * @param {Object} request - Transaction request
+   * @returns {Promise<Object>} Simulation result: { simulated, gasLimit, fee }
+   */
+  async simulateTransaction(request) {
+    const target = request.to ? `${request.to.slice(0, 6)}...${request.to.slice(-4)}` : 'contract creation';
+    
+    // Approvals simulated earlier are not on chain, so they are applied to the call as a state override
+    const overrides = this.simulatedAllowances.size > 0 ? await this.getAllowanceOverrides() : null;
+    
+    try {
+      let gasLimit;
+      if (overrides) {
+        const rpcRequest = this.wallet.provider.getRpcTransaction({ ...request, from: this.wallet.address });
+        await this.wallet.provider.send('eth_call', [rpcRequest, 'latest', overrides]);
+        gasLimit = request.gasLimit != null ? BigInt(request.gasLimit) : await this.estimateGasWithOverrides(request, rpcRequest, overrides);
+      } else {
+        await this.wallet.provider.call({ ...request, from: this.wallet.address });
+        gasLimit = request.gasLimit != null ? BigInt(request.gasLimit) : await this.feeStrategy.estimateGasLimit(request);
+      }
+      
+      const { gasPrice } = await this.feeStrategy.getFees();
+      const simulation = { simulated: true, hash: null, gasUsed: gasLimit ?? 0n, gasPrice, fee: (gasLimit ?? 0n) * gasPrice, revertReason: null };
+      
+      this.transactions.push(simulation);
+      this.logger.tx(gasLimit === null
+        ? `[DRY RUN] Would send to ${target} | Gas: not estimated, the node cannot estimate with simulated approvals`
+        : `[DRY RUN] Would send to ${target} | Gas: ${gasLimit} | Est. fee: ${ethers.formatEther(simulation.fee)}`);
+      
+      return simulation;
+    } catch (error) {
+      // Without state overrides a revert may only mean a simulated approval is missing
+      if (this.simulatedAllowances.size > 0 && !overrides) {
+        const simulation = { simulated: true, hash: null, gasUsed: 0n, gasPrice: 0n, fee: 0n, revertReason: null, notSimulated: 'depends on approval' };
+        this.transactions.push(simulation);
+        this.logger.tx(`[DRY RUN] Not simulated at ${target}: depends on approval`);
+        return simulation;
+      }
+      
+      const revertReason = this.decodeRevertReason(error);
+      
+      this.transactions.push({ simulated: true, hash: null, gasUsed: 0n, gasPrice: 0n, fee: 0n, revertReason });
+      this.logger.tx(`[DRY RUN] Would revert at ${target}: ${revertReason}`);
+      
+      const simulationError = new Error(`Simulation reverted: ${revertReason}`);
+      simulationError.retryable = false;
+      throw simulationError;
+    }
+  }
+  
+  /**
+   * Estimates gas for a simulation that needed a state override
+   * Calls that do not depend on the simulated approvals estimate normally, the rest need a node whose
+   * eth_estimateGas accepts the override
+   * @param {Object} request - Transaction request
+   * @param {Object} rpcRequest - The request in JSON-RPC form
+   * @param {Object} overrides - State override
+   * @returns {Promise<bigint|null>} Padded gas limit, null if the gas cannot be estimated
+   */
+  async estimateGasWithOverrides(request, rpcRequest, overrides) {
+    try {
+      return await this.feeStrategy.estimateGasLimit(request);
+    } catch {
+      // Depends on a simulated approval
+    }
+    
+    try {
+      const estimate = BigInt(await this.wallet.provider.send('eth_estimateGas', [rpcRequest, 'latest', overrides]));
+      return FeeStrategy.scale(estimate, PARAMS.GAS_MULTIPLIER);
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * Builds a state override applying every allowance approved in dry-run simulations so far
+   * @returns {Promise<Object|null>} eth_call state override, null if a token's allowance slot cannot be found
+   */
+  async getAllowanceOverrides() {
+    const overrides = {};
+    
+    for (const { tokenAddress, spender, amount } of this.simulatedAllowances.values()) {
+      const layout = await this.findAllowanceLayout(tokenAddress, spender);
+      if (!layout) return null;
+      
+      overrides[tokenAddress] = overrides[tokenAddress] || { stateDiff: {} };
+      overrides[tokenAddress].stateDiff[BaseTransactionHandler.allowanceKey(layout, this.wallet.address, spender)] = ethers.toBeHex(amount, 32);
+    }
+    
+    return overrides;
+  }
+  
+  /**
+   * Gets the storage key of an allowance entry
+   * Solidity hashes the owner into the mapping slot first, Vyper hashes the slot first
+   * @param {Object} layout - { index: mapping slot, vyper }
+   * @param {string} owner - Token owner
+   * @param {string} spender - Spender
+   * @returns {string} Storage key
+   */
+  static allowanceKey({ index, vyper }, owner, spender) {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    if (vyper) {
+      return ethers.keccak256(coder.encode(['bytes32', 'address'], [ethers.keccak256(coder.encode(['uint256', 'address'], [index, owner])), spender]));
+    }
+    return ethers.keccak256(coder.encode(['address', 'bytes32'], [spender, ethers.keccak256(coder.encode(['address', 'uint256'], [owner, index]))]));
+  }
+  
+  /**
+   * Finds (and caches per token) where a token stores allowances
+   * Overrides each candidate slot with a marker value and checks allowance() returns it
+   * @param {string} tokenAddress - Token address
+   * @param {string} spender - Spender used for probing
+   * @returns {Promise<Object|null>} { index, vyper }, null if not found or the node does not support state overrides
+   */
+  async findAllowanceLayout(tokenAddress, spender) {
+    const cacheKey = tokenAddress.toLowerCase();
+    if (BaseTransactionHandler.allowanceLayouts.has(cacheKey)) {
+      return BaseTransactionHandler.allowanceLayouts.get(cacheKey);
+    }
+    
+    const data = this.getTokenContract(tokenAddress).interface.encodeFunctionData('allowance', [this.wallet.address, spender]);
+    const marker = BaseTransactionHandler.ALLOWANCE_MARKER;
+    const layouts = Array.from({ length: BaseTransactionHandler.ALLOWANCE_SLOT_SEARCH }, (_, index) => [{ index, vyper: false }, { index, vyper: true }]).flat();
+    let found = null;
+    
+    try {
+      for (const layout of layouts) {
+        const stateDiff = { [BaseTransactionHandler.allowanceKey(layout, this.wallet.address, spender)]: ethers.toBeHex(marker, 32) };
+        const result = await this.wallet.provider.send('eth_call', [{ to: tokenAddress, data }, 'latest', { [tokenAddress]: { stateDiff } }]);
+        if (BigInt(result) === marker) {
+          found = layout;
+          break;
+        }
+      }
+    } catch (error) {
+      this.logger.warn(`State overrides unavailable, calls depending on simulated approvals are not simulated: ${error.message}`);
+    }
+    
+    BaseTransactionHandler.allowanceLayouts.set(cacheKey, found);
+    return found;
+  }
+  
+  /**
+   * Decodes a revert reason from a call exception
+   * Handles Error(string), Panic(uint256) and custom errors of the initialized contracts
+   * @param {Error} error - Error thrown by eth_call or estimateGas
+   * @returns {string} Human-readable revert reason
+   */
+  decodeRevertReason(error) {
+    if (error.reason) return error.reason;
+    if (error.revert) return `${error.revert.name}(${error.revert.args.join(', ')})`;
+    
+    const data = error.data || (error.info && error.info.error && error.info.error.data);
+    if (typeof data === 'string' && data.length >= 10) {
+      const coder = ethers.AbiCoder.defaultAbiCoder();
+      const selector = data.slice(0, 10);
+      
+      if (selector === '0x08c379a0') {
+        return coder.decode(['string'], '0x' + data.slice(10))[0];
+      }
+      if (selector === '0x4e487b71') {
+        return `Panic(0x${coder.decode(['uint256'], '0x' + data.slice(10))[0].toString(16)})`;
+      }
+      
+      for (const contract of Object.values(this.contracts)) {
+        const parsed = contract.interface.parseError(data);
+        if (parsed) return `${parsed.name}(${parsed.args.join(', ')})`;
+      }
+      
+      return `Unknown custom error ${selector}`;
+    }
+    
+    return error.shortMessage || error.message;
+  }
+  
+  /**
+   * Records a mined transaction and reports the fee it paid
+   * @param {ethers.TransactionReceipt} receipt - Mined receipt
+   * @returns {ethers.TransactionReceipt} The receipt
+   */
+  recordReceipt(receipt) {
+    const fee = FeeStrategy.getFeePaid(receipt);
+    
+    this.transactions.push({
+      hash: receipt.hash,
+      gasUsed: receipt.gasUsed,
+      gasPrice: receipt.gasPrice || 0n,
+      fee
+    });
+    
+    if (CONFIG.display.showTransactionDetails) {
+      this.logger.tx(`Gas used: ${receipt.gasUsed} @ ${ethers.formatUnits(receipt.gasPrice || 0n, 'gwei')} gwei | Fee: ${ethers.formatEther(fee)}`);
+    }
+    
+    return receipt;
+  }
+  
+  /**
+   * Returns and clears the transactions mined since the last call
+   * @returns {Object[]} Mined transactions
+   */
+  drainTransactions() {
+    const transactions = this.transactions;
+    this.transactions = [];
+    return transactions;
+  }
+  
+  /**
+   * Waits for any transaction sent under a nonce, replacing it with bumped fees
+   * when it stays pending and cancelling it once PARAMS.MAX_REPLACEMENTS is reached
+   * @param {number} nonce - Tracked nonce
+   * @returns {Promise<ethers.TransactionReceipt>} Mined receipt
+   */
+  async waitForNonce(nonce) {
+    for (let replacement = 0; replacement <= PARAMS.MAX_REPLACEMENTS; replacement++) {
+      const receipt = await this.waitForReceipt(nonce);
+      if (receipt) return this.settleReceipt(nonce, receipt);
+      
+      if (replacement < PARAMS.MAX_REPLACEMENTS) {
+        this.logger.warn(`Transaction with nonce ${nonce} still pending, replacing with higher fees (${replacement + 1}/${PARAMS.MAX_REPLACEMENTS})`);
+        await this.replaceTransaction(nonce, this.nonceManager.pending.get(nonce).request);
+      }
+    }
+    
+    this.logger.warn(`Transaction with nonce ${nonce} stuck, cancelling`);
+    const entry = this.nonceManager.pending.get(nonce);
+    const cancelIndex = entry.hashes.length;
+    await this.replaceTransaction(nonce, { to: this.wallet.address, value: 0n, gasLimit: 21000 }, 'Cancellation');
+    
+    const receipt = await this.waitForReceipt(nonce);
+    if (!receipt) {
+      // The nonce may have been used by a transaction sent from elsewhere, in which case none of ours can be mined
+      const minedCount = await this.wallet.provider.getTransactionCount(this.wallet.address, 'latest');
+      if (minedCount > nonce) {
+        entry.hashes.forEach(hash => this.recordActivity(hash, 'dropped', { nonce }));
+        this.nonceManager.settle(nonce);
+        throw new Error(`Transaction with nonce ${nonce} was dropped, the nonce was used by another transaction`);
+      }
+      throw new Error(`Transaction with nonce ${nonce} still pending after cancellation`);
+    }
+    
+    // Any hash sent before the cancellation means the original went through
+    const cancelled = entry.hashes.indexOf(receipt.hash) >= cancelIndex;
+    this.settleReceipt(nonce, receipt);
+    
+    if (cancelled) {
+      this.recordReceipt(receipt);
+      throw new Error(`Transaction with nonce ${nonce} was cancelled after being stuck`);
+    }
+    return receipt;
+  }
+  
+  /**
+   * Polls for a receipt of any hash sent under a nonce until CONFIG.timing.txTimeout
+   * @param {number} nonce - Tracked nonce
+   * @returns {Promise<ethers.TransactionReceipt|null>} Receipt, or null if still pending
+   */
+  async waitForReceipt(nonce) {
+    const entry = this.nonceManager.pending.get(nonce);
+    const deadline = Date.now() + CONFIG.timing.txTimeout;
+    
+    while (Date.now() < deadline) {
+      for (const hash of entry.hashes) {
+        try {
+          const receipt = await this.wallet.provider.getTransactionReceipt(hash);
+          if (receipt) return receipt;
+        } catch (error) {
+          // Keep polling - a flaky RPC must not make us forget a broadcast transaction
+          this.logger.warn(`Receipt check failed: ${error.message}`);
+        }
+      }
+      
+      await sleep(CONFIG.timing.receiptPollInterval, CONFIG.timing.receiptPollInterval);
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Re-sends a transaction under the same nonce with fees bumped by PARAMS.FEE_BUMP
+   * @param {number} nonce - Tracked nonce
+   * @param {Object} request - Replacement request (the original, or a cancellation)
+   * @param {string} label - Label used when logging the new hash
+   */
+  async replaceTransaction(nonce, request, label = 'Replacement') {
+    const entry = this.nonceManager.pending.get(nonce);
+    let bump = PARAMS.FEE_BUMP;
+    
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const fees = await this.feeStrategy.getReplacementFees(entry.fees, bump);
+      
+      try {
+        const tx = await this.wallet.sendTransaction({ ...request, ...fees, nonce });
+        this.nonceManager.track(nonce, request, tx);
+        // A cancellation never performs the unit's call, so it gets no selector to be reused under
+        this.recordActivity(tx.hash, 'submitted', { nonce, selector: request === entry.request ? TransactionJournal.getSelector(request) : null });
+        this.logger.tx(`${label} tx hash: 0x${tx.hash.slice(2, 6)}...${tx.hash.slice(-4)}`);
+        return;
+      } catch (error) {
+        if (NonceManager.isNonceTooLow(error)) {
+          // One of the earlier transactions was mined in the meantime
+          return;
+        }
+        if (!NonceManager.isReplacementUnderpriced(error)) {
+          throw error;
+        }
+        bump *= PARAMS.FEE_BUMP;
+      }
+    }
+    
+    throw new Error(`Replacement for nonce ${nonce} underpriced after fee bumps`);
+  }
+  
+  /**
+   * Records a transaction status change for the active step unit
+   * @param {string} hash - Transaction hash
+   * @param {string} status - Transaction status
+   * @param {Object} details - Extra journal fields
+   */
+  recordActivity(hash, status, details = {}) {
+    const step = this.activeStep || {};
+    this.logger.recordActivity(this.wallet.address, step.id, hash, status, { index: step.index, ...details });
+  }
+  
+  /**
+   * Stops tracking a nonce and checks the receipt status
+   * A reverted transaction still paid gas, so its fee is recorded before the non-retryable error is thrown
+   * @param {number} nonce - Tracked nonce
+   * @param {ethers.TransactionReceipt} receipt - Mined receipt
+   * @returns {ethers.TransactionReceipt} The receipt
+   * @throws {Error} If the transaction reverted on-chain (retryable: false, resending would revert again)
+   */
+  settleReceipt(nonce, receipt) {
+    const entry = this.nonceManager.pending.get(nonce);
+    
+    for (const hash of entry.hashes) {
+      if (hash === receipt.hash) {
+        this.recordActivity(hash, receipt.status === 1 ? 'confirmed' : 'reverted', {
+          nonce,
+          gasUsed: receipt.gasUsed,
+          fee: FeeStrategy.getFeePaid(receipt)
+        });
+      } else {
+        this.recordActivity(hash, 'replaced', { nonce });
+      }
+    }
+    
+    this.nonceManager.settle(nonce);
+    
+    if (receipt.status === 0) {
+      this.recordReceipt(receipt);
+      const error = new Error(`Transaction 0x${receipt.hash.slice(2, 6)}...${receipt.hash.slice(-4)} reverted`);
+      error.retryable = false;
+      throw error;
+    }
+    return receipt;
+  }
+  
+  /**
+   * Transfers native tokens
+   * @param {string} toAddress - Recipient address
+   * @param {number} index - Transfer index
+   * @returns {Promise<boolean>} Success status
+   */
+  async transfer(toAddress, index) {
+    const amount = this.getRandomizedAmount(PARAMS.TRANSFER_AMOUNT);
+    const truncatedAddress = `${toAddress.slice(0, 6)}...${toAddress.slice(-4)}`;
+    
+    this.logger.tx(`Transfer ${index+1}: ${amount} ${CONFIG.network.name} to ${truncatedAddress}`);
+    
+    return this.retryableInteraction('Transfer', async () => {
+      const balances = await this.getBalances();
+      const required = ethers.parseEther(amount);
+      // Estimated with zero value so the estimate does not depend on the amount being affordable
+      const gasCost = await this.estimateCost({ to: toAddress, value: 0n });
+      
+      if (balances.native.raw < required + gasCost) {
+        this.logger.warn(`Insufficient balance for transfer: ${balances.native.formatted} < ${amount} + ${ethers.formatEther(gasCost)} gas`);
+        return false;
+      }
+      
+      // Execute the transfer
+      await this.sendTransaction({
+        to: toAddress,
+        value: required
+      });
+      
+      this.logger.success(`Transfer ${index+1} completed`);
+      
+      return true;
+    });
+  }
+  
+  /**
+   * Transfers ERC-20 tokens
+   * @param {string} toAddress - Recipient address
+   * @param {number} index - Transfer index
+   * @param {ethers.Contract} token - Token contract (defaults to CONFIG.contract.TOKEN)
+   * @returns {Promise<boolean>} Success status
+   */
+  async transferToken(toAddress, index, token = this.contracts.token) {
+    const { decimals, symbol } = await this.getTokenInfo(token);
+    const amount = this.getRandomizedAmount(PARAMS.TOKEN_TRANSFER_AMOUNT);
+    const truncatedAddress = `${toAddress.slice(0, 6)}...${toAddress.slice(-4)}`;
+    
+    this.logger.tx(`Token transfer ${index+1}: ${amount} ${symbol} to ${truncatedAddress}`);
+    
+    return this.retryableInteraction('Token transfer', async () => {
+      const required = ethers.parseUnits(amount, decimals);
+      const balance = await token.balanceOf(this.wallet.address);
+      
+      if (balance < required) {
+        this.logger.warn(`Insufficient ${symbol} balance for transfer: ${ethers.formatUnits(balance, decimals)} < ${amount}`);
+        return false;
+      }
+      
+      const request = await token.transfer.populateTransaction(toAddress, required);
+      const [nativeBalance, gasCost] = await Promise.all([
+        this.wallet.provider.getBalance(this.wallet.address),
+        this.estimateCost(request)
+      ]);
+      
+      if (nativeBalance < gasCost) {
+        this.logger.warn(`Insufficient balance for token transfer gas: ${ethers.formatEther(nativeBalance)} < ${ethers.formatEther(gasCost)}`);
+        return false;
+      }
+      
+      await this.sendTransaction(request);
+      this.logger.success(`Token transfer ${index+1} completed`);
+      
+      return true;
+    });
+  }
+  
+  /**
+   * Wraps native tokens into CONFIG.contract.WRAPPED_TOKEN
+   * The native balance must cover the wrapped amount plus the gas for the deposit
+   * @param {number} index - Wrap index
+   * @returns {Promise<boolean>} Success status
+   */
+  async wrap(index) {
+    const wrappedToken = this.contracts.wrappedToken;
+    const { symbol } = await this.getTokenInfo(wrappedToken);
+    const amount = this.getRandomizedAmount(PARAMS.WRAP_AMOUNT);
+    
+    this.logger.tx(`Wrap ${index+1}: ${amount} ${CONFIG.network.name} → ${symbol}`);
+    
+    return this.retryableInteraction('Wrap', async () => {
+      const balance = await this.wallet.provider.getBalance(this.wallet.address);
+      // Estimated with zero value so the estimate does not depend on the amount being affordable
+      const gasCost = await this.feeStrategy.estimateCost(await wrappedToken.deposit.populateTransaction({ value: 0n }));
+      const value = amount === 'all' || amount === 'max' ? balance - gasCost : ethers.parseEther(amount);
+      
+      if (value <= 0n || balance < value + gasCost) {
+        this.logger.warn(`Insufficient balance for wrap: ${ethers.formatEther(balance)} < ${amount} + ${ethers.formatEther(gasCost)} gas`);
+        return false;
+      }
+      
+      await this.sendTransaction(await wrappedToken.deposit.populateTransaction({ value }));
+      this.logger.success(`Wrap ${index+1} completed: ${ethers.formatEther(value)} ${symbol}`);
+      
+      return true;
+    });
+  }
+  
+  /**
+   * Unwraps CONFIG.contract.WRAPPED_TOKEN back into native tokens
+   * @param {number} index - Unwrap index
+   * @returns {Promise<boolean>} Success status
+   */
+  async unwrap(index) {
+    const wrappedToken = this.contracts.wrappedToken;
+    const { symbol } = await this.getTokenInfo(wrappedToken);
+    const amount = this.getRandomizedAmount(PARAMS.UNWRAP_AMOUNT);
+    
+    this.logger.tx(`Unwrap ${index+1}: ${amount} ${symbol} → ${CONFIG.network.name}`);
+    
+    return this.retryableInteraction('Unwrap', async () => {
+      const wrappedBalance = await wrappedToken.balanceOf(this.wallet.address);
+      const value = amount === 'all' || amount === 'max' ? wrappedBalance : ethers.parseEther(amount);
+      
+      if (value === 0n || wrappedBalance < value) {
+        this.logger.warn(`Insufficient ${symbol} balance for unwrap: ${ethers.formatEther(wrappedBalance)} < ${amount}`);
+        return false;
+      }
+      
+      const request = await wrappedToken.withdraw.populateTransaction(value);
+      const [balance, gasCost] = await Promise.all([
+        this.wallet.provider.getBalance(this.wallet.address),
+        this.feeStrategy.estimateCost(request)
+      ]);
+      
+      if (balance < gasCost) {
+        this.logger.warn(`Insufficient balance for unwrap gas: ${ethers.formatEther(balance)} < ${ethers.formatEther(gasCost)}`);
+        return false;
+      }
+      
+      await this.sendTransaction(request);
+      this.logger.success(`Unwrap ${index+1} completed: ${ethers.formatEther(value)} ${CONFIG.network.name}`);
+      
+      return true;
+    });
+  }
+  
+  /**
+   * Estimates the worst-case gas cost of a request (see FeeStrategy.estimateCost)
+   * Simulated approvals are not on chain, so in dry-run mode a call depending on one cannot be
+   * estimated here; its cost is left to the simulation
+   * @param {Object} request - Transaction request
+   * @returns {Promise<bigint>} Gas cost in wei
+   */
+  async estimateCost(request) {
+    try {
+      return await this.feeStrategy.estimateCost(request);
+    } catch (error) {
+      if (CONFIG.execution.dryRun && this.simulatedAllowances.size > 0) return 0n;
+      throw error;
+    }
+  }
+  
+  /**
+   * Makes sure a spender may pull at least the given amount, approving only when needed
+   * Approves the exact amount, or up to PARAMS.APPROVAL_CAP in 'capped' mode
+   * @param {ethers.Contract} token - Token contract
+   * @param {string} spender - Spender address
+   * @param {bigint} amount - Amount the spender needs
+   * @returns {Promise<boolean>} True if an approval was sent
+   */
+  async ensureAllowance(token, spender, amount) {
+    const { decimals, symbol } = await this.getTokenInfo(token);
+    const tokenAddress = await token.getAddress();
+    const key = `${tokenAddress}:${spender}`.toLowerCase();
+    const current = await token.allowance(this.wallet.address, spender);
+    const simulated = this.simulatedAllowances.get(key);
+    
+    if (current >= amount || (simulated && simulated.amount >= amount)) return false;
+    
+    let approveAmount = amount;
+    if (PARAMS.APPROVAL_MODE === 'capped') {
+      const cap = ethers.parseUnits(PARAMS.APPROVAL_CAP, decimals);
+      approveAmount = cap > amount ? cap : amount;
+    }
+    
+    const truncatedSpender = `${spender.slice(0, 6)}...${spender.slice(-4)}`;
+    this.logger.tx(`Approving ${ethers.formatUnits(approveAmount, decimals)} ${symbol} for ${truncatedSpender}`);
+    
+    await this.sendTransaction(await token.approve.populateTransaction(spender, approveAmount));
+    
+    // A simulated approval is never applied, so there is nothing to revoke - later simulations override it in
+    if (CONFIG.execution.dryRun) {
+      this.simulatedAllowances.set(key, { tokenAddress, spender, amount: approveAmount });
+    } else {
+      this.approvals.set(key, { token, spender });
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Gets the swap direction for a swap index according to CONFIG.swap.direction
+   * @param {number} index - Swap index
+   * @returns {string} 'nativeToToken' or 'tokenToNative'
+   */
+  getSwapDirection(index) {
+    if (CONFIG.swap.direction === 'alternate') {
+      return index % 2 === 0 ? 'nativeToToken' : 'tokenToNative';
+    }
+    return CONFIG.swap.direction;
+  }
+  
+  /**
+   * Quotes the output of a single-hop swap
+   * Uses getAmountsOut on V2 routers and QuoterV2 on V3
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @param {bigint} amountIn - Input amount
+   * @returns {Promise<bigint>} Quoted output amount
+   */
+  async quoteSwap(tokenIn, tokenOut, amountIn) {
+    if (CONFIG.swap.routerType === 'v3') {
+      const [amountOut] = await this.contracts.quoter.quoteExactInputSingle.staticCall({
+        tokenIn,
+        tokenOut,
+        amountIn,
+        fee: CONFIG.swap.feeTier,
+        sqrtPriceLimitX96: 0
+      });
+      return amountOut;
+    }
+    
+    const amounts = await this.contracts.router.getAmountsOut(amountIn, [tokenIn, tokenOut]);
+    return amounts[amounts.length - 1];
+  }
+  
+  /**
+   * Applies PARAMS.SLIPPAGE_TOLERANCE to a quoted amount
+   * @param {bigint} amount - Quoted amount
+   * @returns {bigint} Minimum acceptable amount
+   */
+  applySlippage(amount) {
+    return amount * BigInt(Math.round((1 - PARAMS.SLIPPAGE_TOLERANCE) * 10000)) / 10000n;
+  }
+  
+  /**
+   * Gets a swap deadline CONFIG.swap.deadlineSeconds from now
+   * @returns {bigint} Unix timestamp
+   */
+  getDeadline() {
+    return BigInt(Math.floor(Date.now() / 1000) + CONFIG.swap.deadlineSeconds);
+  }
+  
+  /**
+   * Builds the router call for a native <-> token swap
+   * Native legs are routed through CONFIG.contract.WRAPPED_TOKEN
+   * @param {boolean} nativeIn - True for native → token, false for token → native
+   * @param {string} tokenIn - Input token address (wrapped token for native input)
+   * @param {string} tokenOut - Output token address (wrapped token for native output)
+   * @param {bigint} amountIn - Input amount
+   * @param {bigint} minAmountOut - Minimum output amount
+   * @returns {Promise<Object>} Transaction request
+   */
+  async buildSwapRequest(nativeIn, tokenIn, tokenOut, amountIn, minAmountOut) {
+    const router = this.contracts.router;
+    const deadline = this.getDeadline();
+    
+    if (CONFIG.swap.routerType !== 'v3') {
+      return nativeIn
+        ? router.swapExactETHForTokens.populateTransaction(minAmountOut, [tokenIn, tokenOut], this.wallet.address, deadline, { value: amountIn })
+        : router.swapExactTokensForETH.populateTransaction(amountIn, minAmountOut, [tokenIn, tokenOut], this.wallet.address, deadline);
+    }
+    
+    const params = {
+      tokenIn,
+      tokenOut,
+      fee: CONFIG.swap.feeTier,
+      recipient: nativeIn ? this.wallet.address : CONFIG.contract.ROUTER, // Router keeps WETH to unwrap it
+      deadline,
+      amountIn,
+      amountOutMinimum: minAmountOut,
+      sqrtPriceLimitX96: 0
+    };
+    
+    if (nativeIn) {
+      return router.exactInputSingle.populateTransaction(params, { value: amountIn });
+    }
+    
+    return router.multicall.populateTransaction([
+      router.interface.encodeFunctionData('exactInputSingle', [params]),
+      router.interface.encodeFunctionData('unwrapWETH9', [minAmountOut, this.wallet.address])
+    ]);
+  }
+  
+  /**
+   * Swaps between the native token and CONFIG.contract.TOKEN
+   * minAmountOut is derived from a fresh quote and PARAMS.SLIPPAGE_TOLERANCE
+   * @param {number} index - Swap index
+   * @returns {Promise<boolean>} Success status
+   */
+  async swap(index) {
+    const token = this.contracts.token;
+    const { decimals, symbol } = await this.getTokenInfo(token);
+    const nativeIn = this.getSwapDirection(index) === 'nativeToToken';
+    const amount = this.getRandomizedAmount(nativeIn ? PARAMS.SWAP_AMOUNT : PARAMS.SWAP_TOKEN_AMOUNT);
+    
+    const [tokenIn, tokenOut] = nativeIn
+      ? [CONFIG.contract.WRAPPED_TOKEN, CONFIG.contract.TOKEN]
+      : [CONFIG.contract.TOKEN, CONFIG.contract.WRAPPED_TOKEN];
+    const [symbolIn, symbolOut] = nativeIn ? [CONFIG.network.name, symbol] : [symbol, CONFIG.network.name];
+    
+    this.logger.tx(`Swap ${index+1}: ${amount} ${symbolIn} → ${symbolOut}`);
+    
+    return this.retryableInteraction('Swap', async () => {
+      let amountIn;
+      
+      if (nativeIn) {
+        const balances = await this.getBalances();
+        amountIn = ethers.parseEther(amount);
+        
+        // The gas is checked once the swap can be estimated, below
+        if (balances.native.raw < amountIn) {
+          this.logger.warn(`Insufficient balance for swap: ${balances.native.formatted} < ${amount}`);
+          return false;
+        }
+      } else {
+        const balance = await token.balanceOf(this.wallet.address);
+        amountIn = amount === 'all' || amount === 'max' ? balance : ethers.parseUnits(amount, decimals);
+        
+        if (amountIn === 0n || balance < amountIn) {
+          this.logger.warn(`Insufficient ${symbol} balance for swap: ${ethers.formatUnits(balance, decimals)} < ${amount}`);
+          return false;
+        }
+        
+        await this.ensureAllowance(token, CONFIG.contract.ROUTER, amountIn);
+      }
+      
+      const quote = await this.quoteSwap(tokenIn, tokenOut, amountIn);
+      const minAmountOut = this.applySlippage(quote);
+      const formatOut = value => (nativeIn ? ethers.formatUnits(value, decimals) : ethers.formatEther(value));
+      
+      if (CONFIG.display.showTransactionDetails) {
+        this.logger.tx(`Quote: ${formatOut(quote)} ${symbolOut} | Min out: ${formatOut(minAmountOut)} ${symbolOut}`);
+      }
+      
+      const request = await this.buildSwapRequest(nativeIn, tokenIn, tokenOut, amountIn, minAmountOut);
+      const [balance, gasCost] = await Promise.all([
+        this.wallet.provider.getBalance(this.wallet.address),
+        this.estimateCost(request)
+      ]);
+      
+      if (balance < (nativeIn ? amountIn : 0n) + gasCost) {
+        this.logger.warn(`Insufficient balance for swap: ${ethers.formatEther(balance)} < ${nativeIn ? `${amount} + ` : ''}${ethers.formatEther(gasCost)} gas`);
+        return false;
+      }
+      
+      await this.sendTransaction(request);
+      this.logger.success(`Swap ${index+1} completed`);
+      
+      return true;
+    });
+  }
+  
+  /**
+   * Gets the token pair used for liquidity operations
+   * The base side is CONFIG.liquidity.tokenB, or the native token through CONFIG.contract.WRAPPED_TOKEN
+   * @returns {{token: string, base: string, nativeBase: boolean}} Pair token addresses
+   */
+  getLiquidityTokens() {
+    const nativeBase = !CONFIG.liquidity.tokenB;
+    return {
+      token: CONFIG.contract.TOKEN,
+      base: nativeBase ? CONFIG.contract.WRAPPED_TOKEN : CONFIG.liquidity.tokenB,
+      nativeBase
+    };
+  }
+  
+  /**
+   * Gets (and caches) the V2 pair contract for the liquidity tokens
+   * @returns {Promise<ethers.Contract|null>} Pair contract, or null if the pair does not exist
+   */
+  async getLiquidityPair() {
+    if (this.contracts.pair !== undefined) return this.contracts.pair;
+    
+    const { token, base } = this.getLiquidityTokens();
+    const factory = new ethers.Contract(await this.contracts.router.factory(), V2_FACTORY_ABI, this.wallet);
+    const pairAddress = await factory.getPair(token, base);
+    
+    this.contracts.pair = pairAddress === ethers.ZeroAddress
+      ? null
+      : new ethers.Contract(pairAddress, V2_PAIR_ABI, this.wallet);
+    
+    return this.contracts.pair;
+  }
+  
+  /**
+   * Gets pair reserves ordered as [token, base]
+   * @param {ethers.Contract} pair - Pair contract
+   * @returns {Promise<[bigint, bigint]>} Token and base reserves
+   */
+  async getPairReserves(pair) {
+    const [token0, [reserve0, reserve1]] = await Promise.all([pair.token0(), pair.getReserves()]);
+    return token0.toLowerCase() === this.getLiquidityTokens().token.toLowerCase()
+      ? [reserve0, reserve1]
+      : [reserve1, reserve0];
+  }
+  
+  /**
+   * Adds liquidity to the CONFIG.contract.TOKEN pair
+   * PARAMS.LIQUIDITY_AMOUNT sets the base side, the token side is matched to the pool price
+   * @param {number} index - Liquidity operation index
+   * @returns {Promise<boolean>} Success status
+   */
+  async addLiquidity(index) {
+    const router = this.contracts.router;
+    const { token: tokenAddress, base: baseAddress, nativeBase } = this.getLiquidityTokens();
+    const token = this.contracts.token;
+    const baseToken = nativeBase ? null : this.getTokenContract(baseAddress);
+    const { decimals, symbol } = await this.getTokenInfo(token);
+    const baseInfo = nativeBase ? { decimals: 18, symbol: CONFIG.network.name } : await this.getTokenInfo(baseToken);
+    const amount = this.getRandomizedAmount(PARAMS.LIQUIDITY_AMOUNT);
+    
+    this.logger.tx(`Add liquidity ${index+1}: ${amount} ${baseInfo.symbol} + ${symbol}`);
+    
+    return this.retryableInteraction('Add liquidity', async () => {
+      const pair = await this.getLiquidityPair();
+      const [reserveToken, reserveBase] = pair ? await this.getPairReserves(pair) : [0n, 0n];
+      
+      if (reserveToken === 0n || reserveBase === 0n) {
+        this.logger.warn(`${symbol}/${baseInfo.symbol} pool has no liquidity to price against`);
+        return false;
+      }
+      
+      const amountBase = ethers.parseUnits(amount, baseInfo.decimals);
+      const amountToken = await router.quote(amountBase, reserveBase, reserveToken);
+      
+      // The gas is checked once the deposit can be estimated, after the approvals
+      if (nativeBase) {
+        const balances = await this.getBalances();
+        if (balances.native.raw < amountBase) {
+          this.logger.warn(`Insufficient balance for liquidity: ${balances.native.formatted} < ${amount}`);
+          return false;
+        }
+      } else {
+        const baseBalance = await baseToken.balanceOf(this.wallet.address);
+        if (baseBalance < amountBase) {
+          this.logger.warn(`Insufficient ${baseInfo.symbol} balance for liquidity: ${ethers.formatUnits(baseBalance, baseInfo.decimals)} < ${amount}`);
+          return false;
+        }
+      }
+      
+      const tokenBalance = await token.balanceOf(this.wallet.address);
+      if (tokenBalance < amountToken) {
+        this.logger.warn(`Insufficient ${symbol} balance for liquidity: ${ethers.formatUnits(tokenBalance, decimals)} < ${ethers.formatUnits(amountToken, decimals)}`);
+        return false;
+      }
+      
+      await this.ensureAllowance(token, CONFIG.contract.ROUTER, amountToken);
+      if (!nativeBase) {
+        await this.ensureAllowance(baseToken, CONFIG.contract.ROUTER, amountBase);
+      }
+      
+      const [minToken, minBase] = [this.applySlippage(amountToken), this.applySlippage(amountBase)];
+      const deadline = this.getDeadline();
+      
+      if (CONFIG.display.showTransactionDetails) {
+        this.logger.tx(`Depositing ${ethers.formatUnits(amountToken, decimals)} ${symbol} | Min: ${ethers.formatUnits(minToken, decimals)} ${symbol} + ${ethers.formatUnits(minBase, baseInfo.decimals)} ${baseInfo.symbol}`);
+      }
+      
+      const request = nativeBase
+        ? await router.addLiquidityETH.populateTransaction(tokenAddress, amountToken, minToken, minBase, this.wallet.address, deadline, { value: amountBase })
+        : await router.addLiquidity.populateTransaction(tokenAddress, baseAddress, amountToken, amountBase, minToken, minBase, this.wallet.address, deadline);
+      
+      const [balance, gasCost] = await Promise.all([
+        this.wallet.provider.getBalance(this.wallet.address),
+        this.estimateCost(request)
+      ]);
+      
+      if (balance < (nativeBase ? amountBase : 0n) + gasCost) {
+        this.logger.warn(`Insufficient balance for liquidity: ${ethers.formatEther(balance)} < ${nativeBase ? `${amount} + ` : ''}${ethers.formatEther(gasCost)} gas`);
+        return false;
+      }
+      
+      await this.sendTransaction(request);
+      this.logger.success(`Add liquidity ${index+1} completed`);
+      
+      return true;
+    });
+  }
+  
+  /**
+   * Removes PARAMS.LIQUIDITY_REMOVE_SHARE of the wallet's LP balance
+   * Minimum amounts are the LP share of the reserves less PARAMS.SLIPPAGE_TOLERANCE
+   * @param {number} index - Liquidity operation index
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeLiquidity(index) {
+    const router = this.contracts.router;
+    const { token: tokenAddress, base: baseAddress, nativeBase } = this.getLiquidityTokens();
+    const { decimals, symbol } = await this.getTokenInfo(this.contracts.token);
+    const baseInfo = nativeBase ? { decimals: 18, symbol: CONFIG.network.name } : await this.getTokenInfo(this.getTokenContract(baseAddress));
+    
+    this.logger.tx(`Remove liquidity ${index+1}: ${PARAMS.LIQUIDITY_REMOVE_SHARE * 100}% of ${symbol}/${baseInfo.symbol} LP`);
+    
+    return this.retryableInteraction('Remove liquidity', async () => {
+      const pair = await this.getLiquidityPair();
+      const lpBalance = pair ? await pair.balanceOf(this.wallet.address) : 0n;
+      
+      if (lpBalance === 0n) {
+        this.logger.warn(`No ${symbol}/${baseInfo.symbol} LP tokens to remove`);
+        return false;
+      }
+      
+      const liquidity = lpBalance * BigInt(Math.round(PARAMS.LIQUIDITY_REMOVE_SHARE * 10000)) / 10000n;
+      const [[reserveToken, reserveBase], totalSupply] = await Promise.all([this.getPairReserves(pair), pair.totalSupply()]);
+      const minToken = this.applySlippage(reserveToken * liquidity / totalSupply);
+      const minBase = this.applySlippage(reserveBase * liquidity / totalSupply);
+      const deadline = this.getDeadline();
+      
+      if (CONFIG.display.showTransactionDetails) {
+        this.logger.tx(`Burning ${ethers.formatEther(liquidity)} LP | Min out: ${ethers.formatUnits(minToken, decimals)} ${symbol} + ${ethers.formatUnits(minBase, baseInfo.decimals)} ${baseInfo.symbol}`);
+      }
+      
+      await this.ensureAllowance(pair, CONFIG.contract.ROUTER, liquidity);
+      
+      const request = nativeBase
+        ? await router.removeLiquidityETH.populateTransaction(tokenAddress, liquidity, minToken, minBase, this.wallet.address, deadline)
+        : await router.removeLiquidity.populateTransaction(tokenAddress, baseAddress, liquidity, minToken, minBase, this.wallet.address, deadline);
+      
+      await this.sendTransaction(request);
+      this.logger.success(`Remove liquidity ${index+1} completed`);
+      
+      return true;
+    });
+  }
+  
+  /**
+   * Gets (and caches) the staking adapter for a CONFIG.contract entry
+   * @param {string} contractKey - CONFIG.contract key ('STAKING' or 'FARM')
+   * @returns {StakingAdapter} Adapter instance
+   */
+  getStakingAdapter(contractKey = 'STAKING') {
+    if (!this.stakingAdapters.has(contractKey)) {
+      this.stakingAdapters.set(contractKey, StakingAdapter.create(this, contractKey));
+    }
+    return this.stakingAdapters.get(contractKey);
+  }
+  
+  /**
+   * Gets staked balance and pending rewards for a staking contract
+   * @param {string} contractKey - CONFIG.contract key
+   * @returns {Promise<Object>} { staked, pending } with raw and formatted values
+   */
+  async getStakingPosition(contractKey = 'STAKING') {
+    const adapter = this.getStakingAdapter(contractKey);
+    const stakeToken = await this.getTokenInfo(this.getTokenContract(await adapter.getStakeToken()));
+    const rewardTokenAddress = await adapter.getRewardToken();
+    const rewardToken = rewardTokenAddress
+      ? await this.getTokenInfo(this.getTokenContract(rewardTokenAddress))
+      : { decimals: 18, symbol: 'REWARD' };
+    
+    const [staked, pending] = await Promise.all([adapter.getStakedBalance(), adapter.getPendingRewards()]);
+    
+    return {
+      staked: { raw: staked, formatted: ethers.formatUnits(staked, stakeToken.decimals), symbol: stakeToken.symbol },
+      pending: { raw: pending, formatted: ethers.formatUnits(pending, rewardToken.decimals), symbol: rewardToken.symbol }
+    };
+  }
+  
+  /**
+   * Stakes PARAMS.STAKE_AMOUNT of the stake token, approving the staking contract if needed
+   * @param {number} index - Stake index
+   * @param {string} contractKey - CONFIG.contract key
+   * @returns {Promise<boolean>} Success status
+   */
+  async stake(index, contractKey = 'STAKING') {
+    const adapter = this.getStakingAdapter(contractKey);
+    const token = this.getTokenContract(await adapter.getStakeToken());
+    const { decimals, symbol } = await this.getTokenInfo(token);
+    const amount = this.getRandomizedAmount(PARAMS.STAKE_AMOUNT);
+    
+    this.logger.tx(`Stake ${index+1}: ${amount} ${symbol}`);
+    
+    return this.retryableInteraction('Stake', async () => {
+      const balance = await token.balanceOf(this.wallet.address);
+      const required = amount === 'all' || amount === 'max' ? balance : ethers.parseUnits(amount, decimals);
+      
+      if (required === 0n || balance < required) {
+        this.logger.warn(`Insufficient ${symbol} balance for staking: ${ethers.formatUnits(balance, decimals)} < ${amount}`);
+        return false;
+      }
+      
+      await this.ensureAllowance(token, adapter.address, required);
+      await this.sendTransaction(await adapter.buildStake(required));
+      this.logger.success(`Stake ${index+1} completed`);
+      
+      return true;
+    });
+  }
+  
+  /**
+   * Unstakes PARAMS.STAKE_AMOUNT (capped at the staked balance)
+   * @param {number} index - Unstake index
+   * @param {string} contractKey - CONFIG.contract key
+   * @returns {Promise<boolean>} Success status
+   */
+  async unstake(index, contractKey = 'STAKING') {
+    const adapter = this.getStakingAdapter(contractKey);
+    const { decimals, symbol } = await this.getTokenInfo(this.getTokenContract(await adapter.getStakeToken()));
+    const amount = this.getRandomizedAmount(PARAMS.STAKE_AMOUNT);
+    
+    this.logger.tx(`Unstake ${index+1}: ${amount} ${symbol}`);
+    
+    return this.retryableInteraction('Unstake', async () => {
+      const staked = await adapter.getStakedBalance();
+      
+      if (staked === 0n) {
+        this.logger.warn(`Nothing staked to unstake`);
+        return false;
+      }
+      
+      const requested = amount === 'all' || amount === 'max' ? staked : ethers.parseUnits(amount, decimals);
+      const unstakeAmount = requested < staked ? requested : staked;
+      
+      await this.sendTransaction(await adapter.buildUnstake(unstakeAmount));
+      this.logger.success(`Unstake ${index+1} completed: ${ethers.formatUnits(unstakeAmount, decimals)} ${symbol}`);
+      
+      return true;
+    });
+  }
+  
+  /**
+   * Claims pending rewards and adds them to the wallet's earned rewards
+   * @param {string} contractKey - CONFIG.contract key
+   * @returns {Promise<boolean>} Success status
+   */
+  async claimRewards(contractKey = 'STAKING') {
+    const adapter = this.getStakingAdapter(contractKey);
+    
+    return this.retryableInteraction('Claim rewards', async () => {
+      const { pending } = await this.getStakingPosition(contractKey);
+      const claim = await adapter.buildClaim();
+      
+      if (!claim) {
+        this.logger.info(`Rewards accrue in place for ${contractKey}, nothing to claim`);
+        return false;
+      }
+      
+      if (pending.raw === 0n) {
+        this.logger.info(`No pending rewards on ${contractKey}`);
+        return false;
+      }
+      
+      this.logger.tx(`Claiming ${pending.formatted} ${pending.symbol} from ${contractKey}`);
+      
+      // Rewards keep accruing until the claim is mined, so measure the payout when the reward token is known
+      const rewardTokenAddress = await adapter.getRewardToken();
+      const rewardToken = rewardTokenAddress ? this.getTokenContract(rewardTokenAddress) : null;
+      const { decimals } = rewardToken ? await this.getTokenInfo(rewardToken) : { decimals: 18 };
+      const balanceBefore = rewardToken ? await rewardToken.balanceOf(this.wallet.address) : 0n;
+      
+      await this.sendTransaction(claim);
+      
+      const claimed = rewardToken && !CONFIG.execution.dryRun
+        ? (await rewardToken.balanceOf(this.wallet.address)) - balanceBefore
+        : pending.raw;
+      
+      const earned = this.rewardsEarned.get(contractKey) || { raw: 0n, symbol: pending.symbol, decimals };
+      earned.raw += claimed;
+      this.rewardsEarned.set(contractKey, earned);
+      
+      this.logger.success(`Claimed ${ethers.formatUnits(claimed, decimals)} ${pending.symbol}`);
+      return true;
+    });
+  }
+  
+  /**
+   * Harvests farming rewards from CONFIG.contract.FARM
+   * @returns {Promise<boolean>} Success status
+   */
+  async harvest() {
+    return this.claimRewards('FARM');
+  }
+  
+  /**
+   * Resets every allowance granted during this run back to 0
+   * Called at the end of a wallet's run when PARAMS.REVOKE_ALLOWANCES is enabled
+   * @returns {Promise<number>} Number of allowances revoked
+   */
+  async revokeAllowances() {
+    let revoked = 0;
+    
+    for (const [key, { token, spender }] of this.approvals) {
+      try {
+        const { symbol } = await this.getTokenInfo(token);
+        const remaining = await token.allowance(this.wallet.address, spender);
+        
+        if (remaining > 0n) {
+          this.logger.tx(`Revoking ${symbol} allowance for ${spender.slice(0, 6)}...${spender.slice(-4)}`);
+          await this.retryableInteraction('Revoke allowance', async () =>
+            this.sendTransaction(await token.approve.populateTransaction(spender, 0n)));
+          revoked++;
+        }
+        
+        this.approvals.delete(key);
+      } catch (error) {
+        this.logger.error(`Failed to revoke allowance: ${error.message}`);
+      }
+    }
+    
+    return revoked;
+  }
+}
+
+// Token address -> allowance mapping layout found by findAllowanceLayout(), null when none was found
+BaseTransactionHandler.allowanceLayouts = new Map();
+
+// Mapping slots probed for allowances, and the marker value written while probing
+BaseTransactionHandler.ALLOWANCE_SLOT_SEARCH = 20;
+BaseTransactionHandler.ALLOWANCE_MARKER = 0x5eeda110ca7e5eedn;
+
+/**
+ * Tracks statistics for interactions and displays results
+ * Provides standardized results reporting across all DeFi bots
+ */
+class InteractionTracker {
+  constructor() {
+    this.reset();
+    this.startTime = Date.now();
+    this.walletResults = [];
+  }
+  
+  reset() {
+    this.walletsProcessed = 0;
+    
+    // One counter per registered step, plus a catch-all for ad-hoc interactions
+    this.interactions = { custom: 0 };
+    for (const trackerKey of stepRegistry.getTrackerKeys()) {
+      this.interactions[trackerKey] = 0;
+    }
+    this.successfulOps = 0;
+    this.totalOps = 0;
+    this.networks = new Map(); // network name -> { name, chainId, flow, gasSpent }
+    this.network = null;       // Network results are currently recorded for
+    this.walletResults = [];
+    this.cycleStartedAt = Date.now();
+  }
+  
+  /**
+   * Starts recording results for a network
+   * Captures the flow in effect, since network profiles may run different steps
+   * @param {string} name - Network name
+   * @param {number} chainId - Chain id
+   * @param {string[]} flow - Step ids run on this network
+   */
+  setNetwork(name, chainId, flow) {
+    if (!this.networks.has(name)) {
+      this.networks.set(name, { name, chainId, flow: [...flow], gasSpent: 0n, rpcPool: null });
+    }
+    this.network = this.networks.get(name);
+  }
+  
+  /**
+   * Attaches the RPC pool of the current network, shown in the results summary
+   * @param {RpcPool} pool - Endpoint pool
+   */
+  setRpcPool(pool) {
+    this.getNetwork().rpcPool = pool;
+  }
+  
+  /**
+   * Gets the network results are recorded for, defaulting to CONFIG.network
+   * @returns {Object} Network entry
+   */
+  getNetwork() {
+    if (!this.network) {
+      this.setNetwork(CONFIG.network.name, CONFIG.network.chainId, CONFIG.flow);
+    }
+    return this.network;
+  }
+  
+  incrementWallet() {
+    this.walletsProcessed++;
+    metrics.walletsProcessed.inc({ network: this.getNetwork().name });
+  }
+  
+  /**
+   * Records an interaction result
+   * @param {string} type - Interaction type
+   * @param {boolean} success - Success status
+   */
+  recordInteraction(type, success) {
+    if (this.interactions[type] !== undefined) {
+      this.interactions[type]++;
+    }
+    
+    this.totalOps++;
+    
+    if (success) {
+      this.successfulOps++;
+    }
+    
+    metrics.interactions.inc({ network: this.getNetwork().name, step: type, outcome: success ? 'success' : 'failure' });
+  }
+  
+  /**
+   * Restores a wallet result journaled before a restart, including its counters
+   * @param {string} walletAddress - Wallet address
+   * @param {Object} results - Journaled wallet result
+   */
+  restoreWalletResult(walletAddress, results) {
+    for (const [stepId, result] of Object.entries(results.steps || {})) {
+      const step = stepRegistry.get(stepId);
+      if (!step || result.skipped) continue;
+      
+      for (let i = 0; i < result.total; i++) {
+        this.recordInteraction(step.trackerKey, i < result.completed);
+      }
+      this.recordGasSpent(result.gasSpent || 0n);
+    }
+    
+    this.recordWalletResult(walletAddress, results);
+    this.incrementWallet();
+  }
+  
+  /**
+   * Adds transaction fees paid during the cycle
+   * @param {bigint} fee - Fee in wei
+   */
+  recordGasSpent(fee) {
+    this.getNetwork().gasSpent += fee;
+    metrics.gasSpent.inc({ network: this.getNetwork().name }, Number(ethers.formatEther(fee)));
+  }
+  
+  /**
+   * Records results for a specific wallet
+   * @param {string} walletAddress - Wallet address
+   * @param {Object} results - Wallet interaction results
+   */
+  recordWalletResult(walletAddress, results) {
+    this.walletResults.push({
+      address: walletAddress,
+      network: this.getNetwork().name,
+      ...results
+    });
+  }
+  
+  /**
+   * Orders the current network's wallet results by the given addresses
+   * Concurrent wallets finish out of order, but the summary lists them in wallet order
+   * @param {string[]} addresses - Wallet addresses in run order
+   */
+  orderWalletResults(addresses) {
+    const network = this.getNetwork().name;
+    const position = address => addresses.indexOf(address);
+    const ordered = this.walletResults
+      .filter(wallet => wallet.network === network)
+      .sort((a, b) => position(a.address) - position(b.address));
+    
+    this.walletResults = [...this.walletResults.filter(wallet => wallet.network !== network), ...ordered];
+  }
+  
+  /**
+   * Formats a single results column for a step
+   * Single-shot steps show ✅/❌, counted steps show completed/total
+   * @param {StepDefinition} step - Step definition
+   * @param {Object} result - Step result recorded by runStep()
+   * @returns {string} Column text
+   */
+  formatStepColumn(step, result) {
+    if (result.skipped) {
+      return `${step.emoji}--`;
+    }
+    
+    if (!stepRegistry.isCounted(step)) {
+      return `${step.emoji}${result.success ? '✅' : '❌'}`;
+    }
+    
+    const width = `${result.total}/${result.total}`.length;
+    return `${step.emoji}${`${result.completed}/${result.total}`.padEnd(width)}`;
+  }
+  
+  /**
+   * Displays the interaction results summary
+   * Uses standardized emoji-based display format
+   */
+  displayResults() {
+    // Clear screen for results
+    logger.clearTerminal();
+    
+    const dryRun = CONFIG.execution.dryRun;
+    const banner = `
+${logger.colors.cyan}${logger.colors.bright}====================================================
+  INTERACTION RESULTS SUMMARY - by miraiweb3
+====================================================${logger.colors.reset}
+${dryRun ? `${logger.colors.yellow}🧪 DRY RUN - results are simulated, nothing was broadcast${logger.colors.reset}\n` : ''}
+📋 WALLET DETAILS
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
+    
+    console.log(banner);
+    
+    this.getNetwork();
+    const multiChain = this.networks.size > 1;
+    
+    // Results are broken down per chain, each with its own flow columns and fees
+    for (const network of this.networks.values()) {
+      const flow = stepRegistry.resolve(network.flow);
+      const wallets = this.walletResults.filter(wallet => wallet.network === network.name);
+      
+      if (multiChain) {
+        console.log(`\n${logger.colors.cyan}🌐 ${network.name} (chain ${network.chainId})${logger.colors.reset}`);
+      }
+      
+      // Display wallet results with emoji indicators, one column per step in the flow
+      wallets.forEach(wallet => {
+        const shortAddr = `${wallet.address.slice(0, 6)}...${wallet.address.slice(-4)}`;
+        let resultString = `${shortAddr}   `;
+        
+        for (const step of flow) {
+          const result = wallet.steps && wallet.steps[step.id];
+          if (result) {
+            resultString += `${this.formatStepColumn(step, result)}  `;
+          }
+        }
+        
+        (wallet.rewards || []).forEach(reward => {
+          resultString += `🎁${reward.formatted} ${reward.symbol}  `;
+        });
+        
+        console.log(resultString);
+      });
+      
+      if (dryRun) {
+        this.displaySimulatedReverts(flow, wallets);
+      }
+      
+      console.log(`${multiChain ? '' : '\n'}⛽ ${dryRun ? 'Estimated fees' : 'Fees paid'} this cycle: ${ethers.formatEther(network.gasSpent)} ${network.name}`);
+      
+      if (network.rpcPool) {
+        this.displayRpcStats(network.rpcPool);
+      }
+    }
+    
+    console.log('');
+  }
+  
+  /**
+   * Shows per-endpoint RPC statistics
+   * @param {RpcPool} pool - Endpoint pool
+   */
+  displayRpcStats(pool) {
+    console.log(`📡 RPC endpoints:`);
+    
+    pool.endpoints.forEach(endpoint => {
+      const status = endpoint.healthy ? '✅' : `❌ ${endpoint.reason}`;
+      const succeeded = endpoint.requests - endpoint.failures;
+      const average = succeeded > 0 ? `${Math.round(endpoint.totalLatency / succeeded)}ms` : '--';
+      const block = endpoint.blockNumber !== null ? `#${endpoint.blockNumber}` : '--';
+      
+      console.log(`   ${endpoint.host.padEnd(28)} ${String(endpoint.requests).padStart(5)} req  ${String(endpoint.failures).padStart(3)} fail  ${String(endpoint.failovers).padStart(3)} failover  avg ${average.padEnd(6)} ${block}  ${status}`);
+    });
+  }
+  
+  /**
+   * Lists every simulated transaction that would have reverted
+   * @param {StepDefinition[]} flow - Steps shown in the summary
+   * @param {Object[]} wallets - Wallet results to list
+   */
+  displaySimulatedReverts(flow, wallets = this.walletResults) {
+    const reverts = [];
+    
+    wallets.forEach(wallet => {
+      const shortAddr = `${wallet.address.slice(0, 6)}...${wallet.address.slice(-4)}`;
+      
+      for (const step of flow) {
+        const result = wallet.steps && wallet.steps[step.id];
+        if (!result) continue;
+        
+        result.transactions
+          .filter(tx => tx.revertReason)
+          .forEach(tx => reverts.push(`${shortAddr}   ${step.emoji} ${step.name}: ${tx.revertReason}`));
+      }
+    });
+    
+    if (reverts.length > 0) {
+      console.log(`\n${logger.colors.red}❌ SIMULATED REVERTS${logger.colors.reset}`);
+      reverts.forEach(line => console.log(line));
+    }
+  }
+}
+
+/**
+ * ReportExporter class for machine-readable run reports
+ * Writes every cycle to JSON and CSV and appends a one-line summary to a history file,
+ * so results survive stats.reset() and cycles can be compared over time
+ */
+class ReportExporter {
+  /**
+   * Creates an exporter
+   * @param {string} dir - Output directory
+   */
+  constructor(dir = CONFIG.reports.dir) {
+    this.dir = dir;
+  }
+  
+  /**
+   * Serializes bigints as decimal strings
+   * @param {*} value - Value to serialize
+   * @returns {string} JSON
+   */
+  static toJson(value, space) {
+    return JSON.stringify(value, (key, entry) => (typeof entry === 'bigint' ? entry.toString() : entry), space);
+  }
+  
+  /**
+   * Builds the report of a finished cycle
+   * @param {InteractionTracker} stats - Statistics tracker
+   * @param {string} cycleId - Cycle id (journal cycle, or the cycle start time)
+   * @returns {Object} Report
+   */
+  build(stats, cycleId) {
+    const networks = [...stats.networks.values()].map(network => ({
+      name: network.name,
+      chainId: network.chainId,
+      flow: network.flow,
+      gasSpent: network.gasSpent,
+      gasSpentFormatted: ethers.formatEther(network.gasSpent),
+      rpc: network.rpcPool ? network.rpcPool.endpoints.map(endpoint => ({
+        host: endpoint.host,
+        healthy: endpoint.healthy,
+        requests: endpoint.requests,
+        failures: endpoint.failures,
+        failovers: endpoint.failovers
+      })) : []
+    }));
+    
+    const wallets = stats.walletResults.map(wallet => ({
+      address: wallet.address,
+      network: wallet.network,
+      steps: Object.fromEntries(Object.entries(wallet.steps || {}).map(([stepId, result]) => [stepId, {
+        completed: result.completed,
+        total: result.total,
+        skipped: result.skipped,
+        gasSpent: result.gasSpent || 0n,
+        transactions: (result.transactions || []).map(tx => ({
+          hash: tx.hash,
+          gasUsed: tx.gasUsed,
+          gasPrice: tx.gasPrice,
+          fee: tx.fee,
+          ...(tx.simulated ? { simulated: true, revertReason: tx.revertReason, ...(tx.notSimulated ? { notSimulated: tx.notSimulated } : {}) } : {})
+        }))
+      }])),
+      rewards: (wallet.rewards || []).map(reward => ({ symbol: reward.symbol, amount: reward.formatted })),
+      balances: wallet.balances || []
+    }));
+    
+    return {
+      cycle: cycleId,
+      startedAt: new Date(stats.cycleStartedAt).toISOString(),
+      finishedAt: new Date().toISOString(),
+      dryRun: CONFIG.execution.dryRun,
+      walletsProcessed: stats.walletsProcessed,
+      successfulOps: stats.successfulOps,
+      totalOps: stats.totalOps,
+      interactions: stats.interactions,
+      networks,
+      wallets
+    };
+  }
+  
+  /**
+   * Flattens a report into CSV rows
+   * One 'step' row per wallet and step, and one 'balance' row per wallet and asset
+   * @param {Object} report - Report from build()
+   * @returns {string} CSV text
+   */
+  toCsv(report) {
+    const header = ['cycle', 'network', 'wallet', 'record', 'step', 'completed', 'total', 'status', 'gas_spent', 'tx_hashes', 'asset', 'initial', 'final', 'delta'];
+    const rows = [];
+    
+    for (const wallet of report.wallets) {
+      const base = [report.cycle, wallet.network, wallet.address];
+      
+      for (const [stepId, step] of Object.entries(wallet.steps)) {
+        const status = step.skipped ? 'skipped' : step.completed === step.total ? 'success' : step.completed > 0 ? 'partial' : 'failed';
+        const hashes = step.transactions.map(tx => tx.hash).filter(Boolean).join(' ');
+        rows.push([...base, 'step', stepId, step.completed, step.total, status, ethers.formatEther(step.gasSpent), hashes, '', '', '', '']);
+      }
+      
+      for (const balance of wallet.balances) {
+        rows.push([...base, 'balance', '', '', '', '', '', '', balance.asset, balance.initial, balance.final, balance.delta]);
+      }
+    }
+    
+    const escape = value => {
+      const text = String(value ?? '');
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    return [header, ...rows].map(row => row.map(escape).join(',')).join('\n') + '\n';
+  }
+  
+  /**
+   * Builds the one-line history entry of a report
+   * Sums balance deltas per network and asset across wallets
+   * @param {Object} report - Report from build()
+   * @returns {Object} History entry
+   */
+  toHistoryEntry(report) {
+    const totals = new Map();
+    
+    for (const wallet of report.wallets) {
+      for (const balance of wallet.balances) {
+        const key = `${wallet.network}:${balance.asset}`;
+        const total = totals.get(key) || { raw: 0n, decimals: balance.decimals };
+        total.raw += ethers.parseUnits(balance.delta, balance.decimals);
+        totals.set(key, total);
+      }
+    }
+    const deltas = Object.fromEntries([...totals].map(([key, total]) => [key, ethers.formatUnits(total.raw, total.decimals)]));
+    
+    return {
+      cycle: report.cycle,
+      finishedAt: report.finishedAt,
+      dryRun: report.dryRun,
+      wallets: report.walletsProcessed,
+      successfulOps: report.successfulOps,
+      totalOps: report.totalOps,
+      successRate: report.totalOps > 0 ? Number((report.successfulOps / report.totalOps).toFixed(4)) : null,
+      gasSpent: Object.fromEntries(report.networks.map(network => [network.name, network.gasSpentFormatted])),
+      balanceDeltas: deltas
+    };
+  }
+  
+  /**
+   * Exports a finished cycle in every format in CONFIG.reports.formats and appends to the history file
+   * @param {InteractionTracker} stats - Statistics tracker
+   * @param {string} cycleId - Cycle id
+   * @returns {string[]} Written file paths
+   */
+  export(stats, cycleId) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    
+    const report = this.build(stats, cycleId);
+    const name = `cycle-${cycleId.replace(/[:.]/g, '-')}`;
+    const files = [];
+    
+    if (CONFIG.reports.formats.includes('json')) {
+      files.push(path.join(this.dir, `${name}.json`));
+      fs.writeFileSync(files[files.length - 1], ReportExporter.toJson(report, 2));
+    }
+    
+    if (CONFIG.reports.formats.includes('csv')) {
+      files.push(path.join(this.dir, `${name}.csv`));
+      fs.writeFileSync(files[files.length - 1], this.toCsv(report));
+    }
+    
+    const historyFile = path.join(this.dir, CONFIG.reports.historyFile);
+    fs.appendFileSync(historyFile, `${ReportExporter.toJson(this.toHistoryEntry(report))}\n`);
+    files.push(historyFile);
+    
+    return files;
+  }
+}
+
+/**
+ * MetricsRegistry class for Prometheus metrics
+ * Minimal counters, gauges and histograms rendered in the Prometheus text exposition format
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+  
+  /**
+   * Registers a metric
+   * @param {string} type - 'counter', 'gauge' or 'histogram'
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {number[]} buckets - Histogram bucket upper bounds
+   * @returns {Object} Metric with inc/set/observe methods
+   */
+  register(type, name, help, buckets = []) {
+    const series = new Map(); // label key -> { labels, value } or { labels, counts, sum, count }
+    const entry = labels => {
+      const key = MetricsRegistry.labelKey(labels);
+      if (!series.has(key)) {
+        series.set(key, type === 'histogram'
+          ? { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }
+          : { labels, value: 0 });
+      }
+      return series.get(key);
+    };
+    
+    const metric = {
+      type, name, help, buckets, series,
+      inc: (labels = {}, value = 1) => { entry(labels).value += value; },
+      set: (labels = {}, value) => { entry(labels).value = value; },
+      observe: (labels = {}, value) => {
+        const histogram = entry(labels);
+        buckets.forEach((bound, i) => { if (value <= bound) histogram.counts[i]++; });
+        histogram.sum += value;
+        histogram.count++;
+      }
+    };
+    
+    this.metrics.set(name, metric);
+    return metric;
+  }
+  
+  counter(name, help) { return this.register('counter', name, help); }
+  gauge(name, help) { return this.register('gauge', name, help); }
+  histogram(name, help, buckets) { return this.register('histogram', name, help, buckets); }
+  
+  /**
+   * Renders labels as {a="1",b="2"}
+   * @param {Object} labels - Label values
+   * @returns {string} Label string ('' without labels)
+   */
+  static labelKey(labels) {
+    const pairs = Object.entries(labels)
+      .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+  
+  /**
+   * Renders every metric in the Prometheus text format
+   * @returns {string} Exposition text
+   */
+  render() {
+    const lines = [];
+    
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+      
+      for (const series of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${MetricsRegistry.labelKey(series.labels)} ${series.value}`);
+          continue;
+        }
+        
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${metric.name}_bucket${MetricsRegistry.labelKey({ ...series.labels, le: bound })} ${series.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${MetricsRegistry.labelKey({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${metric.name}_sum${MetricsRegistry.labelKey(series.labels)} ${series.sum}`);
+        lines.push(`${metric.name}_count${MetricsRegistry.labelKey(series.labels)} ${series.count}`);
+      }
+    }
+    
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+/**
+ * MetricsServer class serving /metrics and /health
+ * Tracks the cycle state reported by /health; started by main() when CONFIG.metrics.enabled is set
+ */
+class MetricsServer {
+  /**
+   * Creates a metrics server
+   * @param {MetricsRegistry} registry - Metrics to serve
+   * @param {Logger} logger - Logger instance
+   * @param {InteractionTracker} stats - Tracker whose cycle progress /health reports
+   */
+  constructor(registry, logger, stats) {
+    this.registry = registry;
+    this.logger = logger;
+    this.stats = stats;
+    this.server = null;
+    this.state = {
+      status: 'starting',
+      cycle: null,
+      network: null,
+      startedAt: new Date().toISOString(),
+      cycleStartedAt: null,
+      lastCycleCompletedAt: null,
+      nextCycleAt: null
+    };
+  }
+  
+  /**
+   * Updates the cycle state reported by /health
+   * @param {Object} fields - State fields to set
+   */
+  update(fields) {
+    Object.assign(this.state, fields);
+  }
+  
+  /**
+   * Starts listening on CONFIG.metrics.host:port
+   * @returns {Promise<MetricsServer>} This server
+   */
+  async start() {
+    this.server = http.createServer((request, response) => {
+      const url = new URL(request.url, 'http://localhost');
+      
+      if (url.pathname === '/metrics') {
+        response.writeHead(200, { 'content-type': 'text/plain; version=0.0.4; charset=utf-8' });
+        response.end(this.registry.render());
+      } else if (url.pathname === '/health') {
+        response.writeHead(200, { 'content-type': 'application/json' });
+        response.end(JSON.stringify({
+          ...this.state,
+          walletsProcessed: this.stats.walletsProcessed,
+          successfulOps: this.stats.successfulOps,
+          totalOps: this.stats.totalOps,
+          uptimeSeconds: Math.round(process.uptime())
+        }));
+      } else {
+        response.writeHead(404, { 'content-type': 'text/plain' });
+        response.end('Not found\n');
+      }
+    });
+    
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(CONFIG.metrics.port, CONFIG.metrics.host, resolve);
+    });
+    
+    this.logger.info(`Metrics on http://${CONFIG.metrics.host}:${CONFIG.metrics.port}/metrics (health: /health)`);
+    return this;
+  }
+  
+  /**
+   * Stops the server
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+}
+
+// Latency buckets in seconds, shared by RPC and API request histograms
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Bot metrics - ADD PROTOCOL-SPECIFIC METRICS here
+const metricsRegistry = new MetricsRegistry();
+const metrics = {
+  interactions: metricsRegistry.counter('defibot_interactions_total', 'Interactions by step tracker key and outcome'),
+  retries: metricsRegistry.counter('defibot_retries_total', 'Retried interactions and API requests'),
+  gasSpent: metricsRegistry.counter('defibot_gas_spent_total', 'Transaction fees paid, in native units'),
+  walletsProcessed: metricsRegistry.counter('defibot_wallets_processed_total', 'Wallets that completed a cycle'),
+  cycles: metricsRegistry.counter('defibot_cycles_total', 'Completed cycles'),
+  cycleDuration: metricsRegistry.gauge('defibot_cycle_duration_seconds', 'Duration of the last completed cycle'),
+  walletBalance: metricsRegistry.gauge('defibot_wallet_balance', 'Wallet balances at the end of their last run, in display units'),
+  rpcLatency: metricsRegistry.histogram('defibot_rpc_request_duration_seconds', 'JSON-RPC request latency per endpoint', LATENCY_BUCKETS),
+  apiLatency: metricsRegistry.histogram('defibot_api_request_duration_seconds', 'Protocol API request latency', LATENCY_BUCKETS)
+};
+
+/**
+ * Notifier class for webhook and chat notifications
+ * Posts cycle summaries, low-balance warnings and critical errors to the channels in
+ * CONFIG.notifications.channels, routed by event type and throttled per event key
+ */
+class Notifier {
+  /**
+   * Creates a notifier
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(logger) {
+    this.logger = logger;
+    this.lastSent = new Map();   // Event key -> time of the last notification sent
+    this.suppressed = new Map(); // Event key -> notifications dropped by throttling since then
+  }
+  
+  /**
+   * Sends a notification to every channel routed for the event
+   * Never throws - a failing webhook must not stop the bot
+   * @param {string} event - 'cycle', 'lowBalance' or 'critical'
+   * @param {string} title - Short title
+   * @param {string} message - Message body
+   * @param {Object} fields - Extra name/value pairs
+   * @param {string} key - Throttling key (defaults to the event type)
+   * @returns {Promise<void>}
+   */
+  async notify(event, title, message, fields = {}, key = event) {
+    const options = CONFIG.notifications;
+    if (!options.enabled) return;
+    
+    const channels = options.channels.filter(channel => !channel.events || channel.events.includes(event));
+    if (channels.length === 0) return;
+    
+    // Repeated events within the throttle window are counted and reported with the next one sent
+    const now = Date.now();
+    if (now - (this.lastSent.get(key) || 0) < options.throttleSeconds * 1000) {
+      this.suppressed.set(key, (this.suppressed.get(key) || 0) + 1);
+      return;
+    }
+    
+    const suppressed = this.suppressed.get(key) || 0;
+    this.lastSent.set(key, now);
+    this.suppressed.delete(key);
+    
+    const notification = {
+      event,
+      title,
+      message: redactor.redact(suppressed > 0 ? `${message}\n(+${suppressed} similar suppressed)` : message),
+      fields: { network: CONFIG.network.name, ...fields },
+      timestamp: new Date(now).toISOString()
+    };
+    
+    await Promise.all(channels.map(channel => this.send(channel, notification)));
+  }
+  
+  /**
+   * Posts a notification to one channel in its payload format
+   * @param {Object} channel - Channel from CONFIG.notifications.channels
+   * @param {Object} notification - Notification
+   * @returns {Promise<void>}
+   */
+  async send(channel, notification) {
+    try {
+      await axios.post(channel.url, Notifier.FORMATS[channel.type](notification, channel), {
+        timeout: CONFIG.timing.requestTimeout,
+        headers: { 'content-type': 'application/json' }
+      });
+    } catch (error) {
+      // Webhook URLs carry their tokens, so only the host is logged
+      this.logger.warn(`${channel.type} notification to ${new URL(channel.url).host} failed: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+    }
+  }
+  
+  /**
+   * Renders a notification as plain text lines
+   * @param {Object} notification - Notification
+   * @returns {string} Text
+   */
+  static toText(notification) {
+    const fields = Object.entries(notification.fields).map(([name, value]) => `${name}: ${value}`);
+    return [`${Notifier.EMOJI[notification.event]} ${notification.title}`, notification.message, ...fields]
+      .filter(Boolean)
+      .join('\n');
+  }
+}
+
+Notifier.EVENTS = ['cycle', 'lowBalance', 'critical'];
+
+Notifier.EMOJI = { cycle: '📊', lowBalance: '🪫', critical: '🚨' };
+
+// Payload builders per channel type - ADD CHAT SERVICES here
+Notifier.FORMATS = {
+  discord: notification => ({
+    username: 'DeFi Bot',
+    embeds: [{
+      title: `${Notifier.EMOJI[notification.event]} ${notification.title}`,
+      description: notification.message,
+      color: { cycle: 0x2ecc71, lowBalance: 0xf1c40f, critical: 0xe74c3c }[notification.event],
+      fields: Object.entries(notification.fields).map(([name, value]) => ({ name, value: String(value), inline: true })),
+      timestamp: notification.timestamp
+    }]
+  }),
+  slack: notification => ({ text: Notifier.toText(notification) }),
+  telegram: (notification, channel) => ({ chat_id: channel.chatId, text: Notifier.toText(notification), disable_web_page_preview: true }),
+  webhook: notification => notification
+};
+
+/**
+ * Helper functions for timing and delays
+ */
+async function sleep(min, max) {
+  const delay = min + Math.random() * (max - min);
+  return new Promise(resolve => setTimeout(resolve, delay));
+}
+
+/**
+ * Runs a task for every index with at most `concurrency` tasks in flight
+ * Each worker takes the next index as soon as its previous task settles
+ * @param {number} count - Number of tasks
+ * @param {number} concurrency - Maximum tasks in flight
+ * @param {Function} task - async (index) => void; must handle its own errors
+ * @returns {Promise<void>}
+ */
+async function runWorkerPool(count, concurrency, task) {
+  let next = 0;
+  const worker = async () => {
+    while (next < count) {
+      await task(next++);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(concurrency, count) }, worker));
+}
+
+async function countdown(minutes, label) {
+  const totalSeconds = Math.ceil(minutes * 60);
+  
+  for (let remaining = totalSeconds; remaining > 0; remaining--) {
+    logger.countdown(remaining, label);
+    await sleep(1000, 1000);
+  }
+  
+  console.log('\n');
+}
+
+/**
+ * Prompts for a secret without echoing it to the terminal
+ * One muted readline is shared by all prompts, so piped input can answer several prompts in a row
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} Entered value
+ */
+function promptSecret(question) {
+  if (!promptSecret.input) {
+    const input = { lines: [], waiters: [], closed: false };
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: Boolean(process.stdin.isTTY) });
+    
+    input.drain = () => {
+      while (input.waiters.length > 0 && (input.lines.length > 0 || input.closed)) {
+        const waiter = input.waiters.shift();
+        if (input.lines.length > 0) {
+          waiter.resolve(input.lines.shift());
+        } else {
+          waiter.reject(new Error('No passphrase entered'));
+        }
+      }
+      if (input.waiters.length === 0) rl.pause();
+    };
+    
+    rl._writeToOutput = () => {}; // Never echo typed characters
+    rl.on('line', line => { input.lines.push(line); input.drain(); });
+    rl.on('close', () => { input.closed = true; input.drain(); });
+    rl.on('SIGINT', () => process.exit(130));
+    
+    input.rl = rl;
+    promptSecret.input = input;
+  }
+  
+  const input = promptSecret.input;
+  process.stdout.write(question);
+  
+  return new Promise((resolve, reject) => {
+    input.waiters.push({ resolve, reject });
+    input.rl.resume();
+    input.drain();
+  }).finally(() => process.stdout.write('\n'));
+}
+
+// ======= STEP PIPELINE =======
+
+/**
+ * @typedef {Object} StepDefinition
+ * @property {string} id - Unique step identifier referenced from CONFIG.flow
+ * @property {string} name - Display name used in step headers and summaries
+ * @property {string} emoji - Emoji shown in the results column
+ * @property {string} trackerKey - InteractionTracker counter key
+ * @property {number|Function} [count] - Repetitions per wallet, or a function returning it; omit for single-shot steps
+ * @property {string[]|Function} [contracts] - CONFIG.contract keys the step needs, or a function returning them;
+ *   startup validation rejects zero-address placeholders for these
+ * @property {Function} [precondition] - (ctx) => true to run, or a string explaining why the step is skipped
+ * @property {Function} [budget] - (index) => { value, gasLimit } worst-case native value (wei) and gas of one
+ *   repetition; preflight checks each wallet can afford the sum over the flow
+ * @property {Function} handler - async (ctx, index) => boolean success
+ * @property {{success: string, failure: string}} [messages] - Step summary messages for single-shot steps
+ * @property {Function} [cooldown] - async (ctx) => ms timestamp when the step is next allowed on-chain (null = now),
+ *   used when CONFIG.schedule.steps[id] is { cooldown: true } (no built-in step defines one)
+ */
+
+/**
+ * Registry of interaction steps that processWallet runs in CONFIG.flow order
+ * REGISTER PROTOCOL-SPECIFIC STEPS here instead of editing processWallet
+ */
+class StepRegistry {
+  constructor() {
+    this.steps = new Map();
+  }
+  
+  /**
+   * Registers a step, replacing any existing step with the same id
+   * @param {StepDefinition} definition - Step definition
+   * @returns {StepRegistry} This registry for chaining
+   */
+  register(definition) {
+    const missing = ['id', 'name', 'emoji', 'trackerKey', 'handler']
+      .filter(key => !definition[key]);
+    
+    if (missing.length > 0) {
+      throw new Error(`Step definition ${definition.id || '(unnamed)'} is missing: ${missing.join(', ')}`);
+    }
+    
+    this.steps.set(definition.id, { ...definition });
+    return this;
+  }
+  
+  /**
+   * Removes a step from the registry
+   * @param {string} id - Step id
+   * @returns {boolean} True if the step existed
+   */
+  unregister(id) {
+    return this.steps.delete(id);
+  }
+  
+  /**
+   * Gets a step definition by id
+   * @param {string} id - Step id
+   * @returns {StepDefinition|undefined} Step definition
+   */
+  get(id) {
+    return this.steps.get(id);
+  }
+  
+  /**
+   * Gets the tracker keys of every registered step
+   * @returns {string[]} Unique tracker keys
+   */
+  getTrackerKeys() {
+    return [...new Set([...this.steps.values()].map(step => step.trackerKey))];
+  }
+  
+  /**
+   * Resolves a flow of step ids into step definitions
+   * @param {string[]} flow - Ordered step ids
+   * @returns {StepDefinition[]} Ordered step definitions
+   */
+  resolve(flow = CONFIG.flow) {
+    const unknown = flow.filter(id => !this.steps.has(id));
+    
+    if (unknown.length > 0) {
+      throw new Error(`Unknown step(s) in flow: ${unknown.join(', ')}`);
+    }
+    
+    return flow.map(id => this.steps.get(id));
+  }
+  
+  /**
+   * Gets the CONFIG.contract keys a step needs
+   * @param {StepDefinition} step - Step definition
+   * @returns {string[]} Contract keys
+   */
+  getRequiredContracts(step) {
+    const contracts = typeof step.contracts === 'function' ? step.contracts() : step.contracts;
+    return contracts || [];
+  }
+  
+  /**
+   * Checks whether a step repeats a counted number of times
+   * @param {StepDefinition} step - Step definition
+   * @returns {boolean} True for counted steps
+   */
+  isCounted(step) {
+    return step.count !== undefined;
+  }
+  
+  /**
+   * Gets the number of repetitions for a step
+   * @param {StepDefinition} step - Step definition
+   * @returns {number} Repetitions per wallet (1 for single-shot steps)
+   */
+  getCount(step) {
+    if (!this.isCounted(step)) return 1;
+    return typeof step.count === 'function' ? step.count() : step.count;
+  }
+}
+
+const stepRegistry = new StepRegistry();
+
+/**
+ * Worst-case native amount of a PARAMS amount after randomization
+ * @param {string} amount - Amount in native units ('all' and 'max' count as 0)
+ * @returns {bigint} Amount in wei
+ */
+function maxNativeAmount(amount) {
+  if (amount === 'all' || amount === 'max') return 0n;
+  
+  const value = ethers.parseEther(amount);
+  return PARAMS.RANDOMIZE ? FeeStrategy.scale(value, 1 + PARAMS.VARIATION) : value;
+}
+
+/**
+ * Contracts needed by the V2 liquidity steps
+ * @returns {string[]} CONFIG.contract keys
+ */
+function liquidityContracts() {
+  return ['ROUTER', 'TOKEN', ...(CONFIG.liquidity.tokenB ? [] : ['WRAPPED_TOKEN'])];
+}
+
+/**
+ * Shared precondition for the V2 liquidity steps
+ * @param {Object} ctx - Wallet context
+ * @returns {true|string} True, or the reason the step is skipped
+ */
+function liquidityPrecondition(ctx) {
+  const { router, token } = ctx.txHandler.contracts;
+  if (!router) return 'No router configured in CONFIG.contract.ROUTER';
+  if (CONFIG.swap.routerType === 'v3') return 'Liquidity operations require a V2 router';
+  if (!token) return 'No token contract configured in CONFIG.contract.TOKEN';
+  return Boolean(CONFIG.liquidity.tokenB) || CONFIG.contract.WRAPPED_TOKEN !== ethers.ZeroAddress || 'No wrapped token configured in CONFIG.contract.WRAPPED_TOKEN';
+}
+
+// Default steps - REGISTER MORE PROTOCOL-SPECIFIC STEPS and add their ids to CONFIG.flow
+stepRegistry
+  .register({
+    id: 'auth',
+    name: 'Authentication',
+    emoji: '🔐',
+    trackerKey: 'auth',
+    messages: { success: 'Authenticated successfully', failure: 'Authentication failed' },
+    handler: ctx => ctx.apiClient.authenticate()
+  })
+  .register({
+    id: 'faucet',
+    name: 'Faucet Claim',
+    emoji: '🚰',
+    trackerKey: 'faucets',
+    messages: { success: 'Claimed successfully', failure: 'Not available or failed' },
+    handler: ctx => ctx.apiClient.claimFaucet()
+  })
+  .register({
+    id: 'transfers',
+    name: 'Transfers',
+    emoji: '💸',
+    trackerKey: 'transfers',
+    count: () => PARAMS.TRANSFER_COUNT,
+    budget: () => ({ value: maxNativeAmount(PARAMS.TRANSFER_AMOUNT), gasLimit: 21000n }),
+    precondition: ctx => ctx.targetAddresses.length > 0 || 'No target addresses found in wallets.txt',
+    handler: (ctx, index) => {
+      const randomIndex = Math.floor(Math.random() * ctx.targetAddresses.length);
+      return ctx.txHandler.transfer(ctx.targetAddresses[randomIndex], index);
+    }
+  })
+  .register({
+    id: 'tokenTransfers',
+    name: 'Token Transfers',
+    emoji: '🪙',
+    trackerKey: 'tokenTransfers',
+    count: () => PARAMS.TOKEN_TRANSFER_COUNT,
+    budget: () => ({ gasLimit: 65000n }),
+    contracts: ['TOKEN'],
+    precondition: ctx => {
+      if (!ctx.txHandler.contracts.token) return 'No token contract configured in CONFIG.contract.TOKEN';
+      return ctx.targetAddresses.length > 0 || 'No target addresses found in wallets.txt';
+    },
+    handler: (ctx, index) => {
+      const randomIndex = Math.floor(Math.random() * ctx.targetAddresses.length);
+      return ctx.txHandler.transferToken(ctx.targetAddresses[randomIndex], index);
+    }
+  })
+  .register({
+    id: 'swaps',
+    name: 'Swaps',
+    emoji: '💱',
+    trackerKey: 'swaps',
+    count: () => PARAMS.SWAP_COUNT,
+    budget: index => ({
+      value: CONFIG.swap.direction === 'nativeToToken' || (CONFIG.swap.direction === 'alternate' && index % 2 === 0)
+        ? maxNativeAmount(PARAMS.SWAP_AMOUNT)
+        : 0n,
+      gasLimit: 250000n
+    }),
+    contracts: () => ['ROUTER', 'TOKEN', 'WRAPPED_TOKEN', ...(CONFIG.swap.routerType === 'v3' ? ['QUOTER'] : [])],
+    precondition: ctx => {
+      const { router, token, quoter } = ctx.txHandler.contracts;
+      if (!router) return 'No router configured in CONFIG.contract.ROUTER';
+      if (!token) return 'No token contract configured in CONFIG.contract.TOKEN';
+      if (CONFIG.contract.WRAPPED_TOKEN === ethers.ZeroAddress) return 'No wrapped token configured in CONFIG.contract.WRAPPED_TOKEN';
+      return CONFIG.swap.routerType !== 'v3' || Boolean(quoter) || 'No quoter configured in CONFIG.contract.QUOTER';
+    },
+    handler: (ctx, index) => ctx.txHandler.swap(index)
+  })
+  .register({
+    id: 'wrap',
+    name: 'Wrapping',
+    emoji: '🔄',
+    trackerKey: 'wraps',
+    count: () => PARAMS.WRAP_COUNT,
+    budget: () => ({ value: maxNativeAmount(PARAMS.WRAP_AMOUNT), gasLimit: 50000n }),
+    contracts: ['WRAPPED_TOKEN'],
+    precondition: ctx => Boolean(ctx.txHandler.contracts.wrappedToken) || 'No wrapped token configured in CONFIG.contract.WRAPPED_TOKEN',
+    handler: (ctx, index) => ctx.txHandler.wrap(index)
+  })
+  .register({
+    id: 'unwrap',
+    name: 'Unwrapping',
+    emoji: '🔓',
+    trackerKey: 'unwraps',
+    count: () => PARAMS.UNWRAP_COUNT,
+    budget: () => ({ gasLimit: 50000n }),
+    contracts: ['WRAPPED_TOKEN'],
+    precondition: ctx => Boolean(ctx.txHandler.contracts.wrappedToken) || 'No wrapped token configured in CONFIG.contract.WRAPPED_TOKEN',
+    handler: (ctx, index) => ctx.txHandler.unwrap(index)
+  })
+  .register({
+    id: 'addLiquidity',
+    name: 'Add Liquidity',
+    emoji: '🌊',
+    trackerKey: 'liquidity',
+    count: () => PARAMS.LIQUIDITY_COUNT,
+    budget: () => ({ value: CONFIG.liquidity.tokenB ? 0n : maxNativeAmount(PARAMS.LIQUIDITY_AMOUNT), gasLimit: 300000n }),
+    contracts: liquidityContracts,
+    precondition: liquidityPrecondition,
+    handler: (ctx, index) => ctx.txHandler.addLiquidity(index)
+  })
+  .register({
+    id: 'removeLiquidity',
+    name: 'Remove Liquidity',
+    emoji: '💧',
+    trackerKey: 'liquidityRemovals',
+    count: () => PARAMS.REMOVE_LIQUIDITY_COUNT,
+    budget: () => ({ gasLimit: 300000n }),
+    contracts: liquidityContracts,
+    precondition: liquidityPrecondition,
+    handler: (ctx, index) => ctx.txHandler.removeLiquidity(index)
+  })
+  .register({
+    id: 'stake',
+    name: 'Staking',
+    emoji: '🌾',
+    trackerKey: 'stakes',
+    count: () => PARAMS.STAKE_COUNT,
+    budget: () => ({ gasLimit: 200000n }),
+    contracts: ['STAKING'],
+    precondition: () => CONFIG.contract.STAKING !== ethers.ZeroAddress || 'No staking contract configured in CONFIG.contract.STAKING',
+    handler: (ctx, index) => ctx.txHandler.stake(index)
+  })
+  .register({
+    id: 'unstake',
+    name: 'Unstaking',
+    emoji: '📤',
+    trackerKey: 'unstakes',
+    count: () => PARAMS.UNSTAKE_COUNT,
+    budget: () => ({ gasLimit: 150000n }),
+    contracts: ['STAKING'],
+    precondition: () => CONFIG.contract.STAKING !== ethers.ZeroAddress || 'No staking contract configured in CONFIG.contract.STAKING',
+    handler: (ctx, index) => ctx.txHandler.unstake(index)
+  })
+  .register({
+    id: 'claimRewards',
+    name: 'Claim Rewards',
+    emoji: '🎁',
+    trackerKey: 'claims',
+    messages: { success: 'Rewards claimed', failure: 'No rewards claimed' },
+    budget: () => ({ gasLimit: 150000n }),
+    contracts: ['STAKING'],
+    precondition: () => CONFIG.contract.STAKING !== ethers.ZeroAddress || 'No staking contract configured in CONFIG.contract.STAKING',
+    handler: ctx => ctx.txHandler.claimRewards('STAKING')
+  })
+  .register({
+    id: 'harvest',
+    name: 'Farm Harvest',
+    emoji: '🚜',
+    trackerKey: 'harvests',
+    messages: { success: 'Rewards harvested', failure: 'No rewards harvested' },
+    budget: () => ({ gasLimit: 150000n }),
+    contracts: ['FARM'],
+    precondition: () => CONFIG.contract.FARM !== ethers.ZeroAddress || 'No farm contract configured in CONFIG.contract.FARM',
+    handler: ctx => ctx.txHandler.harvest()
+  });
+
+/**
+ * Per-wallet, per-step scheduler driven by CONFIG.schedule
+ * Each step has its own cadence (interval, cron expression or on-chain cooldown), run times are kept per
+ * network, wallet and step in CONFIG.schedule.file, and main() waits for the next due work instead of a fixed interval.
+ * Inactive until load() is called, so processWallet() used on its own runs every step.
+ */
+class StepScheduler {
+  /**
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(logger) {
+    this.logger = logger;
+    this.active = false;
+    this.file = null;
+    this.state = {};          // 'network:wallet:step' -> { lastRun, success, nextDue }
+    this.cycleStartedAt = null;
+  }
+  
+  /**
+   * Parses a duration ('90s', '30m', '6h', '1d' or a number of minutes)
+   * @param {string|number} value - Duration
+   * @returns {number} Milliseconds
+   */
+  static parseDuration(value) {
+    if (typeof value === 'number' && value >= 0) return value * 60000;
+    
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(s|m|h|d)$/);
+    if (!match) throw new Error(`must be a duration like 30m, 6h or 1d, got "${value}"`);
+    return Number(match[1]) * StepScheduler.UNITS[match[2]];
+  }
+  
+  /**
+   * Parses one cron field into the set of values it matches
+   * @param {string} field - Field, e.g. '*', '5', '1-5', '*\/15', '0,30'
+   * @param {number} min - Lowest allowed value
+   * @param {number} max - Highest allowed value
+   * @returns {Set<number>} Matching values
+   */
+  static parseCronField(field, min, max) {
+    const values = new Set();
+    
+    for (const part of field.split(',')) {
+      const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!match) throw new Error(`has an invalid cron field "${field}"`);
+      
+      const start = match[1] === '*' ? min : Number(match[2]);
+      const end = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : start;
+      const step = match[4] ? Number(match[4]) : 1;
+      if (start < min || end > max || start > end || step < 1) {
+        throw new Error(`has cron field "${field}" outside ${min}-${max}`);
+      }
+      
+      for (let value = start; value <= end; value += step) values.add(value);
+    }
+    return values;
+  }
+  
+  /**
+   * Parses a 5-field cron expression (minute hour day-of-month month day-of-week)
+   * @param {string} expression - Cron expression
+   * @returns {Object} Matching value sets per field
+   */
+  static parseCron(expression) {
+    const fields = String(expression).trim().split(/\s+/);
+    if (fields.length !== 5) throw new Error(`cron "${expression}" must have 5 fields (minute hour day month weekday)`);
+    
+    const [minutes, hours, days, months, weekdays] = fields.map((field, i) => StepScheduler.parseCronField(field, ...StepScheduler.CRON_RANGES[i]));
+    if (weekdays.delete(7)) weekdays.add(0); // 7 is Sunday too
+    return { minutes, hours, days, months, weekdays, anyDay: fields[2] === '*', anyWeekday: fields[4] === '*' };
+  }
+  
+  /**
+   * Gets the first time after a timestamp that a cron expression matches (local time)
+   * @param {string} expression - Cron expression
+   * @param {number} after - Ms timestamp
+   * @returns {number} Ms timestamp
+   */
+  static nextCronTime(expression, after) {
+    const cron = StepScheduler.parseCron(expression);
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    
+    // Day-of-month and day-of-week match either one when both are restricted, as in standard cron
+    const dayMatches = () => {
+      if (cron.anyDay && cron.anyWeekday) return true;
+      if (cron.anyDay) return cron.weekdays.has(date.getDay());
+      if (cron.anyWeekday) return cron.days.has(date.getDate());
+      return cron.days.has(date.getDate()) || cron.weekdays.has(date.getDay());
+    };
+    
+    // Four years covers expressions that only match on 29 February
+    const limit = after + 4 * 366 * 86400000;
+    while (date.getTime() <= limit) {
+      if (!cron.months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!dayMatches()) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!cron.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+      } else if (!cron.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+      } else {
+        return date.getTime();
+      }
+    }
+    throw new Error(`cron "${expression}" never matches`);
+  }
+  
+  /**
+   * Validates a CONFIG.schedule.steps entry
+   * @param {Object} cadence - { every } | { cron } | { cooldown }
+   * @throws {Error} Describing why the cadence is invalid
+   */
+  static checkCadence(cadence) {
+    const kinds = cadence && typeof cadence === 'object' ? ['every', 'cron', 'cooldown'].filter(kind => cadence[kind] !== undefined) : [];
+    if (kinds.length !== 1) throw new Error('must have exactly one of every, cron or cooldown');
+    
+    if (cadence.every !== undefined) StepScheduler.parseDuration(cadence.every);
+    if (cadence.cron !== undefined) StepScheduler.nextCronTime(cadence.cron, Date.now());
+    
+    const { cooldown } = cadence;
+    if (cooldown === undefined || cooldown === true) return;
+    if (!cooldown || typeof cooldown !== 'object' || !cooldown.contract || !cooldown.method) {
+      throw new Error('cooldown must be true or { contract, method, returns }');
+    }
+    if (!ethers.isAddress(cooldown.contract) && !(cooldown.contract in CONFIG.contract)) {
+      throw new Error(`cooldown contract must be an address or a CONFIG.contract key, got "${cooldown.contract}"`);
+    }
+    if (cooldown.returns !== undefined && !['timestamp', 'seconds'].includes(cooldown.returns)) {
+      throw new Error(`cooldown returns must be 'timestamp' or 'seconds', got "${cooldown.returns}"`);
+    }
+  }
+  
+  /**
+   * Formats a due time for log lines
+   * @param {number} time - Ms timestamp
+   * @returns {string} Time if it is today, date and time otherwise
+   */
+  static formatTime(time) {
+    const date = new Date(time);
+    return date.toDateString() === new Date().toDateString() ? date.toLocaleTimeString() : date.toLocaleString();
+  }
+  
+  /**
+   * Gets the cadence of a step on the current network
+   * @param {string} stepId - Step id
+   * @returns {Object} CONFIG.schedule.steps entry, or every cycleInterval
+   */
+  static getCadence(stepId) {
+    return CONFIG.schedule.steps[stepId] || { every: CONFIG.timing.cycleInterval };
+  }
+  
+  /**
+   * Activates the scheduler and loads persisted run times
+   * @param {string|null} file - State file (null = keep run times in memory only, e.g. for dry runs)
+   * @returns {StepScheduler} This scheduler
+   */
+  load(file) {
+    this.active = true;
+    this.file = file;
+    this.state = {};
+    
+    if (file && fs.existsSync(file)) {
+      try {
+        this.state = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        this.logger.warn(`Ignoring unreadable schedule file ${file}: ${error.message}`);
+      }
+    }
+    return this;
+  }
+  
+  /**
+   * Writes the run times
+   */
+  save() {
+    if (!this.file) return;
+    
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(this.file, JSON.stringify(this.state, null, 2));
+  }
+  
+  /**
+   * Marks the start of a cycle
+   * Run times are anchored to the cycle start, so a step run by every wallet comes due for all of them at once
+   */
+  startCycle() {
+    this.cycleStartedAt = Date.now();
+  }
+  
+  /**
+   * Gets the state key of a wallet's step
+   * @param {string} address - Wallet address
+   * @param {string} stepId - Step id
+   * @returns {string} Key
+   */
+  static key(address, stepId) {
+    return `${CONFIG.network.name}:${address}:${stepId}`;
+  }
+  
+  /**
+   * Gets when a step is next due for a wallet on the current network, from the persisted run times
+   * @param {string} stepId - Step id
+   * @param {string} address - Wallet address
+   * @returns {number} Ms timestamp (0 = never run)
+   */
+  getNextDue(stepId, address) {
+    const entry = this.state[StepScheduler.key(address, stepId)];
+    if (!entry) return 0;
+    
+    // Failed steps are retried on the next regular cycle
+    if (!entry.success) return entry.lastRun + StepScheduler.parseDuration(CONFIG.timing.cycleInterval);
+    if (entry.nextDue) return entry.nextDue;
+    
+    const cadence = StepScheduler.getCadence(stepId);
+    if (cadence.cron) return StepScheduler.nextCronTime(cadence.cron, entry.lastRun);
+    if (cadence.cooldown) return 0; // Queried on-chain when the step comes up
+    return entry.lastRun + StepScheduler.parseDuration(cadence.every);
+  }
+  
+  /**
+   * Checks whether any step of the current flow is due for a wallet
+   * @param {string} address - Wallet address
+   * @returns {boolean} True if the wallet has work (always true while inactive)
+   */
+  hasDueWork(address) {
+    if (!this.active) return true;
+    return stepRegistry.resolve().some(step => this.getNextDue(step.id, address) <= Date.now());
+  }
+  
+  /**
+   * Finds the earliest due work of the current network
+   * @param {string[]} addresses - Wallet addresses
+   * @returns {Object} { at: ms timestamp, steps: Map of step id -> wallets due within a minute of `at` }
+   */
+  getNextWork(addresses) {
+    const due = stepRegistry.resolve().flatMap(step => addresses.map(address => ({ stepId: step.id, at: this.getNextDue(step.id, address) })));
+    const at = Math.max(Date.now(), Math.min(...due.map(entry => entry.at)));
+    
+    const steps = new Map();
+    due.filter(entry => entry.at <= at + 60000).forEach(entry => steps.set(entry.stepId, (steps.get(entry.stepId) || 0) + 1));
+    return { at, steps };
+  }
+  
+  /**
+   * Reads a step's on-chain cooldown
+   * @param {StepDefinition} step - Step definition
+   * @param {Object} ctx - Wallet context
+   * @returns {Promise<number|null>} Ms timestamp when the step is allowed again, null when it is allowed now
+   */
+  async queryCooldown(step, ctx) {
+    const { cooldown } = StepScheduler.getCadence(step.id);
+    if (cooldown === true) {
+      return step.cooldown(ctx);
+    }
+    
+    const address = ethers.isAddress(cooldown.contract) ? cooldown.contract : CONFIG.contract[cooldown.contract];
+    const contract = new ethers.Contract(address, [`function ${cooldown.method}(address) view returns (uint256)`], ctx.wallet);
+    const value = Number(await contract[cooldown.method](ctx.wallet.address));
+    const endsAt = cooldown.returns === 'seconds' ? Date.now() + value * 1000 : value * 1000;
+    return endsAt > Date.now() ? endsAt : null;
+  }
+  
+  /**
+   * Checks whether a step is due for the wallet, querying on-chain cooldowns live
+   * @param {StepDefinition} step - Step definition
+   * @param {Object} ctx - Wallet context
+   * @returns {Promise<true|string>} True, or why the step is not due
+   */
+  async checkDue(step, ctx) {
+    if (!this.active) return true;
+    
+    const nextDue = this.getNextDue(step.id, ctx.wallet.address);
+    if (nextDue > Date.now()) {
+      return `Not due until ${StepScheduler.formatTime(nextDue)}`;
+    }
+    
+    if (StepScheduler.getCadence(step.id).cooldown) {
+      try {
+        const endsAt = await this.queryCooldown(step, ctx);
+        if (endsAt) {
+          const key = StepScheduler.key(ctx.wallet.address, step.id);
+          this.state[key] = { ...(this.state[key] || { lastRun: Date.now(), success: true }), nextDue: endsAt };
+          this.save();
+          return `On-chain cooldown ends at ${StepScheduler.formatTime(endsAt)}`;
+        }
+      } catch (error) {
+        ctx.logger.warn(`Could not read ${step.name.toLowerCase()} cooldown, running it: ${error.message}`);
+      }
+    }
+    return true;
+  }
+  
+  /**
+   * Records that a step ran for the wallet
+   * @param {StepDefinition} step - Step definition
+   * @param {Object} ctx - Wallet context
+   * @param {Object} result - Step result from runStep()
+   */
+  async recordRun(step, ctx, result) {
+    if (!this.active) return;
+    
+    let nextDue = null;
+    if (result.success && StepScheduler.getCadence(step.id).cooldown && !CONFIG.execution.dryRun) {
+      try {
+        nextDue = await this.queryCooldown(step, ctx);
+      } catch (error) {
+        ctx.logger.warn(`Could not read ${step.name.toLowerCase()} cooldown: ${error.message}`);
+      }
+    }
+    
+    this.state[StepScheduler.key(ctx.wallet.address, step.id)] = {
+      lastRun: this.cycleStartedAt || Date.now(),
+      success: result.success,
+      nextDue
+    };
+    this.save();
+  }
+}
+
+// Duration unit suffixes in ms
+StepScheduler.UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// Value ranges of the minute, hour, day-of-month, month and day-of-week cron fields
+StepScheduler.CRON_RANGES = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+
+/**
+ * Runs a single step for the wallet in the given context
+ * @param {StepDefinition} step - Step definition
+ * @param {Object} ctx - Wallet context built by processWallet
+ * @returns {Promise<Object>} Step result: { success, completed, total, skipped }
+ */
+async function runStep(step, ctx) {
+  const counted = stepRegistry.isCounted(step);
+  const total = stepRegistry.getCount(step);
+  const result = { success: false, completed: 0, total, skipped: null, transactions: [], gasSpent: 0n };
+  
+  const due = await scheduler.checkDue(step, ctx);
+  if (due !== true) {
+    result.skipped = due;
+    ctx.logger.info(`${due}. Skipping ${step.name.toLowerCase()}.`);
+    return result;
+  }
+  
+  const check = step.precondition ? await step.precondition(ctx) : true;
+  if (check !== true) {
+    result.skipped = typeof check === 'string' ? check : 'Precondition not met';
+    ctx.logger.warn(`${result.skipped}. Skipping ${step.name.toLowerCase()}.`);
+    return result;
+  }
+  
+  for (let i = 0; i < total; i++) {
+    // Units finished before a crash are taken from the journal instead of being redone
+    const journaled = ctx.journal ? ctx.journal.getUnit(ctx.wallet.address, step.id, i) : undefined;
+    let success = false;
+    
+    if (journaled !== undefined) {
+      success = journaled;
+      ctx.logger.info(`${step.name}${counted ? ` ${i + 1}` : ''} already done in this cycle, skipping`);
+    } else {
+      ctx.txHandler.activeStep = { id: step.id, index: i };
+      
+      try {
+        success = await step.handler(ctx, i);
+      } catch (error) {
+        if (!error.logged) {
+          ctx.logger.error(`${step.name} ${counted ? `${i + 1} ` : ''}failed: ${error.message}`);
+        }
+      }
+      
+      ctx.txHandler.activeStep = null;
+      if (ctx.journal) ctx.journal.recordUnit(ctx.wallet.address, step.id, i, success);
+    }
+    
+    ctx.stats.recordInteraction(step.trackerKey, success);
+    if (success) result.completed++;
+    
+    if (journaled === undefined && i < total - 1) {
+      await sleep(...CONFIG.timing.betweenInteractions);
+    }
+  }
+  
+  result.success = result.completed > 0;
+  result.transactions = ctx.txHandler.drainTransactions();
+  result.gasSpent = result.transactions.reduce((total, tx) => total + tx.fee, 0n);
+  ctx.stats.recordGasSpent(result.gasSpent);
+  
+  if (counted) {
+    ctx.logger.info(`Completed ${result.completed}/${total} ${step.name.toLowerCase()}`);
+  }
+  
+  await scheduler.recordRun(step, ctx, result);
+  return result;
+}
+
+/**
+ * Builds the step summary message shown by Logger.showStepSummary
+ * @param {StepDefinition} step - Step definition
+ * @param {Object} result - Step result from runStep()
+ * @returns {string} Summary message
+ */
+function describeStepResult(step, result) {
+  if (result.skipped) return `Skipped: ${result.skipped}`;
+  if (stepRegistry.isCounted(step)) return `${result.completed}/${result.total} completed`;
+  
+  const messages = step.messages || { success: 'Completed', failure: 'Failed' };
+  return result.success ? messages.success : messages.failure;
+}
+
+/**
+ * Logs staked balance and pending rewards for every configured staking contract
+ * @param {Object} ctx - Wallet context
+ * @param {string} label - 'Initial' or 'Final'
+ */
+async function logStakingPositions(ctx, label) {
+  for (const contractKey of Object.keys(CONFIG.staking)) {
+    if (!CONFIG.contract[contractKey] || CONFIG.contract[contractKey] === ethers.ZeroAddress) continue;
+    
+    try {
+      const { staked, pending } = await ctx.txHandler.getStakingPosition(contractKey);
+      ctx.logger.info(`${label} Staked - ${contractKey}: ${staked.formatted} ${staked.symbol} (pending rewards: ${pending.formatted} ${pending.symbol})`);
+    } catch (error) {
+      ctx.logger.warn(`Could not read ${contractKey} position: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Summarizes balance changes between two getBalances() snapshots for run reports
+ * @param {Object} initial - Balances before the flow
+ * @param {Object} final - Balances after the flow
+ * @returns {Object[]} [{ asset, decimals, initial, final, delta }] in display units
+ */
+function summarizeBalanceChanges(initial, final) {
+  const assets = [
+    { asset: CONFIG.network.name, before: initial.native, after: final.native, decimals: 18 },
+    ...['token', 'lp']
+      .filter(key => initial[key] && final[key])
+      .map(key => ({ asset: final[key].symbol, before: initial[key], after: final[key], decimals: final[key].decimals }))
+  ];
+  
+  return assets.map(({ asset, before, after, decimals }) => ({
+    asset,
+    decimals,
+    initial: before.formatted,
+    final: after.formatted,
+    delta: ethers.formatUnits(after.raw - before.raw, decimals)
+  }));
+}
+
+/**
+ * Process a single wallet through every step in CONFIG.flow
+ * Register steps in the stepRegistry to customize the interaction flow
+ * @param {Logger} walletLogger - Logger for this wallet, a child of the main logger when running concurrently
+ */
+async function processWallet(wallet, proxy, targetAddresses, walletIndex, totalWallets, stats, walletLogger = logger) {
+  const shortAddress = `${wallet.address}`;
+  walletLogger.operation(walletIndex, totalWallets, shortAddress, "STARTING INTERACTIONS");
+  
+  const flow = stepRegistry.resolve();
+  
+  // Context shared by every step handler
+  const ctx = {
+    wallet,
+    proxy,
+    targetAddresses,
+    walletIndex,
+    totalWallets,
+    stats,
+    logger: walletLogger,
+    txHandler: new BaseTransactionHandler(wallet, walletLogger),
+    apiClient: new BaseAPIClient(wallet, walletLogger, proxy),
+    journal: walletLogger.journal,
+    walletResult: { steps: {} }
+  };
+  
+  // Settle transactions left pending by an interrupted run before sending new ones
+  if (ctx.journal) {
+    await ctx.journal.reconcileWallet(wallet, walletLogger);
+  }
+  
+  // Log initial balances
+  const initialBalances = await ctx.txHandler.getBalances();
+  walletLogger.info(`Initial Balance - ${CONFIG.network.name}: ${initialBalances.native.formatted}`);
+  if (initialBalances.token) {
+    walletLogger.info(`Initial Balance - ${initialBalances.token.symbol}: ${initialBalances.token.formatted}`);
+  }
+  if (initialBalances.lp) {
+    walletLogger.info(`Initial Balance - ${initialBalances.lp.symbol}: ${initialBalances.lp.formatted}`);
+  }
+  await logStakingPositions(ctx, 'Initial');
+  
+  for (let s = 0; s < flow.length; s++) {
+    const step = flow[s];
+    walletLogger.operation(walletIndex, totalWallets, shortAddress, `STEP ${s + 1}: ${step.name.toUpperCase()}`);
+    walletLogger.setStep(step.id);
+    
+    const result = await runStep(step, ctx);
+    walletLogger.setStep(null);
+    ctx.walletResult.steps[step.id] = result;
+    walletLogger.recordStepResult(step.name, result.success, describeStepResult(step, result));
+    
+    if (s < flow.length - 1) {
+      await sleep(...CONFIG.timing.betweenInteractions);
+    }
+  }
+  
+  // Clean up allowances granted by this run
+  if (PARAMS.REVOKE_ALLOWANCES && ctx.txHandler.approvals.size > 0) {
+    await ctx.txHandler.revokeAllowances();
+    const revocations = ctx.txHandler.drainTransactions();
+    stats.recordGasSpent(revocations.reduce((total, tx) => total + tx.fee, 0n));
+  }
+  
+  // Rewards claimed during this run
+  ctx.walletResult.rewards = [...ctx.txHandler.rewardsEarned.values()].map(reward => ({
+    raw: reward.raw,
+    formatted: ethers.formatUnits(reward.raw, reward.decimals),
+    symbol: reward.symbol
+  }));
+  
+  // Get final balances
+  const finalBalances = await ctx.txHandler.getBalances();
+  walletLogger.info(`Final Balance - ${CONFIG.network.name}: ${finalBalances.native.formatted}`);
+  if (finalBalances.token) {
+    walletLogger.info(`Final Balance - ${finalBalances.token.symbol}: ${finalBalances.token.formatted}`);
+  }
+  if (finalBalances.lp) {
+    walletLogger.info(`Final Balance - ${finalBalances.lp.symbol}: ${finalBalances.lp.formatted}`);
+  }
+  await logStakingPositions(ctx, 'Final');
+  ctx.walletResult.balances = summarizeBalanceChanges(initialBalances, finalBalances);
+  ctx.walletResult.balances.forEach(balance => {
+    metrics.walletBalance.set({ network: CONFIG.network.name, wallet: wallet.address, asset: balance.asset }, Number(balance.final));
+  });
+  
+  if (finalBalances.native.raw < ethers.parseEther(CONFIG.notifications.lowBalanceThreshold)) {
+    walletLogger.warn(`Balance below ${CONFIG.notifications.lowBalanceThreshold} ${CONFIG.network.name}, top up this wallet`);
+    notifier.notify('lowBalance', `Low balance on ${CONFIG.network.name}`,
+      `${finalBalances.native.formatted} ${CONFIG.network.name} left, below ${CONFIG.notifications.lowBalanceThreshold}`,
+      { wallet: wallet.address }, `lowBalance:${CONFIG.network.name}:${wallet.address}`);
+  }
+  
+  // Record wallet result
+  stats.recordWalletResult(wallet.address, ctx.walletResult);
+  if (ctx.journal) {
+    ctx.journal.recordWalletResult(wallet.address, ctx.walletResult);
+  }
+  
+  // Record wallet completion
+  stats.incrementWallet();
+  walletLogger.success(`Wallet ${walletIndex + 1} processing completed`);
+}
+
+// Initialize logger
+const logger = new Logger();
+const notifier = new Notifier(logger);
+const scheduler = new StepScheduler(logger);
+
+/**
+ * Account management CLI: node defi-bot-framework.js accounts <list|import|export>
+ *   list                         Lists loaded accounts and their source (never keys)
+ *   import [--file <path>]       Imports plaintext keys (default CONFIG.accounts.privateKeysFile) into the vault
+ *   import --key                 Imports one private key entered at a hidden prompt
+ *   import --mnemonic            Imports a mnemonic entered at a hidden prompt (derived over CONFIG.accounts.hdRange)
+ *   import --keystore <file>     Imports a Web3 Secret Storage keystore
+ *   export <address|index>       Writes a keystore for an account to CONFIG.accounts.keystoreDir
+ * @param {string[]} args - Arguments after "accounts"
+ */
+async function runAccountsCli(args) {
+  const [command, ...rest] = args;
+  const option = name => {
+    const position = rest.indexOf(name);
+    return position === -1 ? undefined : (rest[position + 1] || true);
+  };
+  
+  const { problems } = ConfigLoader.load();
+  if (problems.length > 0) {
+    throw new ConfigValidationError(problems);
   }
+  const accountManager = new AccountManager(logger);
   
-  /**
-   * Makes an HTTP request with proper error handling and retries
-   * @param {string} method - HTTP method
-   * @param {string} endpoint - API endpoint
-   * @param {Object} data - Request data
-   * @param {Object} additionalHeaders - Additional headers
-   * @returns {Promise<Object>} Response data
-   */
-  async makeRequest(method, endpoint, data = null, additionalHeaders = {}) {
-    const headers = {
-      'accept': 'application/json, text/plain, */*',
-      'accept-language': 'en-US,en;q=0.8',
-      'content-type': 'application/json',
-      'user-agent': randomUseragent.getRandom() || CONFIG.api.userAgent,
-      ...additionalHeaders
-    };
-    
-    if (this.authToken) {
-      headers.authorization = `Bearer ${this.authToken}`;
-    }
-    
-    const config = {
-      method,
-      url: `${this.baseURL}${endpoint}`,
-      headers,
-      timeout: CONFIG.timing.requestTimeout
-    };
-    
-    if (this.proxy) {
-      config.httpsAgent = new HttpsProxyAgent(this.proxy);
-    }
-    
-    if (data) {
-      config.data = data;
+  switch (command) {
+    case 'list': {
+      const accounts = await accountManager.loadAll();
+      accounts.forEach((account, index) => {
+        console.log(`${String(index).padStart(3)}  ${account.address}  ${logger.colors.dim}${account.source}${logger.colors.reset}`);
+      });
+      logger.info(`${accounts.length} account(s)`);
+      return;
     }
     
-    try {
-      const response = await axios(config);
-      return response;
-    } catch (error) {
-      // Enhanced error handling with retry
-      if (this.retryCount < this.maxRetries) {
-        this.retryCount++;
-        this.logger.warn(`Request failed, retrying (${this.retryCount}/${this.maxRetries}): ${error.message}`);
-        await new Promise(resolve => setTimeout(resolve, PARAMS.RETRY_DELAY_BASE * this.retryCount));
-        return this.makeRequest(method, endpoint, data, additionalHeaders);
-      }
+    case 'import': {
+      const vault = new KeyVault(CONFIG.accounts.vaultFile);
+      let passphrase;
+      let payload = { keys: [], mnemonics: [] };
       
-      if (error.response) {
-        throw new Error(`API error ${error.response.status}: ${JSON.stringify(error.response.data)}`);
-      } else if (error.request) {
-        throw new Error(`No response from API: ${error.message}`);
+      if (vault.exists()) {
+        passphrase = await accountManager.getPassphrase();
+        payload = vault.unlock(passphrase);
       } else {
-        throw new Error(`API request failed: ${error.message}`);
+        passphrase = await promptSecret('🔑 New vault passphrase: ');
+        redactor.add(passphrase);
+        if (passphrase.length < 8) throw new Error('Vault passphrase must be at least 8 characters');
+        if (await promptSecret('🔑 Repeat passphrase: ') !== passphrase) throw new Error('Passphrases do not match');
       }
-    }
-  }
-  
-  /**
-   * Authenticates with the protocol API
-   * OVERRIDE THIS METHOD for protocol-specific authentication
-   * @returns {Promise<boolean>} Success status
-   */
-  async authenticate() {
-    try {
-      this.logger.step(`Authenticating with protocol API...`);
       
-      // Example authentication - customize for target protocol
-      const message = "auth_message";
-      const signature = await this.wallet.signMessage(message);
-      
-      const response = await this.makeRequest('POST', CONFIG.api.authEndpoint, {
-        address: this.wallet.address,
-        signature: signature
-      });
+      const known = new Set(payload.keys.map(entry => new ethers.Wallet(entry.privateKey).address));
+      const imported = [];
+      const addKey = (privateKey, label) => {
+        redactor.add(privateKey);
+        const address = new ethers.Wallet(privateKey).address;
+        if (known.has(address)) return;
+        known.add(address);
+        payload.keys.push({ privateKey, label });
+        imported.push(address);
+      };
       
-      if (response.data && response.data.token) {
-        this.authToken = response.data.token;
-        this.logger.success(`Authentication successful`);
-        return true;
+      if (option('--mnemonic')) {
+        const phrase = (await promptSecret('🌱 Mnemonic: ')).trim().replace(/\s+/g, ' ');
+        redactor.add(phrase);
+        if (!ethers.Mnemonic.isValidMnemonic(phrase)) throw new Error('Invalid mnemonic');
+        payload.mnemonics.push({ phrase, path: CONFIG.accounts.hdPath, range: CONFIG.accounts.hdRange });
+        accountManager.deriveMnemonic({ phrase }).forEach(({ privateKey }) => {
+          redactor.add(privateKey);
+          imported.push(new ethers.Wallet(privateKey).address);
+        });
+      } else if (option('--key')) {
+        const input = (await promptSecret('🔑 Private key: ')).trim();
+        redactor.add(input);
+        const privateKey = input.startsWith('0x') ? input : `0x${input}`;
+        if (!/^0x[0-9a-fA-F]{64}$/.test(privateKey)) throw new Error('Invalid private key');
+        addKey(privateKey, 'prompt');
+      } else if (typeof option('--keystore') === 'string') {
+        const file = option('--keystore');
+        addKey((await accountManager.decryptKeystore(file)).privateKey, path.basename(file));
+      } else {
+        const file = typeof option('--file') === 'string' ? option('--file') : CONFIG.accounts.privateKeysFile;
+        const { keys, invalid } = FileManager.loadPrivateKeys(file);
+        if (invalid.length > 0) throw new Error(`Invalid key on line ${invalid.join(', ')} of ${file}`);
+        keys.forEach(privateKey => addKey(privateKey, path.basename(file)));
+        if (keys.length > 0) {
+          logger.warn(`Delete ${file} once you have checked the vault with "accounts list"`);
+        }
       }
       
-      throw new Error('No auth token received');
-    } catch (error) {
-      this.logger.error(`Authentication failed: ${error.message}`);
-      return false;
+      vault.save(payload, passphrase);
+      imported.forEach(address => logger.info(`Imported ${address}`));
+      logger.success(`Imported ${imported.length} account(s) into ${CONFIG.accounts.vaultFile}`);
+      return;
     }
-  }
-  
-  /**
-   * Claims from faucet if available
-   * OVERRIDE THIS METHOD for protocol-specific faucet implementation
-   * @returns {Promise<boolean>} Success status
-   */
-  async claimFaucet() {
-    try {
-      if (!this.authToken && !(await this.authenticate())) {
-        return false;
-      }
+    
+    case 'export': {
+      const target = rest[0];
+      if (!target) throw new Error('Usage: accounts export <address|index>');
       
-      this.logger.step(`Attempting faucet claim...`);
+      const accounts = await accountManager.loadAll();
+      const account = /^\d+$/.test(target)
+        ? accounts[Number(target)]
+        : accounts.find(entry => entry.address.toLowerCase() === target.toLowerCase());
+      if (!account) throw new Error(`No loaded account matches ${target}`);
       
-      const response = await this.makeRequest('POST', CONFIG.api.faucetEndpoint, {
-        address: this.wallet.address
-      });
+      const passphrase = await promptSecret('🔑 Keystore passphrase: ');
+      redactor.add(passphrase);
+      if (passphrase.length < 8) throw new Error('Keystore passphrase must be at least 8 characters');
+      if (await promptSecret('🔑 Repeat passphrase: ') !== passphrase) throw new Error('Passphrases do not match');
       
-      if (response.data && response.data.success) {
-        this.logger.success(`Faucet claimed successfully!`);
-        return true;
+      const json = await new ethers.Wallet(account.privateKey).encrypt(passphrase);
+      const file = path.join(CONFIG.accounts.keystoreDir, `UTC--${new Date().toISOString().replace(/:/g, '-')}--${account.address.slice(2).toLowerCase()}.json`);
+      if (!fs.existsSync(CONFIG.accounts.keystoreDir)) {
+        fs.mkdirSync(CONFIG.accounts.keystoreDir, { recursive: true });
       }
+      fs.writeFileSync(file, json, { mode: 0o600 });
       
-      this.logger.warn(`Faucet claim failed or not available`);
-      return false;
-    } catch (error) {
-      this.logger.error(`Faucet claim error: ${error.message}`);
-      return false;
+      logger.success(`Exported ${account.address} to ${file}`);
+      return;
     }
+    
+    default:
+      console.log('Usage: node defi-bot-framework.js accounts <list|import|export> [options]');
+      console.log('  list                        List loaded accounts and their source');
+      console.log('  import [--file <path>]      Import plaintext keys into the vault');
+      console.log('  import --key | --mnemonic   Import a key or mnemonic entered at a hidden prompt');
+      console.log('  import --keystore <file>    Import a Web3 Secret Storage keystore');
+      console.log('  export <address|index>      Write an encrypted keystore for an account');
   }
 }
 
 /**
- * Base TransactionHandler for blockchain interactions
- * EXTEND THIS CLASS for protocol-specific implementations
+ * Preflight class for startup sanity checks
+ * Verifies the RPC chain id, that configured contracts have code and answer their view calls,
+ * and that every wallet can afford the planned flow - before any transaction is sent
  */
-class BaseTransactionHandler {
-  constructor(wallet, logger) {
-    this.wallet = wallet;
+class Preflight {
+  /**
+   * Creates a preflight run for the current CONFIG.network
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(logger) {
     this.logger = logger;
-    this.retryCount = 0;
-    this.maxRetries = PARAMS.MAX_RETRIES;
-    
-    // Initialize base contracts - ADD PROTOCOL-SPECIFIC CONTRACTS IN EXTENDED CLASS
-    this.contracts = {};
-    this.initializeContracts();
+    this.checks = [];
   }
   
   /**
-   * Initialize protocol contracts
-   * OVERRIDE THIS METHOD to add protocol-specific contracts
+   * Checks an ERC-20 answers decimals() and symbol()
+   * @param {string} address - Token address
+   * @param {ethers.ContractRunner} runner - Provider or signer
+   * @returns {Promise<string>} Description
    */
-  initializeContracts() {
-    // Example contract initialization
-    if (CONFIG.contract.TOKEN !== '0x0000000000000000000000000000000000000000') {
-      this.contracts.token = new ethers.Contract(
-        CONFIG.contract.TOKEN,
-        [
-          'function balanceOf(address) view returns (uint256)',
-          'function transfer(address, uint256) returns (bool)',
-          'function approve(address, uint256) returns (bool)',
-          'function allowance(address, address) view returns (uint256)'
-        ],
-        this.wallet
-      );
-    }
+  static async checkToken(address, runner) {
+    const token = new ethers.Contract(address, ERC20_ABI, runner);
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+    return `ERC-20 ${symbol}, ${decimals} decimals`;
   }
   
   /**
-   * Gets current wallet balances
-   * EXTEND THIS METHOD for protocol-specific balance checking
-   * @returns {Promise<Object>} Balance information
+   * Checks a staking contract answers its adapter's view calls
+   * @param {string} contractKey - CONFIG.contract key
+   * @param {ethers.VoidSigner} runner - Read-only signer
+   * @returns {Promise<string>} Description
    */
-  async getBalances() {
-    try {
-      const balances = {};
-      
-      // Native token balance
-      const nativeBalance = await this.wallet.provider.getBalance(this.wallet.address);
-      balances.native = {
-        raw: nativeBalance,
-        formatted: ethers.formatEther(nativeBalance)
-      };
-      
-      // ERC20 token balances
-      if (this.contracts.token) {
-        const tokenBalance = await this.contracts.token.balanceOf(this.wallet.address);
-        balances.token = {
-          raw: tokenBalance,
-          formatted: ethers.formatEther(tokenBalance)
-        };
-      }
-      
-      return balances;
-    } catch (error) {
-      this.logger.error(`Failed to fetch balances: ${error.message}`);
-      return { native: { raw: 0n, formatted: '0' } };
-    }
+  static async checkStaking(contractKey, runner) {
+    const adapter = StakingAdapter.create({ wallet: runner }, contractKey);
+    const [stakeToken] = await Promise.all([adapter.getStakeToken(), adapter.getStakedBalance()]);
+    return `${CONFIG.staking[contractKey].adapter} staking, stakes ${stakeToken.slice(0, 6)}...${stakeToken.slice(-4)}`;
   }
   
   /**
-   * Randomizes an amount based on configuration
-   * @param {string} baseAmount - Base amount to randomize
-   * @returns {string} Randomized amount
+   * Records a check result
+   * @param {string} section - Report section
+   * @param {string} label - What was checked
+   * @param {string} status - 'pass', 'warn' or 'fail'
+   * @param {string} detail - Result description
    */
-  getRandomizedAmount(baseAmount) {
-    if (!PARAMS.RANDOMIZE) return baseAmount;
+  add(section, label, status, detail) {
+    this.checks.push({ network: CONFIG.network.name, section, label, status, detail });
+  }
+  
+  /**
+   * Runs every check for the current CONFIG.network
+   * @param {string[]} privateKeys - Wallet private keys
+   * @returns {Promise<boolean>} True if nothing failed
+   */
+  async run(privateKeys) {
+    const pool = new RpcPool(this.logger);
+    const healthy = await pool.probe();
     
-    // Skip randomization for special values
-    if (baseAmount === 'all' || baseAmount === 'max') return baseAmount;
+    pool.endpoints.forEach(endpoint => {
+      this.add('RPC', endpoint.host, endpoint.healthy ? 'pass' : 'warn',
+        endpoint.healthy ? `chain ${CONFIG.network.chainId}, block #${endpoint.blockNumber}, ${endpoint.latency}ms` : endpoint.reason);
+    });
     
-    const variation = PARAMS.VARIATION;
-    const factor = 1 + (Math.random() * 2 - 1) * variation;
-    const amount = Number(baseAmount) * factor;
+    if (healthy.length === 0) {
+      this.add('RPC', CONFIG.network.name, 'fail', `no endpoint serves chain ${CONFIG.network.chainId}`);
+      return false;
+    }
     
-    // Format to same number of decimal places as base
-    const decimalPlaces = baseAmount.toString().split('.')[1]?.length || 0;
-    return amount.toFixed(decimalPlaces);
+    const provider = new FailoverProvider(pool);
+    
+    try {
+      const runner = new ethers.VoidSigner(ethers.ZeroAddress, provider);
+      await this.checkContracts(provider, runner);
+      await this.checkBudgets(privateKeys, provider, runner);
+    } finally {
+      provider.destroy();
+    }
+    
+    return !this.checks.some(check => check.network === CONFIG.network.name && check.status === 'fail');
   }
   
   /**
-   * Executes an interaction with retry logic
-   * @param {string} interactionName - Name of the interaction
-   * @param {Function} interaction - Interaction function to execute
-   * @returns {Promise<any>} Interaction result
+   * Checks every configured contract has bytecode and answers its view calls
+   * Contracts required by the flow fail the preflight; unused ones only warn
+   * @param {ethers.Provider} provider - Provider
+   * @param {ethers.VoidSigner} runner - Read-only signer
    */
-  async retryableInteraction(interactionName, interaction) {
-    this.retryCount = 0;
+  async checkContracts(provider, runner) {
+    const required = new Set(stepRegistry.resolve().flatMap(step => stepRegistry.getRequiredContracts(step)));
     
-    while (this.retryCount <= this.maxRetries) {
+    for (const [key, address] of Object.entries(CONFIG.contract)) {
+      if (address === ethers.ZeroAddress) continue;
+      
+      const failure = required.has(key) ? 'fail' : 'warn';
+      const label = `${key} ${address.slice(0, 6)}...${address.slice(-4)}`;
+      
       try {
-        return await interaction();
-      } catch (error) {
-        this.retryCount++;
-        
-        if (this.retryCount > this.maxRetries) {
-          this.logger.error(`${interactionName} failed after ${this.maxRetries} retries: ${error.message}`);
-          throw error;
+        const code = await provider.getCode(address);
+        if (code === '0x') {
+          this.add('Contracts', label, failure, 'no bytecode at this address');
+          continue;
         }
         
-        const delay = Math.pow(2, this.retryCount) * PARAMS.RETRY_DELAY_BASE; // Exponential backoff
-        this.logger.warn(`${interactionName} attempt ${this.retryCount} failed: ${error.message}. Retrying in ${delay/1000}s...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
+        const check = Preflight.VIEW_CHECKS[key];
+        const detail = check ? await check(address, runner) : 'has bytecode';
+        this.add('Contracts', label, 'pass', detail);
+      } catch (error) {
+        this.add('Contracts', label, failure, `view call failed: ${error.shortMessage || error.message}`);
       }
     }
   }
   
   /**
-   * Transfers native tokens
-   * @param {string} toAddress - Recipient address
-   * @param {number} index - Transfer index
-   * @returns {Promise<boolean>} Success status
+   * Checks each wallet's native balance covers the worst-case value and gas of the flow
+   * Uses each step's budget() per repetition at current fees
+   * @param {string[]} privateKeys - Wallet private keys
+   * @param {ethers.Provider} provider - Provider
+   * @param {ethers.VoidSigner} runner - Read-only signer for fee lookups
    */
-  async transfer(toAddress, index) {
-    const amount = this.getRandomizedAmount(PARAMS.TRANSFER_AMOUNT);
-    const truncatedAddress = `${toAddress.slice(0, 6)}...${toAddress.slice(-4)}`;
+  async checkBudgets(privateKeys, provider, runner) {
+    const { fields } = await new FeeStrategy(runner, this.logger).getFees();
+    const gasPrice = fields.maxFeePerGas ?? fields.gasPrice;
     
-    this.logger.tx(`Transfer ${index+1}: ${amount} ${CONFIG.network.name} to ${truncatedAddress}`);
-    
-    return this.retryableInteraction('Transfer', async () => {
-      const balances = await this.getBalances();
-      const required = ethers.parseEther(amount);
+    let budget = 0n;
+    for (const step of stepRegistry.resolve()) {
+      if (!step.budget) continue;
       
-      if (balances.native.raw < required + ethers.parseEther('0.001')) {
-        this.logger.warn(`Insufficient balance for transfer: ${balances.native.formatted} < ${amount}`);
-        return false;
+      for (let i = 0; i < stepRegistry.getCount(step); i++) {
+        const { value = 0n, gasLimit = 0n } = step.budget(i);
+        budget += value + gasLimit * gasPrice;
       }
-      
-      // Execute the transfer
-      const tx = await this.wallet.sendTransaction({
-        to: toAddress,
-        value: required,
-        gasLimit: 21000
-      });
-      
-      this.logger.tx(`Tx hash: 0x${tx.hash.slice(2, 6)}...${tx.hash.slice(-4)}`);
-      const receipt = await tx.wait();
-      this.logger.success(`Transfer ${index+1} completed`);
-      
-      return true;
-    });
-  }
-}
-
-/**
- * Tracks statistics for interactions and displays results
- * Provides standardized results reporting across all DeFi bots
- */
-class InteractionTracker {
-  constructor() {
-    this.reset();
-    this.startTime = Date.now();
-    this.walletResults = [];
-  }
-  
-  reset() {
-    this.walletsProcessed = 0;
-    this.interactions = {
-      faucets: 0,
-      auth: 0,
-      transfers: 0,
-      stakes: 0,
-      unstakes: 0,
-      swaps: 0,
-      custom: 0
-    };
-    this.successfulOps = 0;
-    this.totalOps = 0;
-    this.walletResults = [];
-  }
-  
-  incrementWallet() {
-    this.walletsProcessed++;
-  }
-  
-  /**
-   * Records an interaction result
-   * @param {string} type - Interaction type
-   * @param {boolean} success - Success status
-   */
-  recordInteraction(type, success) {
-    if (this.interactions[type] !== undefined) {
-      this.interactions[type]++;
     }
     
-    this.totalOps++;
+    const failure = CONFIG.preflight.abortOnLowBalance ? 'fail' : 'warn';
     
-    if (success) {
-      this.successfulOps++;
+    for (const privateKey of privateKeys) {
+      const address = new ethers.Wallet(privateKey).address;
+      const label = `${address.slice(0, 6)}...${address.slice(-4)}`;
+      
+      try {
+        const balance = await provider.getBalance(address);
+        const detail = `${ethers.formatEther(balance)} / ${ethers.formatEther(budget)} ${CONFIG.network.name} needed`;
+        this.add('Budget', label, balance >= budget ? 'pass' : failure, detail);
+      } catch (error) {
+        this.add('Budget', label, failure, `balance unavailable: ${error.shortMessage || error.message}`);
+      }
     }
   }
   
   /**
-   * Records results for a specific wallet
-   * @param {string} walletAddress - Wallet address
-   * @param {Object} results - Wallet interaction results
-   */
-  recordWalletResult(walletAddress, results) {
-    this.walletResults.push({
-      address: walletAddress,
-      ...results
-    });
-  }
-  
-  /**
-   * Displays the interaction results summary
-   * Uses standardized emoji-based display format
-   */
-  displayResults() {
-    // Clear screen for results
-    process.stdout.write('\x1Bc');
-    console.clear();
-    
-    const banner = `
-${colors.cyan}${colors.bright}====================================================
-  INTERACTION RESULTS SUMMARY - by miraiweb3
-====================================================${colors.reset}
-
-📋 WALLET DETAILS
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`;
-    
-    console.log(banner);
-    
-    // Display wallet results with emoji indicators
-    this.walletResults.forEach(wallet => {
-      const shortAddr = `${wallet.address.slice(0, 6)}...${wallet.address.slice(-4)}`;
-      
-      // Build result string with emojis - CUSTOMIZE FOR PROTOCOL
-      let resultString = `${shortAddr}   `;
-      
-      // Standard interaction emojis - customize as needed
-      if (wallet.faucetSuccess !== undefined) {
-        resultString += wallet.faucetSuccess ? '🚰✅  ' : '🚰❌  ';
-      }
-      if (wallet.authSuccess !== undefined) {
-        resultString += wallet.authSuccess ? '🔐✅  ' : '🔐❌  ';
-      }
-      if (wallet.transferCount !== undefined) {
-        resultString += `💸${wallet.transferCount}/${PARAMS.TRANSFER_COUNT}  `;
-      }
-      if (wallet.stakeCount !== undefined) {
-        resultString += `🌾${wallet.stakeCount}/${PARAMS.STAKE_COUNT}  `;
-      }
-      if (wallet.swapCount !== undefined) {
-        resultString += `💱${wallet.swapCount}/${PARAMS.SWAP_COUNT}  `;
-      }
+   * Prints the report, grouped by network and section
+   */
+  displayReport() {
+    const icons = { pass: '✅', warn: '⚠️ ', fail: '❌' };
+    const networks = [...new Set(this.checks.map(check => check.network))];
+    
+    console.log(`\n${logger.colors.cyan}${logger.colors.bright}🛫 PREFLIGHT REPORT${logger.colors.reset}`);
+    
+    for (const network of networks) {
+      console.log(`\n${logger.colors.cyan}🌐 ${network}${logger.colors.reset}`);
       
-      console.log(resultString);
-    });
+      const checks = this.checks.filter(check => check.network === network);
+      for (const section of [...new Set(checks.map(check => check.section))]) {
+        console.log(`  ${logger.colors.bright}${section}${logger.colors.reset}`);
+        
+        checks
+          .filter(check => check.section === section)
+          .forEach(check => console.log(`    ${icons[check.status]} ${check.label.padEnd(28)} ${check.detail}`));
+      }
+    }
     
-    console.log('');
+    const failed = this.checks.filter(check => check.status === 'fail').length;
+    const warned = this.checks.filter(check => check.status === 'warn').length;
+    console.log(`\n${failed > 0 ? logger.colors.red : logger.colors.green}${this.checks.length - failed - warned} passed, ${warned} warning(s), ${failed} failed${logger.colors.reset}\n`);
   }
 }
 
 /**
- * Helper functions for timing and delays
+ * View calls confirming each CONFIG.contract entry is the kind of contract expected
+ * Each check takes (address, runner) and resolves to a short description
  */
-async function sleep(min, max) {
-  const delay = min + Math.random() * (max - min);
-  return new Promise(resolve => setTimeout(resolve, delay));
-}
+Preflight.VIEW_CHECKS = {
+  TOKEN: Preflight.checkToken,
+  WRAPPED_TOKEN: Preflight.checkToken,
+  ROUTER: async (address, runner) => {
+    if (CONFIG.swap.routerType === 'v3') return 'V3 router';
+    
+    const router = new ethers.Contract(address, V2_ROUTER_ABI, runner);
+    const [factory, weth] = await Promise.all([router.factory(), router.WETH()]);
+    if (CONFIG.contract.WRAPPED_TOKEN !== ethers.ZeroAddress && weth.toLowerCase() !== CONFIG.contract.WRAPPED_TOKEN.toLowerCase()) {
+      throw new Error(`router WETH() is ${weth}, not CONFIG.contract.WRAPPED_TOKEN`);
+    }
+    return `V2 router, factory ${factory.slice(0, 6)}...${factory.slice(-4)}`;
+  },
+  STAKING: (address, runner) => Preflight.checkStaking('STAKING', runner),
+  FARM: (address, runner) => Preflight.checkStaking('FARM', runner)
+};
 
-async function countdown(minutes) {
-  const totalSeconds = minutes * 60;
-  
-  for (let remaining = totalSeconds; remaining > 0; remaining--) {
-    logger.countdown(remaining);
-    await sleep(1000, 1000);
-  }
-  
-  console.log('\n');
-}
 
 /**
- * Process a single wallet through all interactions
- * CUSTOMIZE THIS FUNCTION for protocol-specific interaction flows
+ * Runs every wallet through the flow on the current network
+ * @param {string[]} privateKeys - Wallet private keys
+ * @param {string[]} targetAddresses - Transfer target addresses
+ * @param {ProxyManager} proxyManager - Proxy rotation
+ * @param {InteractionTracker} stats - Statistics tracker
+ * @param {TransactionJournal|null} journal - Transaction journal
  */
-async function processWallet(wallet, proxy, targetAddresses, walletIndex, totalWallets, stats) {
-  const shortAddress = `${wallet.address}`;
-  logger.operation(walletIndex, totalWallets, shortAddress, "STARTING INTERACTIONS");
-  
-  // Initialize handlers
-  const txHandler = new BaseTransactionHandler(wallet, logger);
-  const apiClient = new BaseAPIClient(wallet, logger, proxy);
-  
-  // Initialize wallet result tracking - CUSTOMIZE FOR PROTOCOL
-  const walletResult = {
-    faucetSuccess: false,
-    authSuccess: false,
-    transferCount: 0
-    // Add more tracking fields as needed
-  };
-  
-  // Log initial balances
-  const initialBalances = await txHandler.getBalances();
-  logger.info(`Initial Balance - ${CONFIG.network.name}: ${initialBalances.native.formatted}`);
+async function runNetwork(privateKeys, targetAddresses, proxyManager, stats, journal) {
+  // One endpoint pool per network, shared by every wallet so health and stats accumulate
+  const rpcPool = new RpcPool(logger);
+  stats.setRpcPool(rpcPool);
   
-  // STEP ONE: AUTHENTICATION (if required)
-  logger.operation(walletIndex, totalWallets, shortAddress, "STEP 1: AUTHENTICATION");
-  const authSuccess = await apiClient.authenticate();
-  stats.recordInteraction('auth', authSuccess);
-  logger.recordStepResult("Auth", authSuccess, authSuccess ? "Authenticated successfully" : "Authentication failed");
-  walletResult.authSuccess = authSuccess;
-  
-  await sleep(...CONFIG.timing.betweenInteractions);
-  
-  // STEP TWO: FAUCET CLAIM (if available)
-  logger.operation(walletIndex, totalWallets, shortAddress, "STEP 2: FAUCET CLAIM");
-  const faucetSuccess = await apiClient.claimFaucet();
-  stats.recordInteraction('faucets', faucetSuccess);
-  logger.recordStepResult("Faucet", faucetSuccess, faucetSuccess ? "Claimed successfully" : "Not available or failed");
-  walletResult.faucetSuccess = faucetSuccess;
-  
-  await sleep(...CONFIG.timing.betweenInteractions);
+  const healthy = await rpcPool.probe();
+  if (healthy.length === 0) {
+    logger.error(`No healthy RPC endpoint for ${CONFIG.network.name}, skipping network`);
+    return;
+  }
+  logger.info(`RPC: ${healthy.length}/${rpcPool.endpoints.length} endpoint(s) healthy, using ${healthy[0].host} (${healthy[0].latency}ms)`);
   
-  // STEP THREE: TRANSFERS (example interaction)
-  logger.operation(walletIndex, totalWallets, shortAddress, "STEP 3: TRANSFERS");
-  let transferCount = 0;
+  const concurrency = Math.min(CONFIG.execution.concurrency, privateKeys.length);
+  const board = concurrency > 1 ? new StatusBoard(privateKeys.length, concurrency).start() : null;
+  logger.setStatusBoard(board);
   
-  if (targetAddresses.length === 0) {
-    logger.warn("No target addresses found in wallets.txt. Skipping transfers.");
-  } else {
-    for (let i = 0; i < PARAMS.TRANSFER_COUNT; i++) {
-      const randomIndex = Math.floor(Math.random() * targetAddresses.length);
-      const targetAddress = targetAddresses[randomIndex];
+  try {
+    await runWorkerPool(privateKeys.length, concurrency, async i => {
+      // Wallets that finished the interrupted cycle keep their journaled result
+      const address = new ethers.Wallet(privateKeys[i]).address;
+      const journaledResult = journal ? journal.getWalletResult(address) : undefined;
+      if (journaledResult) {
+        stats.restoreWalletResult(address, journaledResult);
+        logger.info(`Wallet ${i + 1} already completed this cycle, skipping`);
+        if (board) board.finish(i, true);
+        return;
+      }
       
-      const success = await txHandler.transfer(targetAddress, i);
-      stats.recordInteraction('transfers', success);
+      // Wallets with no step due on this network sit the cycle out
+      if (!scheduler.hasDueWork(address)) {
+        logger.info(`Wallet ${i + 1}: nothing due on ${CONFIG.network.name}, skipping`);
+        if (board) board.finish(i, true);
+        return;
+      }
       
-      if (success) transferCount++;
+      const walletLogger = logger.child({ address, index: i, total: privateKeys.length });
+      let completed = false;
       
-      await sleep(...CONFIG.timing.betweenInteractions);
-    }
+      try {
+        // Get a proxy and create provider
+        const proxy = proxyManager.getNext();
+        
+        try {
+          if (board) board.update(i, { address, status: 'STARTING' });
+          if (proxy) {
+            walletLogger.info(`Using proxy: ${proxy.split('@')[1] || proxy.substring(0, 30)}...`);
+          } else {
+            walletLogger.info('No proxy available, using direct connection');
+          }
+          const provider = new FailoverProvider(rpcPool, proxy);
+          
+          // Create wallet instance
+          const wallet = new ethers.Wallet(privateKeys[i], provider);
+          
+          // Process wallet
+          await processWallet(wallet, proxy, targetAddresses, i, privateKeys.length, stats, walletLogger);
+          completed = true;
+          
+          // Record proxy success
+          if (proxy) {
+            proxyManager.recordSuccess(proxy);
+          }
+        } catch (error) {
+          walletLogger.error(`Error processing wallet ${i + 1}: ${error.message}`);
+          notifier.notify('critical', `Wallet ${i + 1} run aborted`, error.message, { wallet: address }, `critical:wallet:${address}`);
+          
+          // Record proxy failure
+          if (proxy) {
+            proxyManager.recordFailure(proxy);
+          }
+        }
+        
+        if (board) board.finish(i, completed);
+        
+        // Wait between wallets
+        await sleep(...CONFIG.timing.betweenWallets);
+      } catch (error) {
+        walletLogger.error(`Critical error with wallet ${i + 1}: ${error.message}`);
+      }
+    });
+  } finally {
+    if (board) board.stop();
+    logger.setStatusBoard(null);
   }
   
-  logger.info(`Completed ${transferCount}/${PARAMS.TRANSFER_COUNT} transfers`);
-  logger.recordStepResult("Transfers", transferCount > 0, `${transferCount}/${PARAMS.TRANSFER_COUNT} completed`);
-  walletResult.transferCount = transferCount;
+  stats.orderWalletResults(privateKeys.map(privateKey => new ethers.Wallet(privateKey).address));
+}
+
+/**
+ * Applies config.txt / config.json / config.yaml and the command-line overrides
+ * Exits when the configuration is invalid
+ * @param {boolean} validate - Also validate CONFIG and PARAMS as deployable (flow, required contracts, placeholders)
+ */
+function loadConfig(validate = true) {
+  try {
+    const { files, applied, problems = [] } = validate ? ConfigLoader.loadAndValidate() : ConfigLoader.load();
+    if (problems.length > 0) {
+      throw new ConfigValidationError(problems);
+    }
+    
+    logger.configure();
+    if (files.length > 0) {
+      logger.info(`Loaded custom configuration with ${applied.length} settings from ${files.join(', ')}`);
+    }
+    const overrides = Object.keys(ConfigLoader.overrides);
+    if (overrides.length > 0) {
+      logger.info(`Command-line overrides: ${overrides.join(', ')}`);
+    }
+  } catch (error) {
+    if (!(error instanceof ConfigValidationError)) throw error;
+    logger.error(error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Unlocks accounts from the vault, keystores, mnemonics and plaintext keys and applies the --wallets selection
+ * Exits when no account is found
+ * @param {string|null} selector - --wallets value (null = every account)
+ * @returns {Promise<Object[]>} Accounts as { address, privateKey, source, index }, index being the "accounts list" position
+ */
+async function loadAccounts(selector = null) {
+  const accounts = (await new AccountManager(logger).loadAll()).map((account, index) => ({ ...account, index }));
   
-  // ADD MORE PROTOCOL-SPECIFIC STEPS HERE
-  // Example:
-  // - Staking operations
-  // - Liquidity provision
-  // - Farming operations
-  // - Governance voting
-  // - Bridge operations
+  if (accounts.length === 0) {
+    logger.error(`No accounts found. Import keys with "accounts import" or add them to ${CONFIG.accounts.privateKeysFile}`);
+    process.exit(1);
+  }
   
-  // Get final balances
-  const finalBalances = await txHandler.getBalances();
-  logger.info(`Final Balance - ${CONFIG.network.name}: ${finalBalances.native.formatted}`);
+  return AccountManager.select(accounts, selector);
+}
+
+/**
+ * Runs the preflight on every network and prints the report
+ * @param {string[]} privateKeys - Wallet private keys
+ * @returns {Promise<boolean>} True if no check failed
+ */
+async function runPreflight(privateKeys) {
+  const preflight = new Preflight(logger);
+  let passed = true;
   
-  // Record wallet result
-  stats.recordWalletResult(wallet.address, walletResult);
+  for (const networkName of NetworkProfiles.getRunList()) {
+    if (networkName) {
+      NetworkProfiles.use(networkName);
+    }
+    
+    try {
+      passed = await preflight.run(privateKeys) && passed;
+    } finally {
+      NetworkProfiles.restore();
+    }
+  }
   
-  // Record wallet completion
-  stats.incrementWallet();
-  logger.success(`Wallet ${walletIndex + 1} processing completed`);
+  preflight.displayReport();
+  return passed;
 }
 
-// Initialize logger
-const logger = new Logger();
-
 /**
  * Main execution function
  * Controls the overall bot execution flow
+ * @param {Object} options - Parsed command line (see parseCliArgs), once = stop after one cycle
  */
-async function main() {
+async function main(options = {}) {
   // Clear terminal screen when bot starts
-  process.stdout.write('\x1Bc');
-  console.clear();
+  logger.clearTerminal();
   
   logger.banner();
   
   // Load configuration data
-  const privateKeys = FileManager.loadPrivateKeys();
   const proxyList = FileManager.loadProxies();
   const targetAddresses = FileManager.loadWalletAddresses();
-  const customConfig = FileManager.loadCustomConfig();
   
-  // Apply custom configuration if available
-  if (Object.keys(customConfig).length > 0) {
-    logger.info(`Loaded custom configuration with ${Object.keys(customConfig).length} settings`);
-    // Apply custom config to global CONFIG object as needed
-  }
+  loadConfig();
+  const accounts = await loadAccounts(options.wallets);
+  const privateKeys = accounts.map(account => account.privateKey);
   
-  if (privateKeys.length === 0) {
-    logger.error("No private keys found. Add keys to privatekeys.txt");
+  // Preflight every network before anything is sent
+  if (CONFIG.preflight.enabled && !(await runPreflight(privateKeys))) {
+    logger.error('Preflight failed, nothing was sent. Fix the issues above or disable CONFIG.preflight');
     process.exit(1);
   }
   
   const proxyManager = new ProxyManager(proxyList);
   const stats = new InteractionTracker();
+  const addresses = privateKeys.map(privateKey => new ethers.Wallet(privateKey).address);
+  
+  // Per-step schedule - simulated runs are never persisted
+  scheduler.load(CONFIG.execution.dryRun ? null : CONFIG.schedule.file);
+  
+  // Transaction journal - simulated runs are never journaled
+  const journal = CONFIG.journal.enabled && !CONFIG.execution.dryRun
+    ? new TransactionJournal(CONFIG.journal.file).load()
+    : null;
+  logger.setJournal(journal);
+  
+  // Metrics endpoint for long-running bots
+  const metricsServer = CONFIG.metrics.enabled
+    ? await new MetricsServer(metricsRegistry, logger, stats).start()
+    : null;
   
   // Configuration summary
   logger.info(`Config: ${privateKeys.length} WALLET | ${targetAddresses.length} ADDRESS | ${proxyList.length} PROXY`);
   
   // Main execution loop
   while (true) {
-    logger.info(`=== STARTING NEW CYCLE ===`);
+    const cycle = journal ? journal.startCycle() : null;
+    if (cycle && cycle.resumed) {
+      logger.warn(`=== RESUMING INTERRUPTED CYCLE ${cycle.id} ===`);
+    } else {
+      logger.info(`=== STARTING NEW CYCLE ===`);
+    }
     stats.reset();
+    scheduler.startCycle();
+    const cycleId = cycle ? cycle.id : new Date(stats.cycleStartedAt).toISOString();
+    logger.setCycle(cycleId);
+    if (metricsServer) {
+      metricsServer.update({ status: 'running', cycle: cycleId, cycleStartedAt: new Date(stats.cycleStartedAt).toISOString(), nextCycleAt: null });
+    }
     
-    for (let i = 0; i < privateKeys.length; i++) {
+    // Run the wallet loop once per network profile
+    for (const networkName of NetworkProfiles.getRunList()) {
+      if (networkName) {
+        NetworkProfiles.use(networkName);
+        logger.info(`=== NETWORK: ${CONFIG.network.name} (chain ${CONFIG.network.chainId}) ===`);
+      }
+      
+      if (!addresses.some(address => scheduler.hasDueWork(address))) {
+        logger.info(`Nothing due on ${CONFIG.network.name}, skipping network`);
+        NetworkProfiles.restore();
+        continue;
+      }
+      
+      stats.setNetwork(CONFIG.network.name, CONFIG.network.chainId, CONFIG.flow);
+      if (journal) {
+        journal.setNetwork(networkName);
+      }
+      if (metricsServer) {
+        metricsServer.update({ network: CONFIG.network.name });
+      }
+      
       try {
-        // Get a proxy and create provider
-        const proxy = proxyManager.getNext();
-        let provider;
-        
-        try {
-          if (proxy) {
-            logger.info(`Using proxy: ${proxy.split('@')[1] || proxy.substring(0, 30)}...`);
-            const agent = new HttpsProxyAgent(proxy);
-            provider = new ethers.JsonRpcProvider(
-              CONFIG.network.rpcUrl,
-              {
-                chainId: CONFIG.network.chainId,
-                name: CONFIG.network.name,
-              },
-              {
-                fetchOptions: { agent },
-                headers: { 'User-Agent': randomUseragent.getRandom() },
-              }
-            );
-          } else {
-            logger.info('No proxy available, using direct connection');
-            provider = new ethers.JsonRpcProvider(
-              CONFIG.network.rpcUrl,
-              {
-                chainId: CONFIG.network.chainId,
-                name: CONFIG.network.name,
-              }
-            );
-          }
-          
-          // Create wallet instance
-          const wallet = new ethers.Wallet(privateKeys[i], provider);
-          
-          // Process wallet
-          await processWallet(wallet, proxy, targetAddresses, i, privateKeys.length, stats);
+        await runNetwork(privateKeys, targetAddresses, proxyManager, stats, journal);
+      } finally {
+        NetworkProfiles.restore();
+      }
+    }
+    
+    if (journal) {
+      journal.completeCycle();
+    }
+    
+    metrics.cycles.inc();
+    metrics.cycleDuration.set({}, (Date.now() - stats.cycleStartedAt) / 1000);
+    const next = findNextWork(addresses);
+    if (metricsServer) {
+      const nextCycleAt = new Date(next.at).toISOString();
+      metricsServer.update({ status: 'waiting', network: null, lastCycleCompletedAt: new Date().toISOString(), nextCycleAt });
+    }
+    
+    // Display interaction results
+    stats.displayResults();
+    
+    const fees = [...stats.networks.values()].map(network => `${ethers.formatEther(network.gasSpent)} ${network.name}`).join(', ');
+    await notifier.notify('cycle', `Cycle ${cycleId} completed`,
+      `${stats.successfulOps}/${stats.totalOps} interactions succeeded across ${stats.walletsProcessed} wallet(s)`,
+      { fees, duration: `${Math.round((Date.now() - stats.cycleStartedAt) / 1000)}s` });
+    
+    if (CONFIG.reports.enabled) {
+      try {
+        const files = new ReportExporter().export(stats, cycleId);
+        logger.info(`📄 Cycle report saved: ${files.join(', ')}`);
+      } catch (error) {
+        logger.warn(`Could not export cycle report: ${error.message}`);
+      }
+    }
+    
+    if (options.once) {
+      if (metricsServer) metricsServer.stop();
+      return;
+    }
+    
+    // Wait for the next due step
+    await countdown((next.at - Date.now()) / 60000, next.label);
+  }
+}
+
+/**
+ * Finds the earliest due work across every network profile
+ * @param {string[]} addresses - Wallet addresses
+ * @returns {Object} { at: ms timestamp, label: e.g. 'faucet ×3 (Sepolia)' }
+ */
+function findNextWork(addresses) {
+  const networks = [];
+  
+  for (const networkName of NetworkProfiles.getRunList()) {
+    if (networkName) {
+      NetworkProfiles.use(networkName);
+    }
+    
+    try {
+      networks.push({ name: CONFIG.network.name, ...scheduler.getNextWork(addresses) });
+    } finally {
+      NetworkProfiles.restore();
+    }
+  }
+  
+  const at = Math.min(...networks.map(network => network.at));
+  const label = networks
+    .filter(network => network.at <= at + 60000)
+    .map(network => `${[...network.steps].map(([stepId, wallets]) => `${stepId} ×${wallets}`).join(', ')} (${network.name})`)
+    .join('; ');
+  return { at, label };
+}
+
+/**
+ * Balances CLI: prints native, token, LP and staked balances of the selected wallets on every network
+ * Read-only, nothing is sent
+ * @param {Object} options - Parsed command line
+ */
+async function runBalancesCli(options) {
+  loadConfig();
+  const accounts = await loadAccounts(options.wallets);
+  
+  for (const networkName of NetworkProfiles.getRunList()) {
+    if (networkName) {
+      NetworkProfiles.use(networkName);
+    }
+    
+    try {
+      console.log(`\n${logger.colors.cyan}${logger.colors.bright}💰 BALANCES - ${CONFIG.network.name} (chain ${CONFIG.network.chainId})${logger.colors.reset}`);
+      
+      const rpcPool = new RpcPool(logger);
+      if ((await rpcPool.probe()).length === 0) {
+        logger.error(`No healthy RPC endpoint for ${CONFIG.network.name}, skipping network`);
+        continue;
+      }
+      const provider = new FailoverProvider(rpcPool);
+      
+      try {
+        for (const account of accounts) {
+          const txHandler = new BaseTransactionHandler(new ethers.Wallet(account.privateKey, provider), logger);
+          const balances = await txHandler.getBalances();
+          const assets = [
+            `${balances.native.formatted} ${CONFIG.network.name}`,
+            ...['token', 'lp'].filter(key => balances[key]).map(key => `${balances[key].formatted} ${balances[key].symbol}`)
+          ];
           
-          // Record proxy success
-          if (proxy) {
-            proxyManager.recordSuccess(proxy);
+          for (const contractKey of Object.keys(CONFIG.staking)) {
+            if (!CONFIG.contract[contractKey] || CONFIG.contract[contractKey] === ethers.ZeroAddress) continue;
+            try {
+              const { staked, pending } = await txHandler.getStakingPosition(contractKey);
+              assets.push(`${contractKey} ${staked.formatted} ${staked.symbol} (+${pending.formatted} ${pending.symbol})`);
+            } catch (error) {
+              assets.push(`${contractKey} unavailable`);
+            }
           }
-        } catch (error) {
-          logger.error(`Error processing wallet ${i + 1}: ${error.message}`);
           
-          // Record proxy failure
-          if (proxy) {
-            proxyManager.recordFailure(proxy);
-          }
+          console.log(`${String(account.index).padStart(3)}  ${account.address}  ${assets.join(` ${logger.colors.dim}|${logger.colors.reset} `)}`);
         }
-        
-        // Wait between wallets
-        await sleep(...CONFIG.timing.betweenWallets);
-      } catch (error) {
-        logger.error(`Critical error with wallet ${i + 1}: ${error.message}`);
+      } finally {
+        provider.destroy();
       }
+    } finally {
+      NetworkProfiles.restore();
     }
+  }
+  console.log('');
+}
+
+/**
+ * Wallets CLI: lists the selected wallets with their source and next scheduled work
+ * @param {Object} options - Parsed command line
+ */
+async function runWalletsCli(options) {
+  loadConfig(false);
+  const accounts = await loadAccounts(options.wallets);
+  scheduler.load(CONFIG.schedule.file);
+  
+  console.log(`\n${logger.colors.cyan}${logger.colors.bright}👛 WALLETS${logger.colors.reset}`);
+  for (const account of accounts) {
+    const next = findNextWork([account.address]);
+    const due = next.at <= Date.now() ? `${logger.colors.green}due now` : `${logger.colors.yellow}next ${StepScheduler.formatTime(next.at)}`;
+    console.log(`${String(account.index).padStart(3)}  ${account.address}  ${due}${logger.colors.reset}  ${next.label}  ${logger.colors.dim}${account.source}${logger.colors.reset}`);
+  }
+  logger.info(`${accounts.length} wallet(s) selected`);
+}
+
+/**
+ * Report CLI: prints the last cycles from the CONFIG.reports history file
+ * @param {Object} options - Parsed command line, args[0] = number of cycles (default 10)
+ */
+async function runReportCli(options) {
+  loadConfig(false);
+  
+  const count = options.args.length > 0 ? Number(options.args[0]) : 10;
+  if (!Number.isInteger(count) || count < 1) {
+    throw new CliUsageError(`report expects a number of cycles, got "${options.args[0]}"`);
+  }
+  
+  const file = path.join(CONFIG.reports.dir, CONFIG.reports.historyFile);
+  if (!fs.existsSync(file)) {
+    logger.warn(`No cycle history yet (${file}). Reports are written after each cycle while CONFIG.reports is enabled`);
+    return;
+  }
+  
+  const entries = fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    })
+    .slice(-count);
+  
+  console.log(`\n${logger.colors.cyan}${logger.colors.bright}📊 CYCLE HISTORY (last ${entries.length})${logger.colors.reset}`);
+  for (const entry of entries) {
+    const rate = entry.successRate === null ? '-' : `${(entry.successRate * 100).toFixed(1)}%`;
+    const gas = Object.entries(entry.gasSpent).map(([network, fee]) => `${fee} ${network}`).join(', ') || '-';
+    console.log(`  ${new Date(entry.finishedAt).toLocaleString().padEnd(24)} ${String(entry.wallets).padStart(3)} wallet(s)  ` +
+      `${entry.successfulOps}/${entry.totalOps} ops (${rate})  ⛽ ${gas}${entry.dryRun ? `  ${logger.colors.yellow}[dry run]${logger.colors.reset}` : ''}`);
+  }
+  
+  const successful = entries.reduce((sum, entry) => sum + entry.successfulOps, 0);
+  const total = entries.reduce((sum, entry) => sum + entry.totalOps, 0);
+  console.log(`\n${logger.colors.bright}${successful}/${total} interactions succeeded over ${entries.length} cycle(s)${logger.colors.reset}\n`);
+}
+
+/**
+ * Parses the command line
+ * Options may be given as "--flag value" or "--flag=value", and --set may be repeated
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { command, args, wallets, overrides (ConfigLoader.overrides entries), help }
+ * @throws {CliUsageError} On unknown options or missing values
+ */
+function parseCliArgs(argv) {
+  const options = { command: 'run', args: [], wallets: null, overrides: {}, help: false };
+  let i = 0;
+  if (argv.length > 0 && !argv[0].startsWith('-')) {
+    options.command = argv[i++];
+  }
+  
+  for (; i < argv.length; i++) {
+    const arg = argv[i];
+    const equals = arg.startsWith('--') ? arg.indexOf('=') : -1;
+    const flag = equals === -1 ? arg : arg.slice(0, equals);
+    const value = () => {
+      if (equals !== -1) return arg.slice(equals + 1);
+      if (i + 1 >= argv.length) throw new CliUsageError(`${flag} needs a value`);
+      return argv[++i];
+    };
     
-    // Display interaction results
-    stats.displayResults();
-    
-    // Wait before next cycle
-    await countdown(CONFIG.timing.cycleInterval);
+    switch (flag) {
+      case '--wallets':
+      case '-w':
+        options.wallets = value();
+        break;
+        
+      case '--steps':
+      case '-s':
+        options.overrides.flow = value();
+        break;
+        
+      case '--set': {
+        const entry = value();
+        const position = entry.indexOf('=');
+        if (position < 1) throw new CliUsageError(`--set expects key=value, got "${entry}"`);
+        options.overrides[entry.slice(0, position).trim()] = entry.slice(position + 1);
+        break;
+      }
+      
+      case '--dry-run':
+        options.overrides['execution.dryRun'] = true;
+        break;
+        
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+        
+      default:
+        if (flag.startsWith('-')) throw new CliUsageError(`Unknown option ${flag}`);
+        options.args.push(arg);
+    }
+  }
+  
+  return options;
+}
+
+/**
+ * Prints the command-line usage
+ */
+function printCliUsage() {
+  console.log('Usage: node defi-bot-framework.js [command] [options]');
+  console.log('\nCommands:');
+  Object.entries(CLI_COMMANDS).forEach(([name, { usage, description }]) => {
+    console.log(`  ${(usage || name).padEnd(28)} ${description}`);
+  });
+  console.log(`  ${'accounts <command>'.padEnd(28)} Manage the key vault and keystores: list, import, export`);
+  console.log('\nOptions:');
+  console.log('  -w, --wallets <list>         Wallets by "accounts list" index, range or address, e.g. 0,2,5-7,0xAbC...');
+  console.log('  -s, --steps <list>           Steps to run instead of CONFIG.flow, e.g. auth,faucet,swaps');
+  console.log('  --set <key=value>            Override a CONFIG/PARAMS value (repeatable), e.g. --set SWAP_COUNT=2');
+  console.log('  --dry-run                    Simulate every transaction, nothing is sent');
+  console.log('  -h, --help                   Show this help');
+}
+
+/**
+ * Command-line entry point
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number|undefined>} Exit code (the run command never returns)
+ * @throws {CliUsageError} On invalid usage
+ */
+async function runCli(argv) {
+  // The accounts tool parses its own options
+  if (argv[0] === 'accounts') {
+    return runAccountsCli(argv.slice(1));
+  }
+  
+  const options = parseCliArgs(argv);
+  if (options.help || options.command === 'help') {
+    printCliUsage();
+    return 0;
+  }
+  
+  const command = CLI_COMMANDS[options.command];
+  if (!command) {
+    throw new CliUsageError(`Unknown command "${options.command}"`);
+  }
+  if (options.args.length > (command.maxArgs || 0)) {
+    throw new CliUsageError(`Unexpected argument "${options.args[command.maxArgs || 0]}" for ${options.command}`);
   }
+  
+  ConfigLoader.overrides = options.overrides;
+  return command.run(options);
 }
 
+/**
+ * Subcommands: run(options) resolves to an optional exit code
+ */
+const CLI_COMMANDS = {
+  run: {
+    description: 'Run cycles forever, waiting for the next due step in between (default)',
+    run: options => main(options)
+  },
+  once: {
+    description: 'Run one cycle of the due steps, then exit',
+    run: options => main({ ...options, once: true })
+  },
+  balances: {
+    description: 'Print wallet balances and staked positions on every network',
+    run: runBalancesCli
+  },
+  preflight: {
+    description: 'Run the preflight checks only, exit code 1 if any fails',
+    run: async options => {
+      loadConfig();
+      const accounts = await loadAccounts(options.wallets);
+      return (await runPreflight(accounts.map(account => account.privateKey))) ? 0 : 1;
+    }
+  },
+  report: {
+    usage: 'report [count]',
+    description: 'Print the last cycles from the report history (default 10)',
+    maxArgs: 1,
+    run: runReportCli
+  },
+  wallets: {
+    description: 'List the selected wallets and their next scheduled work',
+    run: runWalletsCli
+  }
+};
+
 // Handle graceful shutdown
 process.on('SIGINT', () => {
   console.log('\nReceived shutdown signal. Exiting gracefully...');
@@ -1077,23 +7714,82 @@ process.on('SIGINT', () => {
 // Export classes for use in extended implementations
 module.exports = {
   Logger,
+  LogFileSink,
   FileManager,
+  SecretRedactor,
+  redactor,
+  KeyVault,
+  AccountManager,
+  ConfigLoader,
+  ConfigValidationError,
+  CliUsageError,
+  CONFIG_SCHEMA,
+  NetworkProfiles,
+  TransactionJournal,
   ProxyManager,
+  StatusBoard,
+  RpcPool,
+  FailoverProvider,
+  Preflight,
+  FeeStrategy,
+  NonceManager,
   BaseAPIClient,
+  ApiError,
+  SessionStore,
+  RateLimiter,
+  CircuitBreaker,
+  StakingAdapter,
+  ERC4626StakingAdapter,
+  MasterChefStakingAdapter,
   BaseTransactionHandler,
   InteractionTracker,
+  ReportExporter,
+  MetricsRegistry,
+  MetricsServer,
+  Notifier,
+  notifier,
+  metricsRegistry,
+  metrics,
+  StepRegistry,
+  stepRegistry,
+  StepScheduler,
+  scheduler,
+  processWallet,
+  runStep,
+  runNetwork,
+  runCli,
+  parseCliArgs,
+  runWorkerPool,
+  logger,
   CONFIG,
   PARAMS,
   colors,
+  ERC20_ABI,
+  V2_ROUTER_ABI,
+  WRAPPED_TOKEN_ABI,
+  V2_FACTORY_ABI,
+  V2_PAIR_ABI,
+  V3_ROUTER_ABI,
+  V3_QUOTER_ABI,
   sleep,
-  countdown
+  countdown,
+  promptSecret
 };
 
 // Start the bot if this file is run directly
 if (require.main === module) {
-  main().catch(error => {
+  runCli(process.argv.slice(2)).then(code => {
+    process.exit(code || 0);
+  }).catch(async error => {
+    if (error instanceof CliUsageError) {
+      logger.error(error.message);
+      console.log('Run "node defi-bot-framework.js --help" for usage');
+      process.exit(1);
+    }
+    
     logger.error(`Critical error: ${error.message}`);
-    console.error(error.stack);
+    console.error(redactor.redact(error.stack));
+    await notifier.notify('critical', 'Bot stopped', error.message);
     process.exit(1);
   });
 }
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IMintable {
+    function mint(address to, uint256 value) external;
+}
+
+/// On-chain faucet with a per-address cooldown, like the drip contracts many testnets use
+contract DripFaucet {
+    IMintable public token;
+    uint256 public amount;
+    uint256 public constant COOLDOWN = 1 days;
+    mapping(address => uint256) public lastClaim;
+
+    constructor(address token_, uint256 amount_) {
+        token = IMintable(token_);
+        amount = amount_;
+    }
+
+    function claim() external {
+        require(block.timestamp >= nextClaimTime(msg.sender), "cooldown active");
+        lastClaim[msg.sender] = block.timestamp;
+        token.mint(msg.sender, amount);
+    }
+
+    /// Unix timestamp when the address may claim again, 0 if it never claimed
+    function nextClaimTime(address account) public view returns (uint256) {
+        return lastClaim[account] == 0 ? 0 : lastClaim[account] + COOLDOWN;
+    }
+}
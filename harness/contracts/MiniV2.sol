@@ -0,0 +1,302 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IERC20Like {
+    function balanceOf(address) external view returns (uint256);
+    function transfer(address, uint256) external returns (bool);
+    function transferFrom(address, address, uint256) external returns (bool);
+}
+
+interface IWETHLike is IERC20Like {
+    function deposit() external payable;
+    function withdraw(uint256) external;
+}
+
+/// Minimal constant-product pair with a 0.3% fee, LP shares are the pair's own ERC-20 balance
+contract MiniV2Pair {
+    string public constant name = "Mini V2 LP";
+    string public constant symbol = "MINI-LP";
+    uint8 public constant decimals = 18;
+    uint256 public totalSupply;
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    address public factory;
+    address public token0;
+    address public token1;
+    uint112 private reserve0;
+    uint112 private reserve1;
+
+    constructor(address tokenA, address tokenB) {
+        factory = msg.sender;
+        (token0, token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+    }
+
+    function getReserves() external view returns (uint112, uint112, uint32) {
+        return (reserve0, reserve1, uint32(block.timestamp));
+    }
+
+    function approve(address spender, uint256 value) external returns (bool) {
+        allowance[msg.sender][spender] = value;
+        return true;
+    }
+
+    function transfer(address to, uint256 value) external returns (bool) {
+        _transfer(msg.sender, to, value);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 value) external returns (bool) {
+        require(allowance[from][msg.sender] >= value, "MiniV2: insufficient allowance");
+        allowance[from][msg.sender] -= value;
+        _transfer(from, to, value);
+        return true;
+    }
+
+    function mint(address to) external returns (uint256 liquidity) {
+        uint256 balance0 = IERC20Like(token0).balanceOf(address(this));
+        uint256 balance1 = IERC20Like(token1).balanceOf(address(this));
+        uint256 amount0 = balance0 - reserve0;
+        uint256 amount1 = balance1 - reserve1;
+
+        if (totalSupply == 0) {
+            liquidity = _sqrt(amount0 * amount1) - 1000;
+            _mint(address(0xdead), 1000);
+        } else {
+            uint256 liquidity0 = amount0 * totalSupply / reserve0;
+            uint256 liquidity1 = amount1 * totalSupply / reserve1;
+            liquidity = liquidity0 < liquidity1 ? liquidity0 : liquidity1;
+        }
+
+        require(liquidity > 0, "MiniV2: insufficient liquidity minted");
+        _mint(to, liquidity);
+        _sync();
+    }
+
+    function burn(address to) external returns (uint256 amount0, uint256 amount1) {
+        uint256 liquidity = balanceOf[address(this)];
+        amount0 = liquidity * IERC20Like(token0).balanceOf(address(this)) / totalSupply;
+        amount1 = liquidity * IERC20Like(token1).balanceOf(address(this)) / totalSupply;
+        require(amount0 > 0 && amount1 > 0, "MiniV2: insufficient liquidity burned");
+
+        balanceOf[address(this)] -= liquidity;
+        totalSupply -= liquidity;
+        IERC20Like(token0).transfer(to, amount0);
+        IERC20Like(token1).transfer(to, amount1);
+        _sync();
+    }
+
+    function swap(uint256 amount0Out, uint256 amount1Out, address to) external {
+        require(amount0Out > 0 || amount1Out > 0, "MiniV2: insufficient output amount");
+        if (amount0Out > 0) IERC20Like(token0).transfer(to, amount0Out);
+        if (amount1Out > 0) IERC20Like(token1).transfer(to, amount1Out);
+
+        uint256 balance0 = IERC20Like(token0).balanceOf(address(this));
+        uint256 balance1 = IERC20Like(token1).balanceOf(address(this));
+        uint256 amount0In = balance0 > reserve0 - amount0Out ? balance0 - (reserve0 - amount0Out) : 0;
+        uint256 amount1In = balance1 > reserve1 - amount1Out ? balance1 - (reserve1 - amount1Out) : 0;
+        require(amount0In > 0 || amount1In > 0, "MiniV2: insufficient input amount");
+
+        uint256 adjusted0 = balance0 * 1000 - amount0In * 3;
+        uint256 adjusted1 = balance1 * 1000 - amount1In * 3;
+        require(adjusted0 * adjusted1 >= uint256(reserve0) * reserve1 * 1e6, "MiniV2: K");
+        _sync();
+    }
+
+    function _sync() private {
+        reserve0 = uint112(IERC20Like(token0).balanceOf(address(this)));
+        reserve1 = uint112(IERC20Like(token1).balanceOf(address(this)));
+    }
+
+    function _mint(address to, uint256 value) private {
+        totalSupply += value;
+        balanceOf[to] += value;
+    }
+
+    function _transfer(address from, address to, uint256 value) private {
+        require(balanceOf[from] >= value, "MiniV2: insufficient balance");
+        balanceOf[from] -= value;
+        balanceOf[to] += value;
+    }
+
+    function _sqrt(uint256 y) private pure returns (uint256 z) {
+        if (y > 3) {
+            z = y;
+            uint256 x = y / 2 + 1;
+            while (x < z) {
+                z = x;
+                x = (y / x + x) / 2;
+            }
+        } else if (y != 0) {
+            z = 1;
+        }
+    }
+}
+
+contract MiniV2Factory {
+    mapping(address => mapping(address => address)) public getPair;
+    address[] public allPairs;
+
+    function createPair(address tokenA, address tokenB) external returns (address pair) {
+        require(tokenA != tokenB, "MiniV2: identical addresses");
+        require(getPair[tokenA][tokenB] == address(0), "MiniV2: pair exists");
+        pair = address(new MiniV2Pair(tokenA, tokenB));
+        getPair[tokenA][tokenB] = pair;
+        getPair[tokenB][tokenA] = pair;
+        allPairs.push(pair);
+    }
+
+    function allPairsLength() external view returns (uint256) {
+        return allPairs.length;
+    }
+}
+
+/// Subset of the UniswapV2Router02 interface for single-hop paths
+contract MiniV2Router {
+    address public immutable factory;
+    address public immutable WETH;
+
+    modifier ensure(uint256 deadline) {
+        require(deadline >= block.timestamp, "MiniV2Router: EXPIRED");
+        _;
+    }
+
+    constructor(address factory_, address weth_) {
+        factory = factory_;
+        WETH = weth_;
+    }
+
+    receive() external payable {
+        require(msg.sender == WETH, "MiniV2Router: ETH only from WETH");
+    }
+
+    function quote(uint256 amountA, uint256 reserveA, uint256 reserveB) public pure returns (uint256) {
+        require(amountA > 0 && reserveA > 0 && reserveB > 0, "MiniV2Router: insufficient amount or liquidity");
+        return amountA * reserveB / reserveA;
+    }
+
+    function getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut) public pure returns (uint256) {
+        require(amountIn > 0 && reserveIn > 0 && reserveOut > 0, "MiniV2Router: insufficient amount or liquidity");
+        uint256 amountInWithFee = amountIn * 997;
+        return amountInWithFee * reserveOut / (reserveIn * 1000 + amountInWithFee);
+    }
+
+    function getAmountsOut(uint256 amountIn, address[] memory path) public view returns (uint256[] memory amounts) {
+        require(path.length == 2, "MiniV2Router: single-hop paths only");
+        (uint256 reserveIn, uint256 reserveOut) = _getReserves(path[0], path[1]);
+        amounts = new uint256[](2);
+        amounts[0] = amountIn;
+        amounts[1] = getAmountOut(amountIn, reserveIn, reserveOut);
+    }
+
+    function swapExactETHForTokens(uint256 amountOutMin, address[] calldata path, address to, uint256 deadline)
+        external payable ensure(deadline) returns (uint256[] memory amounts)
+    {
+        require(path[0] == WETH, "MiniV2Router: INVALID_PATH");
+        amounts = getAmountsOut(msg.value, path);
+        require(amounts[1] >= amountOutMin, "MiniV2Router: INSUFFICIENT_OUTPUT_AMOUNT");
+        address pair = _pairFor(path[0], path[1]);
+        IWETHLike(WETH).deposit{value: msg.value}();
+        IWETHLike(WETH).transfer(pair, msg.value);
+        _swap(amounts[1], path[0], path[1], pair, to);
+    }
+
+    function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] calldata path, address to, uint256 deadline)
+        external ensure(deadline) returns (uint256[] memory amounts)
+    {
+        require(path[1] == WETH, "MiniV2Router: INVALID_PATH");
+        amounts = getAmountsOut(amountIn, path);
+        require(amounts[1] >= amountOutMin, "MiniV2Router: INSUFFICIENT_OUTPUT_AMOUNT");
+        address pair = _pairFor(path[0], path[1]);
+        IERC20Like(path[0]).transferFrom(msg.sender, pair, amountIn);
+        _swap(amounts[1], path[0], path[1], pair, address(this));
+        IWETHLike(WETH).withdraw(amounts[1]);
+        _sendETH(to, amounts[1]);
+    }
+
+    function addLiquidity(
+        address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired,
+        uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline
+    ) external ensure(deadline) returns (uint256 amountA, uint256 amountB, uint256 liquidity) {
+        (amountA, amountB) = _addLiquidity(tokenA, tokenB, amountADesired, amountBDesired, amountAMin, amountBMin);
+        address pair = _pairFor(tokenA, tokenB);
+        IERC20Like(tokenA).transferFrom(msg.sender, pair, amountA);
+        IERC20Like(tokenB).transferFrom(msg.sender, pair, amountB);
+        liquidity = MiniV2Pair(pair).mint(to);
+    }
+
+    function addLiquidityETH(
+        address token, uint256 amountTokenDesired, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline
+    ) external payable ensure(deadline) returns (uint256 amountToken, uint256 amountETH, uint256 liquidity) {
+        (amountToken, amountETH) = _addLiquidity(token, WETH, amountTokenDesired, msg.value, amountTokenMin, amountETHMin);
+        address pair = _pairFor(token, WETH);
+        IERC20Like(token).transferFrom(msg.sender, pair, amountToken);
+        IWETHLike(WETH).deposit{value: amountETH}();
+        IWETHLike(WETH).transfer(pair, amountETH);
+        liquidity = MiniV2Pair(pair).mint(to);
+        if (msg.value > amountETH) _sendETH(msg.sender, msg.value - amountETH);
+    }
+
+    function removeLiquidity(
+        address tokenA, address tokenB, uint256 liquidity, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline
+    ) public ensure(deadline) returns (uint256 amountA, uint256 amountB) {
+        address pair = _pairFor(tokenA, tokenB);
+        MiniV2Pair(pair).transferFrom(msg.sender, pair, liquidity);
+        (uint256 amount0, uint256 amount1) = MiniV2Pair(pair).burn(to);
+        (amountA, amountB) = tokenA == MiniV2Pair(pair).token0() ? (amount0, amount1) : (amount1, amount0);
+        require(amountA >= amountAMin, "MiniV2Router: INSUFFICIENT_A_AMOUNT");
+        require(amountB >= amountBMin, "MiniV2Router: INSUFFICIENT_B_AMOUNT");
+    }
+
+    function removeLiquidityETH(
+        address token, uint256 liquidity, uint256 amountTokenMin, uint256 amountETHMin, address to, uint256 deadline
+    ) external ensure(deadline) returns (uint256 amountToken, uint256 amountETH) {
+        (amountToken, amountETH) = removeLiquidity(token, WETH, liquidity, amountTokenMin, amountETHMin, address(this), deadline);
+        IERC20Like(token).transfer(to, amountToken);
+        IWETHLike(WETH).withdraw(amountETH);
+        _sendETH(to, amountETH);
+    }
+
+    function _addLiquidity(
+        address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin
+    ) private returns (uint256 amountA, uint256 amountB) {
+        if (MiniV2Factory(factory).getPair(tokenA, tokenB) == address(0)) {
+            MiniV2Factory(factory).createPair(tokenA, tokenB);
+        }
+        (uint256 reserveA, uint256 reserveB) = _getReserves(tokenA, tokenB);
+        if (reserveA == 0 && reserveB == 0) {
+            return (amountADesired, amountBDesired);
+        }
+        uint256 amountBOptimal = quote(amountADesired, reserveA, reserveB);
+        if (amountBOptimal <= amountBDesired) {
+            require(amountBOptimal >= amountBMin, "MiniV2Router: INSUFFICIENT_B_AMOUNT");
+            return (amountADesired, amountBOptimal);
+        }
+        uint256 amountAOptimal = quote(amountBDesired, reserveB, reserveA);
+        require(amountAOptimal <= amountADesired, "MiniV2Router: EXCESSIVE_A_AMOUNT");
+        require(amountAOptimal >= amountAMin, "MiniV2Router: INSUFFICIENT_A_AMOUNT");
+        return (amountAOptimal, amountBDesired);
+    }
+
+    function _swap(uint256 amountOut, address tokenIn, address tokenOut, address pair, address to) private {
+        (uint256 amount0Out, uint256 amount1Out) = tokenIn < tokenOut ? (uint256(0), amountOut) : (amountOut, uint256(0));
+        MiniV2Pair(pair).swap(amount0Out, amount1Out, to);
+    }
+
+    function _getReserves(address tokenA, address tokenB) private view returns (uint256 reserveA, uint256 reserveB) {
+        address pair = MiniV2Factory(factory).getPair(tokenA, tokenB);
+        if (pair == address(0)) return (0, 0);
+        (uint112 reserve0, uint112 reserve1, ) = MiniV2Pair(pair).getReserves();
+        (reserveA, reserveB) = tokenA < tokenB ? (uint256(reserve0), uint256(reserve1)) : (uint256(reserve1), uint256(reserve0));
+    }
+
+    function _pairFor(address tokenA, address tokenB) private view returns (address pair) {
+        pair = MiniV2Factory(factory).getPair(tokenA, tokenB);
+        require(pair != address(0), "MiniV2Router: pair does not exist");
+    }
+
+    function _sendETH(address to, uint256 value) private {
+        (bool ok, ) = to.call{value: value}("");
+        require(ok, "MiniV2Router: ETH transfer failed");
+    }
+}
@@ -0,0 +1,81 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface ITestToken {
+    function transfer(address, uint256) external returns (bool);
+    function transferFrom(address, address, uint256) external returns (bool);
+    function mint(address, uint256) external;
+}
+
+/// ERC-4626-style vault with 1:1 shares, enough for the 'erc4626' staking adapter
+contract MiniVault {
+    address public asset;
+    mapping(address => uint256) public balanceOf;
+
+    constructor(address asset_) {
+        asset = asset_;
+    }
+
+    function convertToAssets(uint256 shares) external pure returns (uint256) {
+        return shares;
+    }
+
+    function deposit(uint256 assets, address receiver) external returns (uint256) {
+        ITestToken(asset).transferFrom(msg.sender, address(this), assets);
+        balanceOf[receiver] += assets;
+        return assets;
+    }
+
+    function withdraw(uint256 assets, address receiver, address owner) external returns (uint256) {
+        require(msg.sender == owner, "not owner");
+        balanceOf[owner] -= assets;
+        ITestToken(asset).transfer(receiver, assets);
+        return assets;
+    }
+}
+
+/// MasterChef-style farm paying 1000 reward units per staked block, enough for the 'masterchef' adapter
+contract MiniChef {
+    struct UserInfo {
+        uint256 amount;
+        uint256 since;
+    }
+
+    address public stakeToken;
+    address public rewardToken;
+    mapping(uint256 => mapping(address => UserInfo)) private users;
+
+    constructor(address stakeToken_, address rewardToken_) {
+        stakeToken = stakeToken_;
+        rewardToken = rewardToken_;
+    }
+
+    function userInfo(uint256 pid, address user) external view returns (uint256, uint256) {
+        return (users[pid][user].amount, 0);
+    }
+
+    function pendingCake(uint256 pid, address user) public view returns (uint256) {
+        UserInfo storage info = users[pid][user];
+        return info.amount == 0 ? 0 : (block.number - info.since) * 1000;
+    }
+
+    function deposit(uint256 pid, uint256 amount) external {
+        _payout(pid);
+        if (amount > 0) {
+            ITestToken(stakeToken).transferFrom(msg.sender, address(this), amount);
+            users[pid][msg.sender].amount += amount;
+        }
+    }
+
+    function withdraw(uint256 pid, uint256 amount) external {
+        _payout(pid);
+        users[pid][msg.sender].amount -= amount;
+        ITestToken(stakeToken).transfer(msg.sender, amount);
+    }
+
+    function _payout(uint256 pid) internal {
+        uint256 reward = pendingCake(pid, msg.sender);
+        if (reward > 0) ITestToken(rewardToken).mint(msg.sender, reward);
+        users[pid][msg.sender].since = block.number;
+    }
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+contract WETH9 {
+    string public name = "Wrapped Ether";
+    string public symbol = "WETH";
+    uint8 public decimals = 18;
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    receive() external payable { deposit(); }
+
+    function deposit() public payable { balanceOf[msg.sender] += msg.value; }
+
+    function withdraw(uint256 wad) public {
+        require(balanceOf[msg.sender] >= wad, "WETH: insufficient balance");
+        balanceOf[msg.sender] -= wad;
+        (bool ok, ) = msg.sender.call{value: wad}("");
+        require(ok, "WETH: ETH transfer failed");
+    }
+
+    function totalSupply() public view returns (uint256) { return address(this).balance; }
+
+    function approve(address guy, uint256 wad) public returns (bool) { allowance[msg.sender][guy] = wad; return true; }
+
+    function transfer(address dst, uint256 wad) public returns (bool) { return transferFrom(msg.sender, dst, wad); }
+
+    function transferFrom(address src, address dst, uint256 wad) public returns (bool) {
+        require(balanceOf[src] >= wad, "WETH: insufficient balance");
+        if (src != msg.sender && allowance[src][msg.sender] != type(uint256).max) {
+            require(allowance[src][msg.sender] >= wad, "WETH: insufficient allowance");
+            allowance[src][msg.sender] -= wad;
+        }
+        balanceOf[src] -= wad;
+        balanceOf[dst] += wad;
+        return true;
+    }
+}
@@ -0,0 +1,198 @@
+/**
+ * In-process EVM devnet for the offline integration harness
+ * Starts a ganache node, compiles the contracts in harness/contracts with solc and deploys
+ * a test token, WETH9, a V2 factory/router with seeded TOKEN/WETH liquidity, an ERC-4626 vault,
+ * a MasterChef farm and a cooldown-gated drip faucet - everything the built-in steps and the
+ * scheduler need, with no network access.
+ */
+
+// @ts-nocheck
+const { ethers } = require('ethers');
+const ganache = require('ganache');
+const solc = require('solc');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local chain with the harness contracts deployed
+ */
+class Devnet {
+  /**
+   * Creates a devnet description (nothing starts until start())
+   * @param {Object} options - { port, chainId, accounts, balance }
+   */
+  constructor({ port = 8545, chainId = 31337, accounts = 4, balance = '1000' } = {}) {
+    this.port = port;
+    this.chainId = chainId;
+    this.url = `http://127.0.0.1:${port}`;
+    this.balance = ethers.parseEther(balance);
+    
+    // Deterministic keys: index 0 deploys and seeds liquidity, the rest are bot wallets
+    this.keys = Array.from({ length: accounts }, (_, i) => ethers.zeroPadValue(ethers.toBeHex(i + 1), 32));
+    this.server = null;
+    this.provider = null;
+    this.deployer = null;
+    this.contracts = {};
+  }
+  
+  /**
+   * Private keys handed to the bot (every funded account except the deployer)
+   * @returns {string[]} Private keys
+   */
+  get walletKeys() {
+    return this.keys.slice(1);
+  }
+  
+  /**
+   * Compiles every .sol file in harness/contracts
+   * @returns {Object} Contract name -> { abi, bytecode }
+   */
+  static compile() {
+    if (Devnet.artifacts) return Devnet.artifacts;
+    
+    const dir = path.join(__dirname, 'contracts');
+    const sources = Object.fromEntries(fs.readdirSync(dir)
+      .filter(file => file.endsWith('.sol'))
+      .map(file => [file, { content: fs.readFileSync(path.join(dir, file), 'utf8') }]));
+    
+    const input = {
+      language: 'Solidity',
+      sources,
+      settings: {
+        evmVersion: 'paris',
+        optimizer: { enabled: true, runs: 200 },
+        outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+      }
+    };
+    const output = JSON.parse(solc.compile(JSON.stringify(input)));
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+    if (errors.length > 0) {
+      throw new Error(`Contract compilation failed:\n${errors.map(error => error.formattedMessage).join('\n')}`);
+    }
+    
+    Devnet.artifacts = {};
+    for (const file of Object.values(output.contracts)) {
+      for (const [name, contract] of Object.entries(file)) {
+        Devnet.artifacts[name] = { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+      }
+    }
+    return Devnet.artifacts;
+  }
+  
+  /**
+   * Starts the node and deploys the contracts
+   * @returns {Promise<Devnet>} This devnet
+   */
+  async start() {
+    this.server = ganache.server({
+      logging: { quiet: true },
+      chain: { chainId: this.chainId },
+      wallet: { accounts: this.keys.map(secretKey => ({ secretKey, balance: ethers.toQuantity(this.balance) })) }
+    });
+    await this.server.listen(this.port);
+    
+    this.provider = new ethers.JsonRpcProvider(this.url, this.chainId, { staticNetwork: true, pollingInterval: 100 });
+    this.deployer = new ethers.NonceManager(new ethers.Wallet(this.keys[0], this.provider));
+    await this.deploy();
+    return this;
+  }
+  
+  /**
+   * Deploys a compiled contract from the deployer account
+   * @param {string} name - Contract name
+   * @param {...any} args - Constructor arguments
+   * @returns {Promise<ethers.Contract>} Deployed contract
+   */
+  async deployContract(name, ...args) {
+    const { abi, bytecode } = Devnet.compile()[name];
+    const contract = await new ethers.ContractFactory(abi, bytecode, this.deployer).deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+  
+  /**
+   * Deploys the protocol contracts and seeds the TOKEN/WETH pool
+   */
+  async deploy() {
+    const weth = await this.deployContract('WETH9');
+    const token = await this.deployContract('TestToken', 'Test USD', 'TUSD', Devnet.TOKEN_DECIMALS);
+    const reward = await this.deployContract('TestToken', 'Reward', 'RWD', 18);
+    const factory = await this.deployContract('MiniV2Factory');
+    const router = await this.deployContract('MiniV2Router', await factory.getAddress(), await weth.getAddress());
+    const vault = await this.deployContract('MiniVault', await token.getAddress());
+    const chef = await this.deployContract('MiniChef', await token.getAddress(), await reward.getAddress());
+    const drip = await this.deployContract('DripFaucet', await token.getAddress(), ethers.parseUnits('100', Devnet.TOKEN_DECIMALS));
+    
+    // 1 ETH = 1000 TUSD, deep enough that the bot's swaps barely move the price
+    const liquidityToken = ethers.parseUnits('100000', Devnet.TOKEN_DECIMALS);
+    const deployer = await this.deployer.getAddress();
+    await (await token.mint(deployer, liquidityToken)).wait();
+    await (await token.approve(await router.getAddress(), liquidityToken)).wait();
+    await (await router.addLiquidityETH(await token.getAddress(), liquidityToken, 0, 0, deployer, ethers.MaxUint256, {
+      value: ethers.parseEther('100')
+    })).wait();
+    
+    this.contracts = { weth, token, reward, factory, router, vault, chef, drip };
+  }
+  
+  /**
+   * CONFIG.contract entries for the deployed protocol
+   * @returns {Promise<Object>} TOKEN, WRAPPED_TOKEN, ROUTER, STAKING and FARM addresses
+   */
+  async getAddresses() {
+    const { token, weth, router, vault, chef } = this.contracts;
+    return {
+      TOKEN: await token.getAddress(),
+      WRAPPED_TOKEN: await weth.getAddress(),
+      ROUTER: await router.getAddress(),
+      STAKING: await vault.getAddress(),
+      FARM: await chef.getAddress()
+    };
+  }
+  
+  /**
+   * Mints test tokens, used by the mock faucet
+   * @param {string} address - Recipient
+   * @param {string} amount - Amount in token units
+   * @returns {Promise<string>} Transaction hash
+   */
+  async mintToken(address, amount) {
+    const tx = await this.contracts.token.mint(address, ethers.parseUnits(amount, Devnet.TOKEN_DECIMALS));
+    await tx.wait();
+    return tx.hash;
+  }
+  
+  /**
+   * Mines empty blocks, e.g. so per-block farm rewards accrue
+   * @param {number} blocks - Number of blocks
+   */
+  async mine(blocks = 1) {
+    for (let i = 0; i < blocks; i++) {
+      await this.provider.send('evm_mine', []);
+    }
+  }
+  
+  /**
+   * Gets the current block number
+   * Asks the node directly, the provider's block number is cached between polls
+   * @returns {Promise<number>} Block number
+   */
+  async getBlockNumber() {
+    return Number(await this.provider.send('eth_blockNumber', []));
+  }
+  
+  /**
+   * Stops the node
+   */
+  async stop() {
+    if (this.provider) this.provider.destroy();
+    if (this.server) await this.server.close();
+    this.server = null;
+  }
+}
+
+// Decimals of the test token, 6 like most testnet stablecoins so decimal handling is exercised
+Devnet.TOKEN_DECIMALS = 6;
+Devnet.artifacts = null;
+
+module.exports = { Devnet };
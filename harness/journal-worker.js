@@ -0,0 +1,53 @@
+/**
+ * Crashing bot process for the journalResume scenario
+ * Runs CONFIG.flow for one wallet with the transaction journal enabled and kills itself with
+ * SIGKILL right after the first transaction reaches the journal as submitted (or as confirmed),
+ * leaving a cycle interrupted in the middle of a step unit.
+ *
+ *   node harness/journal-worker.js <settings.json>
+ *
+ * settings.json holds { config, params, privateKey, targets, crashOn }: CONFIG and PARAMS snapshots
+ * taken by the harness (pointing at its devnet), the wallet to run, its transfer targets and the
+ * transaction status to crash on. Exits with status 0 only if it never crashed.
+ */
+
+// @ts-nocheck
+const fs = require('fs');
+const bot = require('../defi-bot-framework.js');
+
+const { CONFIG, PARAMS, TransactionJournal, InteractionTracker, ProxyManager, logger } = bot;
+
+/**
+ * Applies the harness settings and runs the flow until a transaction is journaled with the crash status
+ * @param {string} file - Settings file written by the harness
+ * @returns {Promise<void>} Resolves only if no transaction was sent
+ */
+async function runWorker(file) {
+  const { config, params, privateKey, targets, crashOn } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  Object.assign(CONFIG, config);
+  Object.assign(PARAMS, params);
+  
+  // The journal line is written synchronously, so it is on disk when the process dies
+  const recordTransaction = TransactionJournal.prototype.recordTransaction;
+  TransactionJournal.prototype.recordTransaction = function (record) {
+    recordTransaction.call(this, record);
+    if (record.status === crashOn) {
+      process.kill(process.pid, 'SIGKILL');
+    }
+  };
+  
+  const journal = new TransactionJournal(CONFIG.journal.file).load();
+  logger.setJournal(journal);
+  journal.startCycle();
+  
+  const stats = new InteractionTracker();
+  stats.setNetwork(CONFIG.network.name, CONFIG.network.chainId, CONFIG.flow);
+  await bot.runNetwork([privateKey], targets, new ProxyManager([]), stats, journal);
+}
+
+runWorker(process.argv[2]).then(() => {
+  process.exit(0);
+}).catch(error => {
+  logger.error(`Worker error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,254 @@
+/**
+ * Local mock of the protocol auth/faucet API for the offline integration harness
+ * Implements the contract BaseAPIClient expects: POST /auth with a signed "auth_message" or a
+ * Sign-In with Ethereum message (nonce from GET /auth/nonce) returns a JWT bearer token,
+ * POST /faucet with that token pays out once per address.
+ */
+
+// @ts-nocheck
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+const http = require('http');
+
+/**
+ * Mock protocol API server
+ */
+class MockProtocolApi {
+  /**
+   * Creates a mock API (nothing listens until start())
+   * @param {Object} options - { port, authMessage, chainId (checked in SIWE messages), tokenTtl (seconds),
+   *   onFaucet(address) called on each successful claim }
+   */
+  constructor({ port = 0, authMessage = 'auth_message', chainId = null, tokenTtl = 3600, onFaucet = async () => {} } = {}) {
+    this.port = port;
+    this.authMessage = authMessage;
+    this.chainId = chainId;
+    this.tokenTtl = tokenTtl;
+    this.onFaucet = onFaucet;
+    this.server = null;
+    this.secret = crypto.randomBytes(32);
+    this.nonces = new Set();   // SIWE nonces issued and not used yet
+    this.tokens = new Map();   // bearer token -> address
+    this.claimed = new Set();  // addresses that claimed the faucet
+    this.requests = [];        // { method, path, status, authorized, body }
+    this.failures = [];        // queued { path, status, headers } responses for retry scenarios
+  }
+  
+  /**
+   * Base URL for CONFIG.api.baseUrl
+   * @returns {string} URL
+   */
+  get url() {
+    return `http://127.0.0.1:${this.port}`;
+  }
+  
+  /**
+   * Makes the next request to a path fail with the given status
+   * Call repeatedly to queue several failures
+   * @param {string} path - Request path, e.g. '/auth'
+   * @param {number} status - HTTP status to return
+   * @param {Object} headers - Extra response headers, e.g. { 'Retry-After': '1' }
+   */
+  failNext(path, status = 500, headers = {}) {
+    this.failures.push({ path, status, headers });
+  }
+  
+  /**
+   * Invalidates every issued token, as if sessions expired server-side
+   */
+  revokeTokens() {
+    this.tokens.clear();
+  }
+  
+  /**
+   * Requests received for a path
+   * @param {string} path - Request path
+   * @returns {Object[]} Recorded requests
+   */
+  requestsTo(path) {
+    return this.requests.filter(request => request.path === path);
+  }
+  
+  /**
+   * Starts listening
+   * @returns {Promise<MockProtocolApi>} This server
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise(resolve => this.server.listen(this.port, '127.0.0.1', resolve));
+    this.port = this.server.address().port;
+    return this;
+  }
+  
+  /**
+   * Handles one request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handle(req, res) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    
+    let body = {};
+    try {
+      body = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString()) : {};
+    } catch {
+      body = null;
+    }
+    
+    const bearer = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const record = { method: req.method, path: req.url, status: 0, authorized: this.verifyToken(bearer), body };
+    this.requests.push(record);
+    
+    const reply = (status, payload, headers = {}) => {
+      record.status = status;
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(payload));
+    };
+    
+    const failure = this.failures.findIndex(entry => entry.path === req.url);
+    if (failure !== -1) {
+      const [{ status, headers }] = this.failures.splice(failure, 1);
+      return reply(status, { error: 'Injected failure' }, headers);
+    }
+    
+    const route = MockProtocolApi.ROUTES[`${req.method} ${req.url}`];
+    if (!route) {
+      return reply(404, { error: 'Not found' });
+    }
+    if (!body) {
+      return reply(400, { error: 'Invalid JSON' });
+    }
+    
+    try {
+      const [status, payload] = await this[route](body, record.authorized);
+      return reply(status, payload);
+    } catch (error) {
+      return reply(500, { error: error.message });
+    }
+  }
+  
+  /**
+   * Issues an HS256 JWT for an address, valid for tokenTtl seconds
+   * @param {string} address - Authenticated address
+   * @returns {string} Token
+   */
+  issueToken(address) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ sub: address, exp: Math.floor(Date.now() / 1000) + this.tokenTtl })}`;
+    const token = `${unsigned}.${crypto.createHmac('sha256', this.secret).update(unsigned).digest('base64url')}`;
+    this.tokens.set(token, address);
+    return token;
+  }
+  
+  /**
+   * Resolves a bearer token to its address
+   * @param {string} token - Bearer token
+   * @returns {string|null} Address, null when the token is unknown, revoked or expired
+   */
+  verifyToken(token) {
+    const address = this.tokens.get(token);
+    if (!address) return null;
+    
+    const { exp } = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+    return exp * 1000 > Date.now() ? address : null;
+  }
+  
+  /**
+   * GET /auth/nonce - issues a single-use SIWE nonce
+   * @returns {Promise<Array>} [status, payload]
+   */
+  async nonce() {
+    const nonce = crypto.randomBytes(12).toString('hex');
+    this.nonces.add(nonce);
+    return [200, { nonce }];
+  }
+  
+  /**
+   * Checks an EIP-4361 message against this server's domain, chain and issued nonces
+   * @param {string} message - Signed SIWE message
+   * @returns {string|null} Problem description, null when valid
+   */
+  checkSiweMessage(message) {
+    const lines = message.split('\n');
+    const field = name => (lines.find(line => line.startsWith(`${name}: `)) || '').slice(name.length + 2);
+    
+    if (lines[0] !== `127.0.0.1:${this.port} wants you to sign in with your Ethereum account:`) return 'Wrong domain';
+    if (this.chainId !== null && Number(field('Chain ID')) !== this.chainId) return 'Wrong chain id';
+    if (!this.nonces.delete(field('Nonce'))) return 'Unknown or reused nonce';
+    if (field('Expiration Time') && Date.parse(field('Expiration Time')) <= Date.now()) return 'Message expired';
+    return null;
+  }
+  
+  /**
+   * POST /auth - verifies the signed auth or SIWE message and issues a token
+   * @param {Object} body - { address, signature } or { message, signature }
+   * @returns {Promise<Array>} [status, payload]
+   */
+  async auth({ address, signature, message }) {
+    const siwe = typeof message === 'string';
+    if (siwe) {
+      address = message.split('\n')[1];
+    }
+    if (!ethers.isAddress(address) || typeof signature !== 'string') {
+      return [400, { error: 'address and signature required' }];
+    }
+    
+    if (siwe) {
+      const problem = this.checkSiweMessage(message);
+      if (problem) return [401, { error: problem }];
+    }
+    
+    let signer;
+    try {
+      signer = ethers.verifyMessage(siwe ? message : this.authMessage, signature);
+    } catch {
+      return [401, { error: 'Malformed signature' }];
+    }
+    if (signer.toLowerCase() !== address.toLowerCase()) {
+      return [401, { error: 'Signature does not match address' }];
+    }
+    
+    return [200, { token: this.issueToken(ethers.getAddress(address)) }];
+  }
+  
+  /**
+   * POST /faucet - pays out once per authenticated address
+   * @param {Object} body - { address }
+   * @param {string|null} authorized - Address the bearer token was issued to
+   * @returns {Promise<Array>} [status, payload]
+   */
+  async faucet({ address }, authorized) {
+    if (!authorized) {
+      return [401, { error: 'Missing or unknown bearer token' }];
+    }
+    if (!ethers.isAddress(address) || ethers.getAddress(address) !== authorized) {
+      return [403, { error: 'Token was issued to another address' }];
+    }
+    if (this.claimed.has(authorized)) {
+      return [200, { success: false, message: 'Already claimed' }];
+    }
+    
+    this.claimed.add(authorized);
+    const txHash = await this.onFaucet(authorized);
+    return [200, { success: true, txHash }];
+  }
+  
+  /**
+   * Stops listening
+   */
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
+
+// 'METHOD path' -> handler method
+MockProtocolApi.ROUTES = {
+  'GET /auth/nonce': 'nonce',
+  'POST /auth': 'auth',
+  'POST /faucet': 'faucet'
+};
+
+module.exports = { MockProtocolApi };
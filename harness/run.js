@@ -0,0 +1,937 @@
+/**
+ * Offline integration harness
+ * Runs the framework end-to-end against an in-process devnet (harness/devnet.js) and a local
+ * mock of the auth/faucet API (harness/mock-api.js), then checks the results on chain and on
+ * the API side. Nothing leaves 127.0.0.1 - API clients are routed through a guard that rejects
+ * any other host.
+ *
+ * Requires ganache and solc next to the framework's own dependencies:
+ *   npm install --no-save ganache solc
+ *   node harness/run.js [--port <rpc port>] [scenario ...]
+ *
+ * Exits with status 1 when any check fails.
+ */
+
+// @ts-nocheck
+const { ethers } = require('ethers');
+const axios = require('axios');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const bot = require('../defi-bot-framework.js');
+const { Devnet } = require('./devnet');
+const { MockProtocolApi } = require('./mock-api');
+
+const {
+  CONFIG, PARAMS, BaseAPIClient, BaseTransactionHandler, SessionStore, RpcPool, FailoverProvider, RateLimiter, CircuitBreaker, InteractionTracker, ProxyManager, Preflight,
+  StepScheduler, ConfigLoader, NetworkProfiles, AccountManager, CliUsageError, TransactionJournal, Notifier, stepRegistry, scheduler,
+  redactor, logger, colors
+} = bot;
+
+// Default devnet RPC port, --port overrides it (the mock API picks a free port)
+const RPC_PORT = 8545;
+
+/**
+ * Collects check results for a scenario
+ */
+class Checks {
+  constructor() {
+    this.failures = [];
+    this.passed = 0;
+  }
+  
+  /**
+   * Records one check
+   * @param {boolean} condition - Whether the check passed
+   * @param {string} message - What was checked
+   */
+  expect(condition, message) {
+    if (condition) {
+      this.passed++;
+      console.log(`   ${colors.green}✔ ${message}${colors.reset}`);
+    } else {
+      this.failures.push(message);
+      console.log(`   ${colors.red}✘ ${message}${colors.reset}`);
+    }
+  }
+}
+
+/**
+ * HTTP client that only allows requests to the local mock API
+ * @param {Object} config - axios request config
+ * @returns {Promise<Object>} axios response
+ */
+function offlineHttpClient(config) {
+  const { hostname } = new URL(config.url);
+  if (hostname !== '127.0.0.1' && hostname !== 'localhost') {
+    return Promise.reject(new Error(`Harness blocked a request to ${hostname}`));
+  }
+  return axios(config);
+}
+
+/**
+ * Points CONFIG and PARAMS at the devnet and mock API with fast, deterministic settings
+ * @param {Devnet} devnet - Running devnet
+ * @param {MockProtocolApi} api - Running mock API
+ */
+async function configure(devnet, api) {
+  CONFIG.network = { name: 'Devnet', chainId: devnet.chainId, rpcUrl: devnet.url, rpcUrls: [] };
+  Object.assign(CONFIG.contract, await devnet.getAddresses());
+  CONFIG.api.baseUrl = api.url;
+  CONFIG.auth.sessionFile = ''; // Scenarios that need the session cache enable it themselves
+  CONFIG.staking.FARM.pendingRewardMethod = 'pendingCake';
+  CONFIG.staking.FARM.rewardToken = await devnet.contracts.reward.getAddress();
+  
+  CONFIG.timing.betweenInteractions = [0, 0];
+  CONFIG.timing.betweenWallets = [0, 0];
+  CONFIG.timing.receiptPollInterval = 100;
+  CONFIG.display.clearBetweenSteps = false;
+  CONFIG.journal.enabled = false; // journalResume enables the journal and reports in a temporary directory
+  CONFIG.reports.enabled = false;
+  CONFIG.execution.dryRun = false;
+  
+  Object.assign(PARAMS, {
+    TRANSFER_AMOUNT: '0.001',
+    TOKEN_TRANSFER_AMOUNT: '1',
+    SWAP_AMOUNT: '0.01',
+    SWAP_TOKEN_AMOUNT: '5',
+    WRAP_AMOUNT: '0.01',
+    UNWRAP_AMOUNT: '0.005',
+    LIQUIDITY_AMOUNT: '0.01',
+    STAKE_AMOUNT: '10',
+    TRANSFER_COUNT: 2,
+    TOKEN_TRANSFER_COUNT: 1,
+    SWAP_COUNT: 2,
+    WRAP_COUNT: 1,
+    UNWRAP_COUNT: 1,
+    LIQUIDITY_COUNT: 1,
+    REMOVE_LIQUIDITY_COUNT: 1,
+    STAKE_COUNT: 2,
+    UNSTAKE_COUNT: 1,
+    RETRY_DELAY_BASE: 10
+  });
+  
+  BaseAPIClient.httpClient = offlineHttpClient;
+}
+
+/**
+ * Runs the configured flow for every devnet wallet through runNetwork()
+ * @param {Devnet} devnet - Running devnet
+ * @returns {Promise<InteractionTracker>} Tracker with the recorded results
+ */
+async function runFlow(devnet) {
+  const stats = new InteractionTracker();
+  stats.setNetwork(CONFIG.network.name, CONFIG.network.chainId, CONFIG.flow);
+  const targets = [ethers.Wallet.createRandom().address];
+  await bot.runNetwork(devnet.walletKeys, targets, new ProxyManager([]), stats, null);
+  return stats;
+}
+
+/**
+ * Creates an API client for the first devnet wallet, outside of any step
+ * @param {Devnet} devnet - Running devnet
+ * @returns {BaseAPIClient} Client
+ */
+function createApiClient(devnet) {
+  return new BaseAPIClient(new ethers.Wallet(devnet.walletKeys[0], devnet.provider), logger);
+}
+
+/**
+ * Runs a task with CONFIG.api overrides and fresh rate limiters and breakers, restoring both afterwards
+ * @param {Object} overrides - CONFIG.api values
+ * @param {Function} task - async () => void
+ */
+async function withApiPolicy(overrides, task) {
+  const saved = { ...CONFIG.api };
+  Object.assign(CONFIG.api, overrides);
+  RateLimiter.hosts.clear();
+  CircuitBreaker.hosts.clear();
+  
+  try {
+    await task();
+  } finally {
+    Object.assign(CONFIG.api, saved);
+    RateLimiter.hosts.clear();
+    CircuitBreaker.hosts.clear();
+  }
+}
+
+/**
+ * Starts a local HTTP server that records every JSON request, standing in for chat and webhook services
+ * Requests to /down are answered with a 500
+ * @returns {Promise<{url: string, received: Object[], close: Function}>} Sink
+ */
+async function startNotificationSink() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, body: JSON.parse(body) });
+      res.writeHead(req.url === '/down' ? 500 : 200, { 'content-type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    received,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Starts a JSON-RPC endpoint that forwards to the devnet and can misbehave on demand
+ * Set status to answer every request with that HTTP status, or answer(call, result) to rewrite responses
+ * @param {string} upstream - Devnet RPC URL
+ * @returns {Promise<{url: string, status: number, answer: Function, close: Function}>} Stub
+ */
+async function startRpcStub(upstream) {
+  const stub = { status: 200, answer: (call, result) => result };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const reply = (status, json) => {
+        res.writeHead(status, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(json));
+      };
+      if (stub.status !== 200) return reply(stub.status, { error: 'stub failure' });
+      
+      const payload = JSON.parse(body);
+      const calls = Array.isArray(payload) ? payload : [payload];
+      const { data } = await axios.post(upstream, payload);
+      const results = (Array.isArray(data) ? data : [data]).map(result => stub.answer(calls.find(call => call.id === result.id), result));
+      reply(200, Array.isArray(payload) ? results : results[0]);
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  stub.close = () => new Promise(resolve => server.close(resolve));
+  return stub;
+}
+
+/**
+ * Runs CONFIG.flow in harness/journal-worker.js, which crashes itself once a transaction reaches the given status
+ * @param {string} dir - Directory for the settings file
+ * @param {Object} options - { privateKey, targets, crashOn ('submitted' or 'confirmed') }
+ * @returns {Promise<{code: number|null, signal: string|null}>} How the worker exited
+ */
+function runCrashingWorker(dir, { privateKey, targets = [], crashOn }) {
+  const settingsFile = path.join(dir, 'settings.json');
+  fs.writeFileSync(settingsFile, JSON.stringify({ config: CONFIG, params: PARAMS, privateKey, targets, crashOn }));
+  
+  return new Promise((resolve, reject) => {
+    const worker = spawn(process.execPath, [path.join(__dirname, 'journal-worker.js'), settingsFile], { stdio: 'inherit' });
+    const timer = setTimeout(() => worker.kill('SIGKILL'), 120000);
+    worker.on('error', reject);
+    worker.on('exit', (code, signal) => {
+      clearTimeout(timer);
+      resolve({ code, signal });
+    });
+  });
+}
+
+/**
+ * Registers the harness-only steps
+ * The built-in stake step targets STAKING, so harvest needs a FARM deposit and a few blocks to accrue rewards.
+ * drip claims the on-chain faucet, which the schedule scenario gates on its cooldown.
+ * @param {Devnet} devnet - Running devnet
+ */
+function registerHarnessSteps(devnet) {
+  stepRegistry
+    .register({
+      id: 'farmDeposit',
+      name: 'Farm Deposit',
+      emoji: '🚜',
+      trackerKey: 'farmDeposits',
+      budget: () => ({ gasLimit: 200000n }),
+      contracts: ['FARM'],
+      handler: (ctx, index) => ctx.txHandler.stake(index, 'FARM')
+    })
+    .register({
+      id: 'mineBlocks',
+      name: 'Mine Blocks',
+      emoji: '⛏️',
+      trackerKey: 'mined',
+      handler: async () => {
+        await devnet.mine(5);
+        return true;
+      }
+    })
+    .register({
+      id: 'drip',
+      name: 'Drip Claims',
+      emoji: '💧',
+      trackerKey: 'drips',
+      budget: () => ({ gasLimit: 150000n }),
+      contracts: ['DRIP'],
+      handler: async ctx => {
+        // Sent through the handler so the claim uses the wallet's reserved nonces
+        const { drip } = devnet.contracts;
+        await ctx.txHandler.sendTransaction({ to: await drip.getAddress(), data: drip.interface.encodeFunctionData('claim') });
+        return true;
+      }
+    });
+}
+
+/**
+ * Scenarios, run in order against the same devnet and API
+ * Each gets { devnet, api, checks } and records its expectations on checks
+ */
+const SCENARIOS = {
+  async preflight({ devnet, checks }) {
+    CONFIG.flow = ['auth', 'faucet', 'transfers', 'swaps', 'wrap', 'addLiquidity', 'stake'];
+    const preflight = new Preflight(logger);
+    const passed = await preflight.run(devnet.walletKeys);
+    preflight.displayReport();
+    
+    checks.expect(passed, 'preflight passes against the devnet');
+    checks.expect(preflight.checks.every(check => check.status !== 'fail'), 'no preflight check failed');
+  },
+  
+  async fullFlow({ devnet, api, checks }) {
+    CONFIG.flow = ['auth', 'faucet', 'transfers', 'tokenTransfers', 'swaps', 'wrap', 'unwrap',
+      'addLiquidity', 'removeLiquidity', 'stake', 'unstake', 'farmDeposit', 'mineBlocks', 'harvest'];
+    const stats = await runFlow(devnet);
+    stats.displayResults();
+    
+    const addresses = devnet.walletKeys.map(key => new ethers.Wallet(key).address);
+    checks.expect(stats.walletsProcessed === addresses.length, `all ${addresses.length} wallets processed`);
+    
+    for (const wallet of stats.walletResults) {
+      const label = `${wallet.address.slice(0, 8)}...`;
+      for (const stepId of CONFIG.flow) {
+        const result = wallet.steps[stepId];
+        checks.expect(result && !result.skipped && result.completed === result.total,
+          `${label} ${stepId} completed ${result ? `${result.completed}/${result.total}` : 'missing'}`);
+      }
+    }
+    
+    for (const address of addresses) {
+      const auths = api.requestsTo('/auth').filter(request => request.body.address === address && request.status === 200);
+      checks.expect(auths.length === 1, `${address.slice(0, 8)}... authenticated once`);
+      checks.expect(api.claimed.has(address), `${address.slice(0, 8)}... claimed the faucet with its token`);
+      checks.expect(await devnet.contracts.reward.balanceOf(address) > 0n, `${address.slice(0, 8)}... harvested farm rewards`);
+      checks.expect(await devnet.contracts.token.allowance(address, CONFIG.contract.ROUTER) === 0n,
+        `${address.slice(0, 8)}... router allowance revoked`);
+    }
+  },
+  
+  async faucetRepeat({ devnet, api, checks }) {
+    CONFIG.flow = ['auth', 'faucet'];
+    const stats = await runFlow(devnet);
+    
+    checks.expect(stats.walletResults.every(wallet => wallet.steps.auth.completed === 1), 'wallets re-authenticate');
+    checks.expect(stats.walletResults.every(wallet => wallet.steps.faucet.completed === 0), 'second faucet claim is refused');
+    checks.expect(api.requestsTo('/faucet').every(request => request.authorized), 'every faucet request carried a valid token');
+  },
+  
+  async apiRetry({ devnet, api, checks }) {
+    CONFIG.flow = ['auth'];
+    const before = api.requestsTo('/auth').length;
+    api.failNext('/auth', 503);
+    const stats = await runFlow(devnet);
+    
+    checks.expect(stats.walletResults.every(wallet => wallet.steps.auth.completed === 1), 'auth succeeds after a 503');
+    checks.expect(api.requestsTo('/auth').length === before + devnet.walletKeys.length + 1, 'the failed request was retried once');
+  },
+  
+  async apiPolicy({ devnet, api, checks }) {
+    const client = createApiClient(devnet);
+    
+    // Client errors are final
+    let requests = api.requests.length;
+    api.failNext('/auth', 400);
+    checks.expect(!(await client.authenticate()), 'auth fails on a 400');
+    checks.expect(api.requests.length === requests + 1, 'a 400 is not retried');
+    
+    // Retry-After overrides the backoff
+    api.failNext('/auth', 429, { 'Retry-After': '1' });
+    let started = Date.now();
+    checks.expect(await client.authenticate(), 'auth succeeds after a 429');
+    checks.expect(Date.now() - started >= 1000, 'Retry-After delay honoured');
+    
+    // An expired token triggers one re-authentication
+    api.revokeTokens();
+    requests = api.requestsTo('/auth').length;
+    const response = await client.makeRequest('POST', CONFIG.api.faucetEndpoint, { address: client.wallet.address });
+    checks.expect(response.status === 200, 'request succeeds after the token is rejected');
+    checks.expect(api.requestsTo('/auth').length === requests + 1, 'a 401 re-authenticates once');
+    
+    // Exhausted retries do not leak into later requests on the same client
+    await withApiPolicy({ breakerThreshold: 10 }, async () => {
+      for (let i = 0; i <= PARAMS.MAX_RETRIES; i++) api.failNext('/auth', 503);
+      checks.expect(!(await client.authenticate()), `auth fails after ${PARAMS.MAX_RETRIES} retries`);
+      api.failNext('/auth', 503);
+      checks.expect(await client.authenticate(), 'retries are counted per request, not per client');
+    });
+    
+    // The shared token bucket spaces requests out
+    await withApiPolicy({ rateLimit: 4, rateLimitBurst: 1 }, async () => {
+      started = Date.now();
+      await Promise.all(devnet.walletKeys.map(key =>
+        new BaseAPIClient(new ethers.Wallet(key), logger).authenticate()));
+      checks.expect(Date.now() - started >= 450, `${devnet.walletKeys.length} clients share one 4 req/s bucket`);
+    });
+    
+    // The breaker opens on an outage, rejects without sending, then closes after a successful trial
+    await withApiPolicy({ breakerThreshold: 2, breakerCooldown: 1000 }, async () => {
+      for (let i = 0; i < 2; i++) api.failNext('/auth', 503);
+      checks.expect(!(await client.authenticate()), 'auth fails while the API is down');
+      
+      requests = api.requests.length;
+      checks.expect(!(await client.authenticate()), 'open breaker rejects requests');
+      checks.expect(api.requests.length === requests, 'open breaker sends nothing');
+      
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      checks.expect(await client.authenticate(), 'trial request after the cooldown succeeds');
+      checks.expect(CircuitBreaker.forHost(new URL(api.url).host).state === 'closed', 'breaker closed again');
+    });
+  },
+  
+  async siweSession({ devnet, api, checks }) {
+    const saved = { ...CONFIG.auth };
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'harness-sessions-'));
+    Object.assign(CONFIG.auth, { mode: 'siwe', sessionFile: path.join(dir, 'sessions.json') });
+    
+    try {
+      const client = createApiClient(devnet);
+      const nonces = api.requestsTo(CONFIG.auth.nonceEndpoint).length;
+      checks.expect(await client.authenticate(), 'SIWE sign-in succeeds');
+      checks.expect(api.requestsTo(CONFIG.auth.nonceEndpoint).length === nonces + 1, 'a fresh nonce was fetched');
+      
+      const [message] = api.requestsTo('/auth').slice(-1).map(request => request.body.message);
+      checks.expect(/^Chain ID: \d+$/m.test(message) && message.includes(`Nonce: `), 'message carries chain id and nonce');
+      checks.expect(Math.abs(client.tokenExpiresAt - (Date.now() + api.tokenTtl * 1000)) < 5000, 'session expiry read from the JWT');
+      
+      const sessions = JSON.parse(fs.readFileSync(CONFIG.auth.sessionFile, 'utf8'));
+      checks.expect(sessions[client.getSessionKey()].token === client.authToken, 'session saved to disk');
+      checks.expect((fs.statSync(CONFIG.auth.sessionFile).mode & 0o077) === 0, 'session file is owner-only');
+      
+      // A restarted bot reads the file again and skips the login
+      SessionStore.stores.clear();
+      const logins = api.requestsTo('/auth').length;
+      const restarted = createApiClient(devnet);
+      checks.expect(await restarted.authenticate() && restarted.authToken === client.authToken, 'session restored after a restart');
+      checks.expect(api.requestsTo('/auth').length === logins, 'no login request for a restored session');
+      
+      // Sessions inside the refresh margin are renewed before they are used
+      CONFIG.auth.refreshMargin = api.tokenTtl;
+      const response = await restarted.makeRequest('POST', CONFIG.api.faucetEndpoint, { address: restarted.wallet.address });
+      checks.expect(response.status === 200 && api.requestsTo('/auth').length === logins + 1, 'expiring session renewed proactively');
+      
+      // Replayed nonces are refused
+      const replay = api.requestsTo('/auth').slice(-1)[0].body;
+      const status = await axios.post(`${api.url}/auth`, replay, { validateStatus: () => true }).then(res => res.status);
+      checks.expect(status === 401, 'replayed SIWE message rejected');
+    } finally {
+      Object.assign(CONFIG.auth, saved);
+      SessionStore.stores.clear();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  },
+  
+  async reverts({ devnet, checks }) {
+    // A fixed gas limit skips estimation, so the overdrawn transfer is mined and reverts on-chain
+    const txHandler = new BaseTransactionHandler(new ethers.Wallet(devnet.walletKeys[0], devnet.provider), logger);
+    const { token } = devnet.contracts;
+    const request = {
+      to: await token.getAddress(),
+      data: token.interface.encodeFunctionData('transfer', [ethers.Wallet.createRandom().address, ethers.MaxUint256]),
+      gasLimit: 100000n
+    };
+    
+    const block = await devnet.getBlockNumber();
+    const error = await txHandler.retryableInteraction('Overdrawn transfer', () => txHandler.sendTransaction(request)).then(() => null, error => error);
+    checks.expect(error && error.retryable === false, 'on-chain revert is not retryable');
+    checks.expect(await devnet.getBlockNumber() === block + 1, 'reverting transaction sent once');
+    
+    const [tx] = txHandler.drainTransactions();
+    checks.expect(tx && tx.fee > 0n, 'fee of the reverted transaction recorded');
+  },
+  
+  async nonceTaken({ devnet, checks }) {
+    // Track a transaction that never reaches the node, then use its nonce from outside the handler
+    const wallet = new ethers.Wallet(devnet.walletKeys[0], devnet.provider);
+    const txHandler = new BaseTransactionHandler(wallet, logger);
+    const nonce = await devnet.provider.getTransactionCount(wallet.address, 'latest');
+    const request = { to: wallet.address, value: 0n, gasLimit: 21000n };
+    const { maxFeePerGas, maxPriorityFeePerGas } = await devnet.provider.getFeeData();
+    txHandler.nonceManager.track(nonce, request, { hash: ethers.hexlify(ethers.randomBytes(32)), maxFeePerGas, maxPriorityFeePerGas });
+    await (await wallet.sendTransaction({ to: ethers.Wallet.createRandom().address, value: 1n, nonce })).wait();
+    
+    // Ganache mines a resend under a used nonce instead of refusing it, so stand in for the node's nonce-too-low
+    // refusal, which makes replaceTransaction() return without sending
+    txHandler.replaceTransaction = async () => {};
+    
+    const saved = { txTimeout: CONFIG.timing.txTimeout, maxReplacements: PARAMS.MAX_REPLACEMENTS };
+    CONFIG.timing.txTimeout = 300;
+    PARAMS.MAX_REPLACEMENTS = 0;
+    
+    try {
+      const error = await txHandler.waitForNonce(nonce).then(() => null, error => error);
+      checks.expect(error && error.message.includes('dropped'), 'nonce used by another transaction reported as dropped');
+      checks.expect(!txHandler.nonceManager.pending.has(nonce), 'dropped nonce no longer tracked');
+    } finally {
+      CONFIG.timing.txTimeout = saved.txTimeout;
+      PARAMS.MAX_REPLACEMENTS = saved.maxReplacements;
+    }
+  },
+  
+  async schedule({ devnet, checks }) {
+    // Cron matching is local time, like crontab
+    const base = new Date(2026, 0, 1, 10, 7).getTime(); // Thursday
+    checks.expect(StepScheduler.nextCronTime('*/15 * * * *', base) === new Date(2026, 0, 1, 10, 15).getTime(), 'cron */15 matches the next quarter hour');
+    checks.expect(StepScheduler.nextCronTime('0 9 * * 1', base) === new Date(2026, 0, 5, 9, 0).getTime(), 'cron weekday matches next Monday 09:00');
+    checks.expect((() => { try { StepScheduler.checkCadence({ cron: '61 * * * *' }); } catch { return true; } })(), 'out-of-range cron rejected');
+    
+    const saved = { flow: CONFIG.flow, steps: CONFIG.schedule.steps, cycleInterval: CONFIG.timing.cycleInterval };
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'harness-schedule-'));
+    const file = path.join(dir, 'schedule.json');
+    CONFIG.contract.DRIP = await devnet.contracts.drip.getAddress();
+    CONFIG.flow = ['transfers', 'drip', 'wrap'];
+    CONFIG.timing.cycleInterval = 0; // wrap has no entry, so it is due on every run
+    CONFIG.schedule.steps = {
+      transfers: { every: '24h' },
+      drip: { cooldown: { contract: 'DRIP', method: 'nextClaimTime', returns: 'timestamp' } }
+    };
+    
+    const completed = (stats, stepId) => stats.walletResults.every(wallet => wallet.steps[stepId].completed === wallet.steps[stepId].total);
+    const skipped = (stats, stepId, reason) => stats.walletResults.every(wallet => (wallet.steps[stepId].skipped || '').startsWith(reason));
+    
+    try {
+      scheduler.load(file);
+      let stats = await runFlow(devnet);
+      checks.expect(['transfers', 'drip', 'wrap'].every(stepId => completed(stats, stepId)), 'first run executes every step');
+      
+      const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const address = new ethers.Wallet(devnet.walletKeys[0]).address;
+      checks.expect(state[`Devnet:${address}:drip`].nextDue > Date.now() + 86000000, 'drip next due read from the contract cooldown');
+      
+      // A restarted bot reads the run times back
+      scheduler.load(file);
+      stats = await runFlow(devnet);
+      checks.expect(skipped(stats, 'transfers', 'Not due'), 'interval step skipped until 24h have passed');
+      checks.expect(skipped(stats, 'drip', 'Not due'), 'cooldown step skipped until the cooldown ends');
+      checks.expect(completed(stats, 'wrap'), 'step without a schedule entry still runs');
+      
+      // Without a persisted run time the cooldown is read live
+      scheduler.load(null);
+      CONFIG.flow = ['drip'];
+      stats = await runFlow(devnet);
+      checks.expect(skipped(stats, 'drip', 'On-chain cooldown ends'), 'live on-chain cooldown skips the claim');
+      
+      // Wallets with nothing due are not processed at all
+      stats = await runFlow(devnet);
+      checks.expect(stats.walletsProcessed === 0, 'wallets with nothing due are skipped');
+      checks.expect(scheduler.getNextWork([address]).steps.get('drip') === 1, 'next work names the due step');
+    } finally {
+      Object.assign(CONFIG.schedule, { steps: saved.steps });
+      CONFIG.flow = saved.flow;
+      CONFIG.timing.cycleInterval = saved.cycleInterval;
+      scheduler.active = false;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  },
+  
+  async cli({ devnet, checks }) {
+    const options = bot.parseCliArgs(['once', '-w', '0,2', '--steps=auth,faucet', '--set', 'SWAP_COUNT=3', '--set', 'timing.cycleInterval=5', '--dry-run']);
+    checks.expect(options.command === 'once' && options.wallets === '0,2', 'command and wallet selector parsed');
+    checks.expect(JSON.stringify(options.overrides) === JSON.stringify({ flow: 'auth,faucet', SWAP_COUNT: '3', 'timing.cycleInterval': '5', 'execution.dryRun': true }),
+      '--steps, --set and --dry-run become config overrides');
+    
+    const throwsUsage = task => {
+      try {
+        task();
+        return false;
+      } catch (error) {
+        return error instanceof CliUsageError;
+      }
+    };
+    checks.expect(throwsUsage(() => bot.parseCliArgs(['run', '--bogus'])), 'unknown option rejected');
+    checks.expect(throwsUsage(() => bot.parseCliArgs(['run', '--set', 'novalue'])), '--set without = rejected');
+    
+    // Selection by index, range and address, kept in load order
+    const accounts = devnet.keys.map((key, index) => ({ address: new ethers.Wallet(key).address, index }));
+    const selected = AccountManager.select(accounts, `3,0-1,${accounts[2].address.toLowerCase()}`);
+    checks.expect(selected.map(account => account.index).join() === '0,1,2,3', 'wallets selected by index, range and address');
+    checks.expect(throwsUsage(() => AccountManager.select(accounts, '9')), 'out-of-range wallet index rejected');
+    
+    const saved = { flow: CONFIG.flow, accounts: { ...CONFIG.accounts }, networks: CONFIG.networks, swapCount: PARAMS.SWAP_COUNT };
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'harness-cli-'));
+    const keysFile = path.join(dir, 'privatekeys.txt');
+    fs.writeFileSync(keysFile, devnet.walletKeys.join('\n'));
+    
+    const output = [];
+    const consoleLog = console.log;
+    try {
+      // Overrides apply after the config files and win over network profiles
+      ConfigLoader.overrides = { flow: 'transfers,wrap', SWAP_COUNT: '3' };
+      checks.expect(ConfigLoader.load([]).problems.length === 0, 'overrides apply cleanly');
+      checks.expect(CONFIG.flow.join() === 'transfers,wrap' && PARAMS.SWAP_COUNT === 3, 'overrides coerced into CONFIG and PARAMS');
+      CONFIG.networks = { other: { flow: ['auth'] } };
+      NetworkProfiles.use('other');
+      checks.expect(CONFIG.flow.join() === 'transfers,wrap', 'override wins over the network profile');
+      NetworkProfiles.restore();
+      
+      // balances is read-only and honours --wallets
+      const block = await devnet.getBlockNumber();
+      console.log = (...args) => output.push(args.join(' '));
+      const code = await bot.runCli(['balances', '--wallets', '1', '--set', `accounts.privateKeysFile=${keysFile}`]);
+      console.log = consoleLog;
+      
+      const addresses = devnet.walletKeys.map(key => new ethers.Wallet(key).address);
+      const rows = output.filter(line => addresses.some(address => line.includes(address)));
+      checks.expect(code === undefined && rows.length === 1 && rows[0].includes(addresses[1]), 'balances printed for the selected wallet only');
+      checks.expect(rows.length === 1 && rows[0].includes('TUSD') && rows[0].includes('FARM'), 'token and staked balances included');
+      checks.expect(await devnet.getBlockNumber() === block, 'balances sent nothing');
+    } finally {
+      console.log = consoleLog;
+      ConfigLoader.overrides = {};
+      CONFIG.flow = saved.flow;
+      CONFIG.networks = saved.networks;
+      Object.assign(CONFIG.accounts, saved.accounts);
+      PARAMS.SWAP_COUNT = saved.swapCount;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  },
+  
+  async dryRun({ devnet, api, checks }) {
+    // Allowances were revoked after the full flow, so the ERC-20 steps only simulate through the approval override
+    CONFIG.flow = ['auth', 'faucet', 'transfers', 'tokenTransfers', 'swaps', 'wrap', 'unwrap',
+      'addLiquidity', 'removeLiquidity', 'stake', 'unstake'];
+    CONFIG.execution.dryRun = true;
+    const requests = api.requests.length;
+    const block = await devnet.getBlockNumber();
+    const address = new ethers.Wallet(devnet.walletKeys[0]).address;
+    checks.expect(await devnet.contracts.token.allowance(address, CONFIG.contract.ROUTER) === 0n, 'no router allowance before the dry run');
+    
+    try {
+      const stats = await runFlow(devnet);
+      checks.expect(stats.walletResults.every(wallet => CONFIG.flow.every(id => wallet.steps[id].completed === wallet.steps[id].total)),
+        'every step simulates successfully');
+      
+      const transactions = stats.walletResults.flatMap(wallet => Object.values(wallet.steps).flatMap(step => step.transactions || []));
+      checks.expect(transactions.length > 0 && transactions.every(tx => tx.simulated && !tx.revertReason && !tx.notSimulated),
+        'approval-dependent calls simulated against the simulated allowance');
+    } finally {
+      CONFIG.execution.dryRun = false;
+    }
+    
+    checks.expect(await devnet.getBlockNumber() === block, 'no transaction was broadcast');
+    checks.expect(await devnet.contracts.token.allowance(address, CONFIG.contract.ROUTER) === 0n, 'simulated approvals left nothing on chain');
+    checks.expect(api.requests.length === requests, 'no API request was sent');
+  },
+  
+  async rpcFailover({ devnet, checks }) {
+    const stub = await startRpcStub(devnet.url);
+    const saved = { ...CONFIG.rpc };
+    CONFIG.rpc.probeInterval = 600000; // Probe only when a pool is created
+    const providers = [];
+    
+    // A pool of the stub and the devnet, the stub made the first choice after the probe
+    const connect = async () => {
+      stub.status = 200;
+      stub.answer = (call, result) => result;
+      const pool = new RpcPool(logger, [stub.url, devnet.url]);
+      await pool.probe();
+      const [stubEndpoint, devnetEndpoint] = pool.endpoints;
+      stubEndpoint.latency = 0;
+      devnetEndpoint.latency = 1;
+      const provider = new FailoverProvider(pool);
+      providers.push(provider);
+      return { pool, provider, stubEndpoint, devnetEndpoint };
+    };
+    
+    try {
+      // Rate limits fail over at once and count against the endpoint
+      let { provider, stubEndpoint, devnetEndpoint } = await connect();
+      checks.expect(stubEndpoint.healthy && devnetEndpoint.healthy, 'both endpoints healthy after the probe');
+      stub.status = 429;
+      const started = Date.now();
+      const block = await provider.getBlockNumber();
+      checks.expect(block === await devnet.getBlockNumber() && Date.now() - started < 2000, 'request fails over from a rate-limited endpoint');
+      checks.expect(stubEndpoint.failures === 1 && !stubEndpoint.healthy && devnetEndpoint.failovers === 1, 'failure and failover counted in the endpoint stats');
+      
+      // Endpoints on another chain are left out
+      stub.status = 200;
+      stub.answer = (call, result) => (call.method === 'eth_chainId' ? { ...result, result: '0x1' } : result);
+      const pool = new RpcPool(logger, [stub.url, devnet.url]);
+      const healthy = await pool.probe();
+      checks.expect(healthy.length === 1 && healthy[0].url === devnet.url && pool.endpoints[0].reason.startsWith('chain 1,'), 'wrong-chain endpoint marked unhealthy');
+      
+      // A revert reported as an internal error is the request's fault and keeps its data
+      ({ provider, stubEndpoint, devnetEndpoint } = await connect());
+      const revertData = ethers.concat(['0x08c379a0', ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['request timeout'])]);
+      stub.answer = (call, result) => (call.method === 'eth_call'
+        ? { jsonrpc: '2.0', id: result.id, error: { code: -32603, message: 'Internal error: execution reverted: request timeout', data: revertData } }
+        : result);
+      const { token } = devnet.contracts;
+      const error = await provider.call({
+        to: await token.getAddress(),
+        data: token.interface.encodeFunctionData('transfer', [ethers.Wallet.createRandom().address, ethers.MaxUint256])
+      }).then(() => null, error => error);
+      checks.expect(error && error.code === 'CALL_EXCEPTION' && error.reason === 'request timeout', 'revert surfaced with its reason');
+      checks.expect(stubEndpoint.failures === 0 && stubEndpoint.healthy && devnetEndpoint.failovers === 0, 'revert not failed over');
+      
+      // Balance reads need a quorum of endpoints to agree
+      ({ provider } = await connect());
+      CONFIG.rpc.quorum = 2;
+      const address = new ethers.Wallet(devnet.walletKeys[1]).address;
+      const balance = await devnet.provider.getBalance(address);
+      checks.expect(await provider.getQuorumBalance(address) === balance, 'quorum balance read from both endpoints');
+      stub.answer = (call, result) => (call.method === 'eth_getBalance' ? { ...result, result: ethers.toQuantity(BigInt(result.result) + 1n) } : result);
+      const quorumError = await provider.getQuorumBalance(address).then(() => null, error => error);
+      checks.expect(quorumError && quorumError.message.includes('quorum not reached'), 'disagreeing endpoints fail the quorum');
+      CONFIG.rpc.quorum = saved.quorum;
+      
+      // A broadcast the endpoint already has counts as sent
+      ({ provider, devnetEndpoint } = await connect());
+      stub.answer = (call, result) => (call.method === 'eth_sendRawTransaction'
+        ? { jsonrpc: '2.0', id: result.id, error: { code: -32000, message: 'already known' } }
+        : result);
+      const tx = await new ethers.Wallet(devnet.walletKeys[1], provider).sendTransaction({ to: ethers.Wallet.createRandom().address, value: 1n });
+      checks.expect(await devnet.provider.getTransactionReceipt(tx.hash) !== null && devnetEndpoint.failovers === 0, '"already known" resolved to the transaction hash');
+    } finally {
+      Object.assign(CONFIG.rpc, saved);
+      providers.forEach(provider => provider.destroy());
+      await stub.close();
+    }
+  },
+  
+  async notifications({ checks }) {
+    const sink = await startNotificationSink();
+    const saved = { ...CONFIG.notifications };
+    Object.assign(CONFIG.notifications, {
+      enabled: true,
+      throttleSeconds: 60,
+      channels: [
+        { type: 'discord', url: `${sink.url}/discord`, events: ['critical'] },
+        { type: 'slack', url: `${sink.url}/slack`, events: ['cycle'] },
+        { type: 'telegram', url: `${sink.url}/telegram`, chatId: '42' },
+        { type: 'webhook', url: `${sink.url}/webhook`, events: ['lowBalance'] },
+        { type: 'webhook', url: `${sink.url}/down`, events: ['critical'] }
+      ]
+    });
+    const received = (...paths) => sink.received.filter(request => paths.includes(request.path)).map(request => request.body);
+    const notifier = new Notifier(logger);
+    
+    try {
+      checks.expect(ConfigLoader.coerce(CONFIG.notifications.channels, { type: 'channels' }).length === 5, 'channels pass the schema');
+      
+      // Routing by event, every channel type in its own payload format
+      await notifier.notify('cycle', 'Cycle completed', '3/3 interactions succeeded', { fees: '0.01 Devnet' });
+      checks.expect(sink.received.map(request => request.path).sort().join() === '/slack,/telegram', 'cycle routed to slack and the all-events channel');
+      const [slack] = received('/slack');
+      checks.expect(slack && slack.text.startsWith('📊 Cycle completed\n3/3') && slack.text.includes('network: Devnet') && slack.text.includes('fees: 0.01 Devnet'),
+        'slack payload is a text message with the fields');
+      const [telegram] = received('/telegram');
+      checks.expect(telegram && telegram.chat_id === '42' && telegram.text === slack.text && telegram.disable_web_page_preview === true,
+        'telegram payload carries the chat id');
+      
+      const secret = ethers.Wallet.createRandom().privateKey;
+      redactor.add(secret);
+      await notifier.notify('critical', 'Bot stopped', `Wallet ${secret} failed`);
+      const [discord] = received('/discord');
+      const embed = discord && discord.embeds[0];
+      checks.expect(embed && embed.title === '🚨 Bot stopped' && embed.color === 0xe74c3c && embed.fields.some(field => field.name === 'network' && field.value === 'Devnet'),
+        'discord payload is an embed with title, color and fields');
+      checks.expect(embed && embed.description === 'Wallet [REDACTED] failed', 'secrets redacted from notifications');
+      checks.expect(received('/down').length === 1 && received('/telegram').length === 2, 'a failing channel does not stop the others');
+      
+      // Throttling per key, suppressed notifications reported with the next one sent
+      const lowBalance = address => notifier.notify('lowBalance', 'Low balance', '0.001 left', { wallet: address }, `lowBalance:${address}`);
+      await lowBalance('0xA');
+      await lowBalance('0xA');
+      await lowBalance('0xA');
+      await lowBalance('0xB');
+      const webhooks = received('/webhook');
+      checks.expect(webhooks.length === 2 && webhooks.map(body => body.fields.wallet).join() === '0xA,0xB', 'repeats throttled per key');
+      checks.expect(webhooks[0].event === 'lowBalance' && webhooks[0].title === 'Low balance' && !Number.isNaN(Date.parse(webhooks[0].timestamp)),
+        'webhook payload is the raw notification');
+      
+      notifier.lastSent.set('lowBalance:0xA', 0); // Throttle window over
+      await lowBalance('0xA');
+      const [resent] = received('/webhook').slice(2);
+      checks.expect(resent && resent.message === '0.001 left\n(+2 similar suppressed)', 'suppressed count sent after the window');
+    } finally {
+      Object.assign(CONFIG.notifications, saved);
+      await sink.close();
+    }
+  },
+  
+  async journalResume({ devnet, checks }) {
+    // The worker runs addLiquidity and is killed right after its approval is submitted
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'harness-journal-'));
+    const journalFile = path.join(dir, 'transactions.jsonl');
+    const reportsDir = path.join(dir, 'reports');
+    const keysFile = path.join(dir, 'privatekeys.txt');
+    const wallet = new ethers.Wallet(devnet.walletKeys[0], devnet.provider);
+    fs.writeFileSync(keysFile, wallet.privateKey);
+    
+    const saved = {
+      flow: CONFIG.flow, journal: { ...CONFIG.journal }, reports: { ...CONFIG.reports },
+      schedule: CONFIG.schedule.file, accounts: { ...CONFIG.accounts }, transferCount: PARAMS.TRANSFER_COUNT
+    };
+    CONFIG.flow = ['addLiquidity'];
+    CONFIG.journal.file = journalFile;
+    
+    const { token, weth, factory } = devnet.contracts;
+    const pair = new ethers.Contract(await factory.getPair(await token.getAddress(), await weth.getAddress()), bot.ERC20_ABI, devnet.provider);
+    await devnet.mintToken(wallet.address, '1000');
+    const nonce = await devnet.provider.getTransactionCount(wallet.address, 'latest');
+    const lpBefore = await pair.balanceOf(wallet.address);
+    
+    try {
+      const exit = await runCrashingWorker(dir, { privateKey: wallet.privateKey, crashOn: 'submitted' });
+      checks.expect(exit.signal === 'SIGKILL', 'worker killed mid-step');
+      
+      const crashed = new TransactionJournal(journalFile).load();
+      const [approval] = [...crashed.transactions.values()];
+      checks.expect(!crashed.cycleCompleted && approval && approval.step === 'addLiquidity' && approval.status === 'submitted',
+        'journal holds an interrupted cycle with the submitted approval');
+      checks.expect(crashed.getUnit(wallet.address, 'addLiquidity', 0) === undefined, 'interrupted unit not marked done');
+      checks.expect(await token.allowance(wallet.address, CONFIG.contract.ROUTER) > 0n, 'approval mined before the crash');
+      
+      // A restarted bot reconciles the approval and re-runs the unit, which reuses the allowance
+      const code = await bot.runCli(['once', '--steps', 'addLiquidity', '--set', `accounts.privateKeysFile=${keysFile}`,
+        '--set', 'journal.enabled=true', '--set', `journal.file=${journalFile}`, '--set', `schedule.file=${path.join(dir, 'schedule.json')}`,
+        '--set', 'reports.enabled=true', '--set', `reports.dir=${reportsDir}`]);
+      checks.expect(code === undefined, 'resumed run completes');
+      checks.expect(await devnet.provider.getTransactionCount(wallet.address, 'latest') === nonce + 2, 'approval not repeated after the restart');
+      checks.expect(await pair.balanceOf(wallet.address) > lpBefore, 'liquidity added by the resumed unit');
+      
+      const lines = fs.readFileSync(journalFile, 'utf8').trim().split('\n').map(line => TransactionJournal.parse(line));
+      checks.expect(lines.length === 1 && lines[0].type === 'cycle' && lines[0].cycle === crashed.cycleId && lines[0].status === 'completed',
+        'resumed cycle completed and the journal compacted');
+      
+      // The report of the resumed cycle
+      const name = `cycle-${crashed.cycleId.replace(/[:.]/g, '-')}`;
+      const report = JSON.parse(fs.readFileSync(path.join(reportsDir, `${name}.json`), 'utf8'));
+      const step = report.wallets[0] && report.wallets[0].steps.addLiquidity;
+      checks.expect(report.cycle === crashed.cycleId && step && step.completed === 1 && step.transactions.length === 1,
+        'JSON report lists the resumed step and its transaction');
+      const csv = fs.readFileSync(path.join(reportsDir, `${name}.csv`), 'utf8').split('\n');
+      checks.expect(csv[0].startsWith('cycle,network,wallet,record,step') && csv.some(row => row.includes(',step,addLiquidity,1,1,success,')),
+        'CSV report has a row per step');
+      const history = fs.readFileSync(path.join(reportsDir, CONFIG.reports.historyFile), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      checks.expect(history.length === 1 && history[0].cycle === crashed.cycleId && history[0].successfulOps === 1, 'history entry appended');
+      
+      // A transfer confirmed just before the crash is not sent again when its unit re-runs
+      CONFIG.flow = ['transfers'];
+      PARAMS.TRANSFER_COUNT = 1;
+      const target = ethers.Wallet.createRandom().address;
+      const transferExit = await runCrashingWorker(dir, { privateKey: wallet.privateKey, targets: [target], crashOn: 'confirmed' });
+      const received = await devnet.provider.getBalance(target);
+      const sent = await devnet.provider.getTransactionCount(wallet.address, 'latest');
+      checks.expect(transferExit.signal === 'SIGKILL' && received > 0n, 'worker killed after its transfer was confirmed');
+      
+      const journal = new TransactionJournal(journalFile).load();
+      logger.setJournal(journal);
+      checks.expect(journal.startCycle().resumed && journal.getUnit(wallet.address, 'transfers', 0) === undefined, 'transfer unit left unfinished');
+      const stats = new InteractionTracker();
+      stats.setNetwork(CONFIG.network.name, CONFIG.network.chainId, CONFIG.flow);
+      await bot.runNetwork([wallet.privateKey], [target], new ProxyManager([]), stats, journal);
+      
+      const [transfers] = stats.walletResults.map(result => result.steps.transfers);
+      checks.expect(transfers && transfers.completed === 1 && transfers.transactions.length === 1, 'resumed transfer unit reports the confirmed transfer');
+      checks.expect(await devnet.provider.getTransactionCount(wallet.address, 'latest') === sent && await devnet.provider.getBalance(target) === received,
+        'confirmed transfer not sent again');
+      checks.expect(journal.getUnit(wallet.address, 'transfers', 0) === true, 'transfer unit marked done');
+      journal.completeCycle();
+    } finally {
+      logger.setJournal(null);
+      scheduler.active = false;
+      ConfigLoader.overrides = {};
+      CONFIG.flow = saved.flow;
+      PARAMS.TRANSFER_COUNT = saved.transferCount;
+      Object.assign(CONFIG.journal, saved.journal);
+      Object.assign(CONFIG.reports, saved.reports);
+      Object.assign(CONFIG.accounts, saved.accounts);
+      CONFIG.schedule.file = saved.schedule;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+};
+
+/**
+ * Parses the harness command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{port: number, names: string[]}} Devnet RPC port and scenario names
+ */
+function parseHarnessArgs(args) {
+  const options = { port: RPC_PORT, names: [] };
+  
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port') {
+      options.port = Number(args[++i]);
+      if (!Number.isInteger(options.port) || options.port < 1 || options.port > 65535) {
+        throw new Error(`--port must be a port number, got "${args[i]}"`);
+      }
+    } else {
+      options.names.push(args[i]);
+    }
+  }
+  
+  return options;
+}
+
+/**
+ * Starts the devnet and mock API, runs the selected scenarios and reports the results
+ * @param {Object} options - { port, names } from parseHarnessArgs (empty names = all)
+ * @returns {Promise<boolean>} True when every check passed
+ */
+async function runHarness({ port, names }) {
+  const unknown = names.filter(name => !SCENARIOS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scenario(s): ${unknown.join(', ')} (available: ${Object.keys(SCENARIOS).join(', ')})`);
+  }
+  
+  logger.info(`Starting devnet on port ${port} and compiling contracts...`);
+  const devnet = await new Devnet({ port }).start();
+  const api = await new MockProtocolApi({
+    chainId: devnet.chainId,
+    onFaucet: address => devnet.mintToken(address, '1000')
+  }).start();
+  logger.success(`Devnet ready (chain ${devnet.chainId}), mock API on ${api.url}`);
+  
+  const results = [];
+  try {
+    await configure(devnet, api);
+    registerHarnessSteps(devnet);
+    
+    for (const name of names.length > 0 ? names : Object.keys(SCENARIOS)) {
+      console.log(`\n${colors.bright}${colors.cyan}▶ Scenario: ${name}${colors.reset}`);
+      const checks = new Checks();
+      try {
+        await SCENARIOS[name]({ devnet, api, checks });
+      } catch (error) {
+        checks.expect(false, `scenario threw: ${error.message}`);
+      }
+      results.push({ name, checks });
+    }
+  } finally {
+    await api.stop();
+    await devnet.stop();
+  }
+  
+  console.log(`\n${colors.bright}HARNESS RESULTS${colors.reset}`);
+  for (const { name, checks } of results) {
+    const status = checks.failures.length === 0 ? `${colors.green}PASS` : `${colors.red}FAIL`;
+    console.log(`  ${status}${colors.reset}  ${name.padEnd(14)} ${checks.passed} passed, ${checks.failures.length} failed`);
+  }
+  return results.every(({ checks }) => checks.failures.length === 0);
+}
+
+Promise.resolve().then(() => runHarness(parseHarnessArgs(process.argv.slice(2)))).then(passed => {
+  process.exit(passed ? 0 : 1);
+}).catch(error => {
+  logger.error(`Harness error: ${error.message}`);
+  console.error(error.stack);
+  process.exit(1);
+});